@@ -3,49 +3,146 @@
 import fs from 'fs/promises';
 import matter from 'gray-matter';
 import path from 'path';
+import readline from 'readline';
 import { fileURLToPath } from 'url';
+import { isRemoteUrl } from '../src/lib/server/locations.js';
+import { readExif, exifCoords } from '../src/lib/server/exif.js';
+import { createProvider, createGeocodeCache, geocode, reverseGeocode } from '../src/lib/server/geocoding.js';
+import { parseCoords } from '../src/lib/server/coords.js';
+import { distanceKm, formatDistance } from '../src/lib/geo.js';
+import { config } from '../src/lib/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const CONTENT_DIR = path.join(__dirname, '../static/locations');
-const DELAY_MS = 1000; // Rate limit: 1 request per second for Nominatim
+const PROJECT_DIR = path.join(__dirname, '..');
+const CONTENT_DIR = path.join(PROJECT_DIR, 'static/locations');
+// Committed (starts as {}), so reruns and CI don't hit the network for known places
+const CACHE_FILE = path.join(PROJECT_DIR, 'geocode-cache.json');
 
-// Geocode a place name using Nominatim (OpenStreetMap)
-async function geocodePlace(place) {
+// Value of a --name=value flag
+function flagValue(args, name) {
+  const flag = args.find(arg => arg.startsWith(`--${name}=`));
+  return flag ? flag.slice(name.length + 3) : undefined;
+}
+
+// Look up candidates for a place with the configured provider (cached)
+// Returns { results, requested } - requested is true if the provider was actually queried
+async function lookupPlace(place, { provider, cache }) {
   try {
     console.log(`  Geocoding: ${place}`);
 
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(place)}&limit=1`,
-      {
-        headers: {
-          'User-Agent': 'Interactive Travel Map CLI Geocoder'
-        }
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    const { results, cached, provider: source } = await geocode(place, { provider, cache });
+    if (results.length === 0) {
+      console.log(`  ✗ No results found${cached ? ` (cached from ${source})` : ''}`);
+    } else if (cached) {
+      console.log(`  → Using cached results from ${source}`);
     }
+    return { results, requested: !cached };
+  } catch (err) {
+    console.error(`  ✗ Error: ${err.message}`);
+    return { results: [], requested: true };
+  }
+}
+
+// Distance note for a candidate, e.g. " - 6,971 km from current coords"
+function distanceNote(result, current) {
+  return current ? ` - ${formatDistance(distanceKm(current, result))} from current coords` : '';
+}
 
-    const data = await response.json();
+// Print the numbered candidates for a place
+function printCandidates(results, current) {
+  results.forEach((result, index) => {
+    console.log(`    ${index + 1}) ${result.displayName || '(no name)'}`);
+    console.log(`       ${result.lat}, ${result.lon}${distanceNote(result, current)}`);
+  });
+}
+
+// Ask which candidate to use - returns the chosen result, or null to skip
+async function chooseCandidate(prompt, results) {
+  while (true) {
+    const answer = await prompt(`  Use which? [1-${results.length}, Enter = 1, s = skip] `);
+    if (answer === null) {
+      console.log('  → No more input');
+      return null;
+    }
+    if (answer.trim() === '') return results[0];
+    if (answer.trim().toLowerCase() === 's') return null;
+    const choice = Number(answer);
+    if (Number.isInteger(choice) && choice >= 1 && choice <= results.length) {
+      return results[choice - 1];
+    }
+    console.log(`  ✗ "${answer.trim()}" is not a choice`);
+  }
+}
 
-    if (data && data.length > 0) {
-      const coords = {
-        lat: parseFloat(parseFloat(data[0].lat).toFixed(6)),
-        lon: parseFloat(parseFloat(data[0].lon).toFixed(6))
-      };
-      console.log(`  ✓ Found: ${coords.lat}, ${coords.lon}`);
-      return coords;
+// Line prompt for --interactive; answers null once input ends (e.g. piped answers run out)
+// Lines are queued because piped input can arrive before the question is asked
+function createPrompt() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const lines = [];
+  let waiting = null;
+  let closed = false;
+
+  rl.on('line', line => {
+    if (waiting) {
+      waiting(line);
+      waiting = null;
+    } else {
+      lines.push(line);
     }
+  });
+  rl.on('close', () => {
+    closed = true;
+    waiting?.(null);
+    waiting = null;
+  });
+
+  const prompt = question => {
+    if (lines.length > 0) {
+      console.log(`${question}${lines[0]}`);
+      return Promise.resolve(lines.shift());
+    }
+    if (closed) {
+      return Promise.resolve(null);
+    }
+    rl.setPrompt(question);
+    rl.prompt();
+    return new Promise(resolve => { waiting = resolve; });
+  };
+  prompt.close = () => rl.close();
+  return prompt;
+}
 
-    console.log(`  ✗ No results found`);
-    return null;
+// Existing coords from frontmatter (in any form parseCoords() reads)
+// Returns { current: { lat, lon } | null, error } - error is set when coords are there but unreadable
+function currentCoords(frontmatter) {
+  try {
+    return { current: parseCoords(frontmatter.coords), error: null };
   } catch (err) {
-    console.error(`  ✗ Error: ${err.message}`);
+    return { current: null, error: err.message };
+  }
+}
+
+// Write updated frontmatter back to index.md
+async function writeFrontmatter(indexPath, frontmatter, content) {
+  await fs.writeFile(indexPath, matter.stringify(content, frontmatter), 'utf-8');
+}
+
+// Read coordinates from the hero image's EXIF GPS tags (local JPEGs only)
+function coordsFromHeroExif(frontmatter, indexPath) {
+  if (!frontmatter.hero || isRemoteUrl(frontmatter.hero)) {
+    console.log(`  → No local hero image to read EXIF from`);
     return null;
   }
+
+  const coords = exifCoords(readExif(path.join(path.dirname(indexPath), frontmatter.hero)));
+  if (coords) {
+    console.log(`  ✓ Found in ${frontmatter.hero} EXIF: ${coords.lat}, ${coords.lon}`);
+  } else {
+    console.log(`  → No GPS in ${frontmatter.hero} EXIF`);
+  }
+  return coords;
 }
 
 // Add delay between requests
@@ -89,14 +186,203 @@ async function findLocationFolders(dir, relativePath = '') {
   return results;
 }
 
+// Default --check threshold in kilometers
+const DEFAULT_CHECK_KM = 5;
+
+// Fill in missing coords (or replace them with --force) by geocoding `place`
+// Returns { status: 'geocoded' | 'exif' | 'skipped' | 'failed', requested }
+async function geocodeLocation({ frontmatter, content, indexPath }, options) {
+  const { provider, cache, fromExif, force, dryRun, prompt } = options;
+  const { current, error } = currentCoords(frontmatter);
+
+  if (current && !force) {
+    console.log(`  → Already has coordinates, skipping (--force to re-geocode)`);
+    return { status: 'skipped', requested: false };
+  }
+
+  // Don't overwrite something the author pasted unless asked to
+  if (error && !force) {
+    console.log(`  ✗ ${error} (fix it, or --force to replace it)`);
+    return { status: 'failed', requested: false };
+  }
+
+  const exifCoordinates = fromExif ? coordsFromHeroExif(frontmatter, indexPath) : null;
+
+  // Check if place field exists
+  if (!exifCoordinates && !frontmatter.place) {
+    console.log(`  ✗ No 'place' field specified`);
+    return { status: 'failed', requested: false };
+  }
+
+  let coords = exifCoordinates;
+  let requested = false;
+
+  // Geocode the place (unless EXIF already had coordinates)
+  if (!coords) {
+    const lookup = await lookupPlace(frontmatter.place, { provider, cache });
+    requested = lookup.requested;
+    if (lookup.results.length === 0) {
+      return { status: 'failed', requested };
+    }
+
+    let choice = lookup.results[0];
+    if (prompt) {
+      printCandidates(lookup.results, current);
+      choice = await chooseCandidate(prompt, lookup.results);
+      if (!choice) {
+        console.log(`  → Skipped`);
+        return { status: 'skipped', requested };
+      }
+    }
+
+    coords = { lat: choice.lat, lon: choice.lon };
+    console.log(`  ✓ ${prompt ? 'Using' : 'Found'}: ${coords.lat}, ${coords.lon}${distanceNote(coords, current)}`);
+    if (choice.displayName) {
+      console.log(`    ${choice.displayName}`);
+    }
+  }
+
+  if (dryRun) {
+    console.log(`  → Would write coords: { lat: ${coords.lat}, lon: ${coords.lon} } to ${path.relative(PROJECT_DIR, indexPath)}`);
+  } else {
+    frontmatter.coords = coords;
+    await writeFrontmatter(indexPath, frontmatter, content);
+  }
+
+  return { status: exifCoordinates ? 'exif' : 'geocoded', requested };
+}
+
+// --check: compare existing coords with where `place` geocodes to (never writes)
+// Returns { status: 'ok' | 'mismatch' | 'skipped' | 'failed', requested }
+async function checkLocation({ frontmatter }, { provider, cache, checkKm }) {
+  const { current, error } = currentCoords(frontmatter);
+  if (error) {
+    console.log(`  ✗ ${error}`);
+    return { status: 'failed', requested: false };
+  }
+  if (!current || !frontmatter.place) {
+    console.log(`  → Needs both coords and place to check, skipping`);
+    return { status: 'skipped', requested: false };
+  }
+
+  const { results, requested } = await lookupPlace(frontmatter.place, { provider, cache });
+  if (results.length === 0) {
+    return { status: 'failed', requested };
+  }
+
+  const [best] = results;
+  const km = distanceKm(current, best);
+  if (km > checkKm) {
+    console.log(`  ✗ Coords are ${formatDistance(km)} from ${best.displayName || 'the geocoded place'} (${best.lat}, ${best.lon})`);
+    return { status: 'mismatch', requested };
+  }
+
+  console.log(`  ✓ Within ${formatDistance(km)} of ${best.displayName || 'the geocoded place'}`);
+  return { status: 'ok', requested };
+}
+
+// --reverse: fill an empty `place` from existing coords
+// Returns { status: 'filled' | 'skipped' | 'failed', requested }
+async function reverseLocation({ frontmatter, content, indexPath }, { provider, cache, dryRun }) {
+  if (frontmatter.place) {
+    console.log(`  → Already has a place, skipping`);
+    return { status: 'skipped', requested: false };
+  }
+
+  const { current, error } = currentCoords(frontmatter);
+  if (error) {
+    console.log(`  ✗ ${error}`);
+    return { status: 'failed', requested: false };
+  }
+  if (!current) {
+    console.log(`  ✗ No 'place' or coords specified`);
+    return { status: 'failed', requested: false };
+  }
+
+  try {
+    console.log(`  Reverse geocoding: ${current.lat}, ${current.lon}`);
+    const { result, cached, provider: source } = await reverseGeocode(current, { provider, cache });
+    const from = cached ? ` (cached from ${source})` : '';
+
+    if (!result) {
+      console.log(`  ✗ No place found at these coordinates${from}`);
+      return { status: 'failed', requested: !cached };
+    }
+
+    console.log(`  ✓ Found: ${result.displayName}${from}`);
+    if (dryRun) {
+      console.log(`  → Would write place to ${path.relative(PROJECT_DIR, indexPath)}`);
+    } else {
+      frontmatter.place = result.displayName;
+      await writeFrontmatter(indexPath, frontmatter, content);
+    }
+    return { status: 'filled', requested: !cached };
+  } catch (err) {
+    console.error(`  ✗ Error: ${err.message}`);
+    return { status: 'failed', requested: true };
+  }
+}
+
 async function main() {
   console.log('Travel Map Geocoder');
   console.log('===================\n');
 
+  const args = process.argv.slice(2);
+
+  // --check[=km] / --check <km>: report existing coords further than km from their geocoded place
+  const checkIndex = args.indexOf('--check');
+  const checkArg = checkIndex !== -1 && /^\d+(\.\d+)?$/.test(args[checkIndex + 1] ?? '') ? checkIndex + 1 : -1;
+  const checkKm = checkArg !== -1 ? Number(args[checkArg])
+    : checkIndex !== -1 ? DEFAULT_CHECK_KM
+    : flagValue(args, 'check') && Number(flagValue(args, 'check'));
+
   // Get optional location slug from command line (can include slashes for nested)
-  const targetSlug = process.argv[2];
+  const targetSlug = args.find((arg, i) => !arg.startsWith('-') && i !== checkArg);
+
+  // --from-exif: try the hero image's GPS tags before the geocoding provider
+  const fromExif = args.includes('--from-exif');
+
+  // --force: re-geocode locations that already have coords
+  const force = args.includes('--force');
+
+  // --interactive / -i: list the candidates for each place and ask which to use
+  const interactive = args.includes('--interactive') || args.includes('-i');
+
+  // --reverse: fill empty `place` fields from existing coords
+  const reverse = args.includes('--reverse');
+
+  // --dry-run: show what would be written without touching any files
+  const dryRun = args.includes('--dry-run');
+
+  const mode = reverse ? 'reverse' : checkKm !== undefined ? 'check' : 'geocode';
+  let prompt = null;
 
   try {
+    if (mode === 'check' && !(checkKm > 0)) {
+      throw new Error('--check needs a distance in km greater than 0, e.g. --check 10');
+    }
+    if (reverse && checkKm !== undefined) {
+      throw new Error('--reverse and --check can\'t be combined');
+    }
+
+    // --provider=<name> / --gazetteer=<file> override src/lib/config.js
+    const providerName = flagValue(args, 'provider') || config.geocoder || 'nominatim';
+    const gazetteerFile = path.resolve(PROJECT_DIR, flagValue(args, 'gazetteer') || config.gazetteerFile || 'gazetteer.csv');
+    const provider = createProvider(providerName, { file: gazetteerFile });
+    const cache = createGeocodeCache(CACHE_FILE);
+
+    console.log(`Provider: ${provider.name}${provider.name === 'gazetteer' ? ` (${path.relative(PROJECT_DIR, gazetteerFile)})` : ''}`);
+    if (mode === 'check') {
+      console.log(`Checking coords are within ${formatDistance(checkKm)} of their place`);
+    } else if (dryRun) {
+      console.log('Dry run: no files will be written');
+    }
+    console.log();
+
+    if (interactive && mode === 'geocode') {
+      prompt = createPrompt();
+    }
+
     let locationFiles = [];
 
     if (targetSlug) {
@@ -107,8 +393,7 @@ async function main() {
         locationFiles.push({ folder: targetSlug, indexPath });
         console.log(`Geocoding single location: ${targetSlug}\n`);
       } catch {
-        console.error(`Error: Location "${targetSlug}" not found at ${indexPath}`);
-        process.exit(1);
+        throw new Error(`Location "${targetSlug}" not found at ${indexPath}`);
       }
     } else {
       // Geocode all locations (recursively finds all index.md files)
@@ -118,9 +403,9 @@ async function main() {
       console.log(`Found ${locationFiles.length} locations\n`);
     }
 
-    let geocodedCount = 0;
-    let skippedCount = 0;
-    let failedCount = 0;
+    const counts = { geocoded: 0, exif: 0, filled: 0, ok: 0, mismatch: 0, skipped: 0, failed: 0 };
+    const options = { provider, cache, fromExif, force, dryRun, prompt, checkKm };
+    const processLocation = { geocode: geocodeLocation, check: checkLocation, reverse: reverseLocation }[mode];
 
     // Process each location
     for (let i = 0; i < locationFiles.length; i++) {
@@ -132,61 +417,57 @@ async function main() {
 
       console.log(`[${i + 1}/${locationFiles.length}] ${frontmatter.name || folder}`);
 
-      // Skip if coords already exist
-      if (frontmatter.coords && frontmatter.coords.lat && frontmatter.coords.lon) {
-        console.log(`  → Already has coordinates, skipping\n`);
-        skippedCount++;
-        continue;
-      }
+      const { status, requested } = await processLocation({ frontmatter, content, indexPath }, options);
+      counts[status]++;
 
-      // Check if place field exists
-      if (!frontmatter.place) {
-        console.log(`  ✗ No 'place' field specified\n`);
-        failedCount++;
-        continue;
-      }
-
-      // Geocode the place
-      const coords = await geocodePlace(frontmatter.place);
-
-      if (coords) {
-        // Update frontmatter with coordinates
-        frontmatter.coords = coords;
-
-        // Write back to file
-        const updatedFile = matter.stringify(content, frontmatter);
-        await fs.writeFile(indexPath, updatedFile, 'utf-8');
-
-        geocodedCount++;
-      } else {
-        failedCount++;
-      }
-
-      // Rate limit delay
-      if (i < locationFiles.length - 1) {
-        await delay(DELAY_MS);
+      // Rate limit delay (only needed after a network request)
+      if (requested && provider.delayMs > 0 && i < locationFiles.length - 1) {
+        await delay(provider.delayMs);
       }
       console.log();
     }
 
+    // --check only reads, but cached lookups still save time on the next run
+    if (!dryRun) {
+      cache.save();
+    }
+
     // Summary
     console.log('===================');
     console.log('Summary:');
-    console.log(`  ✓ Geocoded: ${geocodedCount}`);
-    console.log(`  → Skipped: ${skippedCount}`);
-    console.log(`  ✗ Failed: ${failedCount}`);
+    if (mode === 'check') {
+      console.log(`  ✓ Within ${formatDistance(checkKm)}: ${counts.ok}`);
+      console.log(`  ✗ Too far: ${counts.mismatch}`);
+    } else if (mode === 'reverse') {
+      console.log(`  ✓ ${dryRun ? 'Would fill' : 'Filled'} place: ${counts.filled}`);
+    } else {
+      console.log(`  ✓ ${dryRun ? 'Would geocode' : 'Geocoded'}: ${counts.geocoded}`);
+      if (fromExif) {
+        console.log(`  ✓ From EXIF: ${counts.exif}`);
+      }
+    }
+    console.log(`  → Skipped: ${counts.skipped}`);
+    console.log(`  ✗ Failed: ${counts.failed}`);
     console.log(`  Total: ${locationFiles.length}`);
 
-    if (failedCount > 0) {
+    if (counts.mismatch > 0) {
+      console.log('\n⚠️  Some coords are far from their place.');
+      console.log('   Fix them with: npm run geocode -- --force --interactive <location>');
+    }
+    if (counts.failed > 0) {
       console.log('\n⚠️  Some locations could not be geocoded.');
       console.log('   Please check the place names and try again.');
-      process.exit(1);
+    }
+    if (counts.mismatch > 0 || counts.failed > 0) {
+      process.exitCode = 1;
     } else {
       console.log('\n✓ All locations processed successfully!');
     }
   } catch (err) {
     console.error(`\n✗ Error: ${err.message}`);
-    process.exit(1);
+    process.exitCode = 1;
+  } finally {
+    prompt?.close();
   }
 }
 
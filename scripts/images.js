@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  VARIANTS_DIR,
+  collectLocationImages,
+  generateImageVariants,
+  readImageManifest,
+  writeImageManifest
+} from '../src/lib/server/images.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const STATIC_DIR = path.join(__dirname, '../static');
+const CONTENT_DIR = path.join(STATIC_DIR, 'locations');
+
+// Regenerate every variant, even if the source image hasn't changed
+const force = process.argv.includes('--force');
+
+async function main() {
+  console.log('Travel Map Image Variants');
+  console.log('=========================\n');
+
+  const keys = collectLocationImages(CONTENT_DIR);
+  console.log(`Found ${keys.length} local images\n`);
+
+  const previousManifest = force ? {} : readImageManifest(STATIC_DIR);
+  const manifest = {};
+  let generated = 0;
+  let unchanged = 0;
+  let failed = 0;
+
+  for (const key of keys) {
+    if (!fs.existsSync(path.join(STATIC_DIR, key))) {
+      // Missing files are reported by `npm run validate`
+      console.log(`  ✗ ${key}: not found`);
+      failed++;
+      continue;
+    }
+
+    try {
+      const result = await generateImageVariants(STATIC_DIR, key, { previous: previousManifest[key], force });
+      manifest[key] = result.entry;
+      if (result.generated) {
+        console.log(`  ✓ ${key} (${result.entry.widths.join(', ')}px)`);
+        generated++;
+      } else {
+        unchanged++;
+      }
+    } catch (err) {
+      console.error(`  ✗ ${key}: ${err.message}`);
+      failed++;
+    }
+  }
+
+  // Images no longer referenced drop out of the manifest (their files are left in place)
+  writeImageManifest(STATIC_DIR, manifest);
+
+  console.log('\n=========================');
+  console.log('Summary:');
+  console.log(`  ✓ Generated: ${generated}`);
+  console.log(`  - Unchanged: ${unchanged}`);
+  console.log(`  ✗ Failed: ${failed}`);
+  console.log(`\nVariants written to static/${VARIANTS_DIR}/`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { slugify } from '../src/lib/server/locations.js';
+import { readImportFile, importedLocationFile, mergeImportedPlace, normalizeTag } from '../src/lib/server/importers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONTENT_DIR = path.join(__dirname, '../static/locations');
+
+// Value of a --name=value flag
+function flagValue(args, name) {
+  const flag = args.find(arg => arg.startsWith(`--${name}=`));
+  return flag ? flag.slice(name.length + 3) : undefined;
+}
+
+function printUsage() {
+  console.log('\nUsage:');
+  console.log('  npm run import -- <file> [--into=<folder>] [--merge] [--tags=a,b] [--dry-run]');
+  console.log('\nExamples:');
+  console.log('  npm run import -- "Saved Places.json"');
+  console.log('  npm run import -- japan-trip.kml --into=asia/japan --tags=japan');
+}
+
+// Clean up --into: forward slashes, no leading/trailing slashes, no ".."
+// Throws if it would land inside an existing location (nested locations there are never found)
+function resolveTargetFolder(into) {
+  const folder = (into || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+  if (folder.split('/').some(part => part === '..' || part === '.')) {
+    throw new Error(`--into must be a folder inside static/locations (got "${into}")`);
+  }
+
+  const parts = folder ? folder.split('/') : [];
+  for (let i = 1; i <= parts.length; i++) {
+    const ancestor = parts.slice(0, i).join('/');
+    if (fs.existsSync(path.join(CONTENT_DIR, ancestor, 'index.md'))) {
+      throw new Error(`--into=${folder} is inside the location "${ancestor}" - pick a folder that isn't a location`);
+    }
+  }
+  return folder;
+}
+
+function main() {
+  console.log('Travel Map Importer');
+  console.log('===================\n');
+
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+
+  if (!file) {
+    console.error('Error: Please provide a GPX, KML, GeoJSON or Google Takeout file');
+    printUsage();
+    process.exit(1);
+  }
+
+  // --merge: add tags/coords to locations that already exist instead of skipping them
+  const merge = args.includes('--merge');
+
+  // --dry-run: show what would be created without writing anything
+  const dryRun = args.includes('--dry-run');
+
+  // --tags=a,b: extra tags for every imported location
+  const extraTags = (flagValue(args, 'tags') || '').split(',').map(normalizeTag).filter(Boolean);
+
+  let folder;
+  let result;
+  try {
+    folder = resolveTargetFolder(flagValue(args, 'into'));
+    result = readImportFile(path.resolve(file));
+  } catch (err) {
+    console.error(`✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const { format, places, ignored } = result;
+  console.log(`Read ${places.length} places from ${file} (${format})`);
+  console.log(`Importing into static/locations/${folder ? `${folder}/` : ''}`);
+  if (dryRun) {
+    console.log('Dry run: no files will be written');
+  }
+  ignored.forEach(reason => console.log(`  → Ignored ${reason}`));
+  console.log();
+
+  let createdCount = 0;
+  let mergedCount = 0;
+  let skippedCount = 0;
+  let failedCount = 0;
+  let missingCoordsCount = 0;
+  const usedSlugs = new Set();
+
+  places.forEach((imported, index) => {
+    const place = { ...imported, tags: [...new Set([...imported.tags, ...extraTags])] };
+
+    // Names without letters or digits (e.g. "東京タワー") still need a folder name
+    const baseSlug = slugify(place.name) || slugify(place.place) || `place-${index + 1}`;
+
+    // Places with the same name in one file get -2, -3...
+    let slug = baseSlug;
+    for (let n = 2; usedSlugs.has(slug); n++) {
+      slug = `${baseSlug}-${n}`;
+    }
+    usedSlugs.add(slug);
+
+    const relativePath = folder ? `${folder}/${slug}` : slug;
+    const dir = path.join(CONTENT_DIR, relativePath);
+    const indexPath = path.join(dir, 'index.md');
+
+    try {
+      if (fs.existsSync(indexPath)) {
+        if (!merge) {
+          console.log(`  → ${relativePath}: already exists, skipping (--merge to update it)`);
+          skippedCount++;
+          return;
+        }
+
+        const { markdown, changes } = mergeImportedPlace(fs.readFileSync(indexPath, 'utf-8'), place);
+        if (changes.length === 0) {
+          console.log(`  → ${relativePath}: already up to date`);
+          skippedCount++;
+          return;
+        }
+        if (!dryRun) {
+          fs.writeFileSync(indexPath, markdown, 'utf-8');
+        }
+        console.log(`  ✓ ${relativePath}: ${dryRun ? 'would merge' : 'merged'} ${changes.join('; ')}`);
+        mergedCount++;
+        return;
+      }
+
+      if (fs.existsSync(dir)) {
+        console.log(`  ✗ ${relativePath}: folder exists but has no index.md (it may hold other locations)`);
+        failedCount++;
+        return;
+      }
+
+      if (!dryRun) {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(indexPath, importedLocationFile(place), 'utf-8');
+      }
+      console.log(`  ✓ ${relativePath}: ${dryRun ? 'would create' : 'created'}${place.coords ? '' : ' (no coordinates)'}`);
+      createdCount++;
+      if (!place.coords) missingCoordsCount++;
+    } catch (err) {
+      console.error(`  ✗ ${relativePath}: ${err.message}`);
+      failedCount++;
+    }
+  });
+
+  // Summary
+  console.log('\n===================');
+  console.log('Summary:');
+  console.log(`  ✓ ${dryRun ? 'Would create' : 'Created'}: ${createdCount}`);
+  console.log(`  ✓ ${dryRun ? 'Would merge' : 'Merged'}: ${mergedCount}`);
+  console.log(`  → Skipped (already exist): ${skippedCount}`);
+  console.log(`  → Ignored in file: ${ignored.length}`);
+  console.log(`  ✗ Failed: ${failedCount}`);
+  console.log(`  Total: ${places.length}`);
+
+  if (createdCount > 0 && !dryRun) {
+    console.log('\nNext steps:');
+    if (missingCoordsCount > 0) {
+      console.log(`  - Run: npm run geocode (${missingCoordsCount} locations have no coordinates yet)`);
+    }
+    console.log('  - Add photos to the new folders (and a `hero:` to their frontmatter)');
+    console.log('  - Run: npm run validate');
+  }
+
+  if (failedCount > 0) {
+    process.exit(1);
+  }
+}
+
+main();
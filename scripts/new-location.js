@@ -3,6 +3,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { slugify } from '../src/lib/server/locations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,16 +20,13 @@ if (!locationName) {
 }
 
 // Convert to kebab-case for directory name
-function toKebabCase(str) {
-  return str
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, '') // Remove special characters
-    .replace(/\s+/g, '-')     // Replace spaces with hyphens
-    .replace(/-+/g, '-')      // Replace multiple hyphens with single hyphen
-    .trim();
+const slug = slugify(locationName);
+
+if (!slug) {
+  console.error(`Error: "${locationName}" has no letters or digits to name a folder with`);
+  process.exit(1);
 }
 
-const slug = toKebabCase(locationName);
 const contentDir = path.join(__dirname, '../static/locations', slug);
 
 // Check if location already exists
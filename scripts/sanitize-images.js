@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import matter from 'gray-matter';
+import { fileURLToPath } from 'url';
+import { findLocationFolders } from '../src/lib/server/locations.js';
+import { canSanitize, sanitizeImage } from '../src/lib/server/sanitize.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONTENT_DIR = path.join(__dirname, '../static/locations');
+
+// Build output to sanitize (adapter-static `pages` directory by default)
+const BUILD_DIR = path.resolve(process.argv[2] || path.join(__dirname, '../build'));
+
+// Every image file below a directory, as paths relative to it (using "/")
+function findImages(dir, relativePath = '') {
+  const results = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      results.push(...findImages(path.join(dir, entry.name), entryPath));
+    } else if (canSanitize(entry.name)) {
+      results.push(entryPath);
+    }
+  }
+
+  return results;
+}
+
+// Build paths of location folders whose frontmatter has `keepExif: true`
+function findOptedOutFolders() {
+  return findLocationFolders(CONTENT_DIR)
+    .filter(({ fullPath }) => matter(fs.readFileSync(path.join(fullPath, 'index.md'), 'utf-8')).data.keepExif === true)
+    .map(({ relativePath }) => `locations/${relativePath}/`);
+}
+
+function main() {
+  console.log('Travel Map Image Sanitizer');
+  console.log('==========================\n');
+
+  if (!fs.existsSync(BUILD_DIR)) {
+    console.error(`✗ Build output not found at ${BUILD_DIR} - run \`npm run build\` first`);
+    process.exit(1);
+  }
+
+  const optedOut = findOptedOutFolders();
+  const images = findImages(BUILD_DIR);
+  console.log(`Checking ${images.length} images in ${BUILD_DIR}...\n`);
+
+  let sanitizedCount = 0;
+  let gpsCount = 0;
+  let keptCount = 0;
+  let cleanCount = 0;
+  let failedCount = 0;
+
+  for (const image of images) {
+    if (optedOut.some(folder => image.startsWith(folder))) {
+      console.log(`  → ${image}: kept as-is (keepExif: true)`);
+      keptCount++;
+      continue;
+    }
+
+    const filePath = path.join(BUILD_DIR, image);
+    try {
+      const { buffer, removed } = sanitizeImage(fs.readFileSync(filePath), filePath);
+      if (removed.length === 0) {
+        cleanCount++;
+        continue;
+      }
+
+      fs.writeFileSync(filePath, buffer);
+      console.log(`  ✓ ${image}: removed ${removed.join(', ')}`);
+      sanitizedCount++;
+      if (removed.includes('GPS')) gpsCount++;
+    } catch (err) {
+      console.error(`  ✗ ${image}: ${err.message}`);
+      failedCount++;
+    }
+  }
+
+  console.log(sanitizedCount + keptCount + failedCount > 0 ? '\n==========================' : '==========================');
+  console.log('Summary:');
+  console.log(`  ✓ Sanitized: ${sanitizedCount} (${gpsCount} with GPS)`);
+  console.log(`  → Kept (opted out): ${keptCount}`);
+  console.log(`  - Already clean: ${cleanCount}`);
+  console.log(`  ✗ Failed: ${failedCount}`);
+
+  // A failure could mean a published photo still carries GPS - fail the build
+  if (failedCount > 0) {
+    console.log('\n⚠️  Some images could not be sanitized and may still contain personal metadata.');
+    process.exit(1);
+  }
+}
+
+main();
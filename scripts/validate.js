@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateLocations, formatProblem } from '../src/lib/server/validate.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONTENT_DIR = path.join(__dirname, '../static/locations');
+
+function main() {
+  console.log('Travel Map Content Validator');
+  console.log('============================\n');
+
+  console.log(`Reading ${CONTENT_DIR}...`);
+  const { count, problems } = validateLocations(CONTENT_DIR);
+  console.log(`Found ${count} locations\n`);
+
+  // Print file:line diagnostics (clickable in most editors/terminals)
+  problems.forEach(problem => console.log(formatProblem(problem)));
+
+  const filesWithProblems = new Set(problems.map(problem => problem.file)).size;
+
+  console.log(problems.length > 0 ? '\n============================' : '============================');
+  console.log('Summary:');
+  console.log(`  ✓ Valid: ${count - filesWithProblems}`);
+  console.log(`  ✗ Invalid: ${filesWithProblems}`);
+  console.log(`  Problems: ${problems.length}`);
+
+  if (problems.length > 0) {
+    console.log('\n⚠️  Fix the problems above before building.');
+    process.exit(1);
+  } else {
+    console.log('\n✓ All locations are valid!');
+  }
+}
+
+main();
@@ -24,5 +24,62 @@ export const config = {
    * Displayed in the browser tab
    * Default: "Interactive Travel Map"
    */
-  pageTitle: "My Travel Map"
+  pageTitle: "My Travel Map",
+
+  /**
+   * Feed Title
+   * Title of the Atom (/feed.xml) and RSS (/rss.xml) feeds of recent updates
+   * Default: "Travel Map Updates"
+   */
+  feedTitle: "My Travels - Recent Updates",
+
+  /**
+   * Feed Length
+   * Number of most recently updated locations included in the feeds
+   * Default: 20
+   */
+  feedLength: 20,
+
+  /**
+   * Geocoding Provider
+   * Used by `npm run geocode` to look up coordinates from `place`:
+   * "nominatim", "photon" or "gazetteer" (offline, uses gazetteerFile)
+   * Override for one run with --provider=<name>
+   * Default: "nominatim"
+   */
+  geocoder: "nominatim",
+
+  /**
+   * Gazetteer File
+   * Your own list of place names (CSV with name,lat,lon columns, or GeoJSON
+   * points with a name property), relative to the project root
+   * Override for one run with --gazetteer=<path>
+   * Default: "gazetteer.csv"
+   */
+  gazetteerFile: "gazetteer.csv",
+
+  /**
+   * Distance Units
+   * Units for distances in the detail panel's "Nearby" list, the
+   * "within N of this place" filter and the sidebar cards: "km" or "mi"
+   * Default: "km"
+   */
+  distanceUnits: "km",
+
+  /**
+   * Marker Styles
+   * Map marker icon and color per tag. A location uses the first of its tags
+   * (or their parent tags from static/tags.yml) listed here; `icon:` and
+   * `color:` in a location's frontmatter override it. Tags listed here that
+   * are in use appear in the map legend, in this order.
+   * Icons: camera, food, cafe, park, mountain, museum, landmark, beach, city, star, heart
+   * Colors: hex like "#6BCB77" (without one, the tag's color from tags.yml is used)
+   * Default: {} (every marker is a pink camera)
+   */
+  markerStyles: {
+    nature: { icon: "park", color: "#6BCB77" },
+    history: { icon: "landmark", color: "#FFD93D" },
+    art: { icon: "museum", color: "#B983FF" },
+    architecture: { icon: "city", color: "#6BA3FF" }
+  }
 };
@@ -0,0 +1,248 @@
+/**
+ * Geographic Utilities
+ *
+ * Distances between coordinates (and the locations nearest a place) and
+ * checks against map bounds and drawn polygons, shared by the build scripts
+ * and the app.
+ */
+
+/** Mean Earth radius in kilometers */
+const EARTH_RADIUS_KM = 6371.0088;
+
+/** Kilometers in a mile */
+const KM_PER_MILE = 1.609344;
+
+/** Feet in a kilometer */
+const FEET_PER_KM = 3280.84;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {{lat: number, lon: number}} a - First point
+ * @param {{lat: number, lon: number}} b - Second point
+ * @returns {number} Distance in kilometers
+ */
+export function distanceKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  // min() guards against rounding pushing h just above 1 for antipodal points
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Convert a distance in display units to kilometers
+ * @param {number} distance - Distance
+ * @param {'km'|'mi'} [units] - Units of `distance`
+ * @returns {number} Distance in kilometers
+ */
+export function toKilometers(distance, units = 'km') {
+  return units === 'mi' ? distance * KM_PER_MILE : distance;
+}
+
+/**
+ * Format a distance for display
+ * @param {number} km - Distance in kilometers
+ * @param {'km'|'mi'} [units] - Units to show
+ * @returns {string} e.g. "350 m", "4.2 km", "1,204 km" (or "420 ft", "2.6 mi", "748 mi")
+ */
+export function formatDistance(km, units = 'km') {
+  if (units === 'mi') {
+    const miles = km / KM_PER_MILE;
+    if (miles < 0.1) {
+      return `${Math.round(km * FEET_PER_KM)} ft`;
+    }
+    if (miles < 100) {
+      return `${miles.toFixed(1)} mi`;
+    }
+    return `${Math.round(miles).toLocaleString('en-US')} mi`;
+  }
+  if (km < 1) {
+    return `${Math.round(km * 1000)} m`;
+  }
+  if (km < 100) {
+    return `${km.toFixed(1)} km`;
+  }
+  return `${Math.round(km).toLocaleString('en-US')} km`;
+}
+
+/**
+ * Other locations sorted by distance from a location, nearest first
+ * Locations without coordinates are left out; equally distant ones are sorted by name.
+ * @param {Object} origin - Location to measure from (itself is left out)
+ * @param {Array<Object>} locations - Candidates
+ * @param {Object} [options]
+ * @param {number} [options.maxKm] - Leave out locations further away than this
+ * @param {number} [options.limit] - Maximum results
+ * @returns {Array<{location: Object, km: number}>} Locations with their distance
+ */
+export function nearestLocations(origin, locations, { maxKm = Infinity, limit = Infinity } = {}) {
+  if (!origin?.coords) return [];
+  return locations
+    .filter(location => location.coords && location.slug !== origin.slug)
+    .map(location => ({ location, km: distanceKm(origin.coords, location.coords) }))
+    .filter(({ km }) => km <= maxKm)
+    .sort((a, b) => a.km - b.km || a.location.name.localeCompare(b.location.name))
+    .slice(0, limit);
+}
+
+/**
+ * @typedef {Object} Bounds
+ * @property {number} south
+ * @property {number} west - May be below -180 when the map has wrapped around the world
+ * @property {number} north
+ * @property {number} east - May be above 180 when the map has wrapped around the world
+ */
+
+/**
+ * Check whether a point is inside bounds
+ * Longitudes are compared modulo 360, so views across the antimeridian work.
+ * @param {{lat: number, lon: number}} coords - Point
+ * @param {Bounds} bounds - Area
+ * @returns {boolean} True when inside (edges included)
+ */
+export function isInBounds(coords, bounds) {
+  if (coords.lat < bounds.south || coords.lat > bounds.north) return false;
+  if (bounds.east - bounds.west >= 360) return true;
+  return [coords.lon, coords.lon - 360, coords.lon + 360].some(lon => lon >= bounds.west && lon <= bounds.east);
+}
+
+/**
+ * Check whether a map view is showing an area as if fitted to it
+ * The view must contain the area, and the area must fill at least half the
+ * view in one direction (fitting snaps to whole zoom levels, so a fitted
+ * area fills between half and all of the view). Panning away or zooming
+ * in or out makes this false.
+ * @param {Bounds} view - Map viewport
+ * @param {Bounds} area - Area
+ * @returns {boolean} True when the view shows the area
+ */
+export function viewShowsArea(view, area) {
+  const margin = 1e-6; // Rounding in the URL and in Leaflet
+  const contains = area.south >= view.south - margin && area.north <= view.north + margin &&
+    area.west >= view.west - margin && area.east <= view.east + margin;
+  if (!contains) return false;
+
+  // Shares of the view on screen (latitudes are stretched by the Mercator projection)
+  const mercatorY = lat => Math.log(Math.tan(Math.PI / 4 + toRadians(Math.max(-85, Math.min(85, lat))) / 2));
+  const latShare = (mercatorY(area.north) - mercatorY(area.south)) / (mercatorY(view.north) - mercatorY(view.south));
+  const lonShare = (area.east - area.west) / (view.east - view.west);
+  return Math.max(latShare, lonShare) >= 0.5 - margin;
+}
+
+/**
+ * Make a polygon's longitudes continuous
+ * Each vertex is moved by ±360° so it is within 180° of the previous one, so
+ * an edge from 170° to -170° crosses the antimeridian instead of the world.
+ * @param {Array<{lat: number, lon: number}>} polygon - Vertices
+ * @returns {Array<{lat: number, lon: number}>} Vertices with unwrapped longitudes
+ */
+export function unwrapPolygon(polygon) {
+  const unwrapped = [];
+  polygon.forEach(({ lat, lon }, i) => {
+    if (i > 0) {
+      const previous = unwrapped[i - 1].lon;
+      while (lon - previous > 180) lon -= 360;
+      while (lon - previous < -180) lon += 360;
+    }
+    unwrapped.push({ lat, lon });
+  });
+  return unwrapped;
+}
+
+/**
+ * Check whether a point is inside a polygon (ray casting)
+ * Works for polygons drawn across the antimeridian (see unwrapPolygon()).
+ * @param {{lat: number, lon: number}} coords - Point
+ * @param {Array<{lat: number, lon: number}>} polygon - Vertices (closed implicitly)
+ * @returns {boolean} True when inside
+ */
+export function isInPolygon(coords, polygon) {
+  if (polygon.length < 3) return false;
+  const ring = unwrapPolygon(polygon);
+
+  return [coords.lon, coords.lon - 360, coords.lon + 360].some(lon => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[i];
+      const b = ring[j];
+      if ((a.lat > coords.lat) !== (b.lat > coords.lat) &&
+        lon < (b.lon - a.lon) * (coords.lat - a.lat) / (b.lat - a.lat) + a.lon) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  });
+}
+
+/** Decimal places kept by encodePolygon() (about 1 m) */
+const POLYGON_PRECISION = 5;
+
+/**
+ * Encode a polygon as text (the encoded polyline format used by map services)
+ * @param {Array<{lat: number, lon: number}>} polygon - Vertices
+ * @returns {string} Encoded polygon
+ */
+export function encodePolygon(polygon) {
+  const factor = 10 ** POLYGON_PRECISION;
+  let previous = [0, 0];
+  let encoded = '';
+
+  polygon.forEach(({ lat, lon }) => {
+    const current = [Math.round(lat * factor), Math.round(lon * factor)];
+    current.forEach((value, i) => {
+      let delta = value - previous[i];
+      delta = delta < 0 ? ~(delta << 1) : delta << 1;
+      while (delta >= 0x20) {
+        encoded += String.fromCharCode((0x20 | (delta & 0x1f)) + 63);
+        delta >>= 5;
+      }
+      encoded += String.fromCharCode(delta + 63);
+    });
+    previous = current;
+  });
+
+  return encoded;
+}
+
+/**
+ * Decode a polygon from encodePolygon()
+ * @param {string|null} encoded - Encoded polygon
+ * @returns {Array<{lat: number, lon: number}>|null} Vertices, or null when
+ *   malformed or with fewer than 3 vertices
+ */
+export function decodePolygon(encoded) {
+  if (!encoded) return null;
+  const factor = 10 ** POLYGON_PRECISION;
+  const values = [];
+  let index = 0;
+
+  while (index < encoded.length) {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) return null; // Cut off mid-number
+      byte = encoded.charCodeAt(index++) - 63;
+      if (byte < 0 || byte > 63) return null;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && shift < 35);
+    values.push(result & 1 ? ~(result >> 1) : result >> 1);
+  }
+  if (values.length % 2 !== 0) return null;
+
+  const polygon = [];
+  let lat = 0;
+  let lon = 0;
+  for (let i = 0; i < values.length; i += 2) {
+    lat += values[i];
+    lon += values[i + 1];
+    polygon.push({ lat: lat / factor, lon: lon / factor });
+  }
+
+  const valid = polygon.length >= 3 && polygon.every(point => Math.abs(point.lat) <= 90);
+  return valid ? polygon : null;
+}
@@ -0,0 +1,197 @@
+import { describe, it, expect } from 'vitest';
+import {
+  distanceKm,
+  formatDistance,
+  toKilometers,
+  nearestLocations,
+  isInBounds,
+  viewShowsArea,
+  unwrapPolygon,
+  isInPolygon,
+  encodePolygon,
+  decodePolygon
+} from './geo';
+
+const oxfordUK = { lat: 51.752, lon: -1.2577 };
+const oxfordMS = { lat: 34.3665, lon: -89.5192 };
+
+describe('distanceKm()', () => {
+  it('measures great-circle distances', () => {
+    expect(distanceKm(oxfordUK, oxfordMS)).toBeCloseTo(6971, 0);
+    expect(distanceKm(oxfordUK, oxfordUK)).toBe(0);
+  });
+
+  it('is symmetric and takes the short way across the antimeridian', () => {
+    const fiji = { lat: -17.7, lon: 179.9 };
+    const samoa = { lat: -13.8, lon: -171.8 };
+    expect(distanceKm(fiji, samoa)).toBeCloseTo(distanceKm(samoa, fiji), 6);
+    expect(distanceKm(fiji, samoa)).toBeLessThan(1000);
+  });
+
+  it('handles antipodal points', () => {
+    expect(distanceKm({ lat: 0, lon: 0 }, { lat: 0, lon: 180 })).toBeCloseTo(Math.PI * 6371.0088, 3);
+  });
+});
+
+describe('formatDistance()', () => {
+  it('uses meters, one decimal or whole kilometers by size', () => {
+    expect(formatDistance(0.3504)).toBe('350 m');
+    expect(formatDistance(4.24)).toBe('4.2 km');
+    expect(formatDistance(1204.4)).toBe('1,204 km');
+  });
+
+  it('shows feet or miles when asked', () => {
+    expect(formatDistance(0.128, 'mi')).toBe('420 ft');
+    expect(formatDistance(4.24, 'mi')).toBe('2.6 mi');
+    expect(formatDistance(1204.4, 'mi')).toBe('748 mi');
+  });
+});
+
+describe('toKilometers()', () => {
+  it('converts miles and leaves kilometers alone', () => {
+    expect(toKilometers(10, 'mi')).toBeCloseTo(16.09, 2);
+    expect(toKilometers(10, 'km')).toBe(10);
+    expect(toKilometers(10)).toBe(10);
+  });
+});
+
+describe('nearestLocations()', () => {
+  const oxford = { slug: 'oxford', name: 'Oxford', coords: oxfordUK };
+  const locations = [
+    { slug: 'tupelo', name: 'Tupelo', coords: oxfordMS },
+    { slug: 'london', name: 'London', coords: { lat: 51.5074, lon: -0.1278 } },
+    oxford,
+    { slug: 'nowhere', name: 'Nowhere' },
+    { slug: 'reading', name: 'Reading', coords: { lat: 51.4543, lon: -0.9781 } }
+  ];
+
+  it('sorts other locations by distance, leaving out the origin and locations without coordinates', () => {
+    const nearest = nearestLocations(oxford, locations);
+    expect(nearest.map(({ location }) => location.slug)).toEqual(['reading', 'london', 'tupelo']);
+    expect(nearest[0].km).toBeCloseTo(distanceKm(oxfordUK, locations[4].coords), 6);
+  });
+
+  it('limits the count and the distance', () => {
+    expect(nearestLocations(oxford, locations, { limit: 1 }).map(({ location }) => location.slug)).toEqual(['reading']);
+    expect(nearestLocations(oxford, locations, { maxKm: 100 }).map(({ location }) => location.slug)).toEqual(['reading', 'london']);
+  });
+
+  it('sorts equally distant locations by name', () => {
+    const twins = [
+      { slug: 'b', name: 'B', coords: { lat: 1, lon: 0 } },
+      { slug: 'a', name: 'A', coords: { lat: -1, lon: 0 } }
+    ];
+    expect(nearestLocations({ slug: 'o', coords: { lat: 0, lon: 0 } }, twins).map(({ location }) => location.slug)).toEqual(['a', 'b']);
+  });
+
+  it('finds nothing around a location without coordinates', () => {
+    expect(nearestLocations({ slug: 'nowhere' }, locations)).toEqual([]);
+  });
+});
+
+describe('isInBounds()', () => {
+  const england = { south: 50, west: -6, north: 56, east: 2 };
+
+  it('checks latitude and longitude', () => {
+    expect(isInBounds(oxfordUK, england)).toBe(true);
+    expect(isInBounds(oxfordMS, england)).toBe(false);
+  });
+
+  it('handles views across the antimeridian', () => {
+    const pacific = { south: -30, west: 170, north: 0, east: 190 };
+    expect(isInBounds({ lat: -18, lon: 178 }, pacific)).toBe(true);
+    expect(isInBounds({ lat: -18, lon: -175 }, pacific)).toBe(true);
+    expect(isInBounds({ lat: -18, lon: -160 }, pacific)).toBe(false);
+  });
+
+  it('accepts any longitude when the view wraps the whole world', () => {
+    expect(isInBounds(oxfordMS, { south: -80, west: -400, north: 80, east: 400 })).toBe(true);
+  });
+});
+
+describe('viewShowsArea()', () => {
+  const area = { south: 51, west: -2, north: 52, east: 0 };
+
+  it('is true for the area itself and a fitted view around it', () => {
+    expect(viewShowsArea(area, area)).toBe(true);
+    expect(viewShowsArea({ south: 50.5, west: -2.5, north: 52.5, east: 0.5 }, area)).toBe(true);
+  });
+
+  it('is false after panning away', () => {
+    expect(viewShowsArea({ south: 51, west: -1, north: 52, east: 1 }, area)).toBe(false);
+  });
+
+  it('is false after zooming in or out', () => {
+    expect(viewShowsArea({ south: 51.25, west: -1.5, north: 51.75, east: -0.5 }, area)).toBe(false);
+    expect(viewShowsArea({ south: 50, west: -4, north: 53, east: 2 }, area)).toBe(false);
+  });
+});
+
+describe('isInPolygon()', () => {
+  // A triangle over southern England
+  const triangle = [{ lat: 50, lon: -5 }, { lat: 53, lon: -1 }, { lat: 50, lon: 2 }];
+
+  it('finds points inside and outside', () => {
+    expect(isInPolygon({ lat: 51, lon: -1 }, triangle)).toBe(true);
+    expect(isInPolygon({ lat: 52.9, lon: -4 }, triangle)).toBe(false);
+    expect(isInPolygon(oxfordMS, triangle)).toBe(false);
+  });
+
+  it('handles concave shapes', () => {
+    const u = [
+      { lat: 0, lon: 0 }, { lat: 10, lon: 0 }, { lat: 10, lon: 3 }, { lat: 3, lon: 3 },
+      { lat: 3, lon: 7 }, { lat: 10, lon: 7 }, { lat: 10, lon: 10 }, { lat: 0, lon: 10 }
+    ];
+    expect(isInPolygon({ lat: 5, lon: 5 }, u)).toBe(false);
+    expect(isInPolygon({ lat: 5, lon: 1 }, u)).toBe(true);
+  });
+
+  it('copes with polygons across the antimeridian', () => {
+    // Around Fiji, written with wrapped longitudes
+    const fiji = [{ lat: -15, lon: 175 }, { lat: -15, lon: -178 }, { lat: -20, lon: -178 }, { lat: -20, lon: 175 }];
+    expect(isInPolygon({ lat: -18, lon: 178.4 }, fiji)).toBe(true);
+    expect(isInPolygon({ lat: -18, lon: -179.5 }, fiji)).toBe(true);
+    expect(isInPolygon({ lat: -18, lon: 0 }, fiji)).toBe(false);
+
+    // The same area drawn on a map scrolled past 180°
+    const unwrapped = fiji.map(({ lat, lon }) => ({ lat, lon: lon < 0 ? lon + 360 : lon }));
+    expect(isInPolygon({ lat: -18, lon: -179.5 }, unwrapped)).toBe(true);
+  });
+
+  it('needs at least three vertices', () => {
+    expect(isInPolygon({ lat: 0, lon: 0 }, [{ lat: 1, lon: 1 }, { lat: -1, lon: -1 }])).toBe(false);
+  });
+});
+
+describe('unwrapPolygon()', () => {
+  it('keeps consecutive longitudes within 180°', () => {
+    expect(unwrapPolygon([{ lat: 0, lon: 170 }, { lat: 0, lon: -170 }, { lat: 5, lon: -175 }]).map(p => p.lon))
+      .toEqual([170, 190, 185]);
+  });
+});
+
+describe('encodePolygon() / decodePolygon()', () => {
+  it('uses the encoded polyline format', () => {
+    // Example from the format's documentation
+    const line = [{ lat: 38.5, lon: -120.2 }, { lat: 40.7, lon: -120.95 }, { lat: 43.252, lon: -126.453 }];
+    expect(encodePolygon(line)).toBe('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+    expect(decodePolygon('_p~iF~ps|U_ulLnnqC_mqNvxq`@')).toEqual(line);
+  });
+
+  it('round-trips to about a metre', () => {
+    const polygon = [{ lat: 51.752021, lon: -1.257726 }, { lat: 51.76, lon: -1.2 }, { lat: 51.7, lon: 190.5 }];
+    decodePolygon(encodePolygon(polygon)).forEach((point, i) => {
+      expect(point.lat).toBeCloseTo(polygon[i].lat, 5);
+      expect(point.lon).toBeCloseTo(polygon[i].lon, 5);
+    });
+  });
+
+  it('rejects malformed text', () => {
+    expect(decodePolygon('')).toBeNull();
+    expect(decodePolygon(null)).toBeNull();
+    expect(decodePolygon('_p~iF~ps|U')).toBeNull(); // One point
+    expect(decodePolygon('_p~iF~ps|U_ulLnnqC_mqN')).toBeNull(); // Missing a longitude
+    expect(decodePolygon('_p~iF~ps|U_ulLnnqC_mqNvxq`')).toBeNull(); // Cut off
+    expect(decodePolygon('hello world!')).toBeNull();
+  });
+});
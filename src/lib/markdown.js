@@ -0,0 +1,82 @@
+/**
+ * Markdown Text Utilities
+ *
+ * Converts location descriptions (markdown) into plain text for places
+ * where HTML is not allowed: meta descriptions, feeds, search snippets.
+ * Also renders self-contained HTML for documents read outside the site
+ * (feeds, KML).
+ */
+
+import { marked } from 'marked';
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&nbsp;': ' '
+};
+
+/**
+ * Render markdown and strip it down to plain text
+ * Link URLs, image sources and formatting markers are dropped; link and
+ * emphasis text is kept.
+ *
+ * @param {string} markdown - Markdown source
+ * @param {Object} [options]
+ * @param {boolean} [options.headings=true] - Include heading text
+ * @returns {string} Plain text with whitespace collapsed
+ */
+export function markdownToPlainText(markdown, { headings = true } = {}) {
+  let html = marked.parse(markdown || '', { async: false });
+
+  if (!headings) {
+    html = html.replace(/<h[1-6][^>]*>[\s\S]*?<\/h[1-6]>/gi, ' ');
+  }
+
+  // Block-level boundaries become spaces; inline tags vanish so "**333** m." stays tight
+  return html
+    .replace(/<\/(p|h[1-6]|li|ul|ol|blockquote|pre|div|table|tr|td|th)>|<br\s*\/?>|<hr\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => HTML_ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Shorten text to a maximum length at a word boundary
+ * @param {string} text - Plain text
+ * @param {number} [maxLength=160] - Maximum length including the ellipsis
+ * @returns {string} Truncated text (unchanged if already short enough)
+ */
+export function truncateText(text, maxLength = 160) {
+  if (!text || text.length <= maxLength) return text || '';
+
+  // Leave room for the ellipsis; keep the last word if it ends exactly at the cut
+  const cut = text.slice(0, maxLength - 1);
+  const boundary = /\s/.test(text[maxLength - 1]) ? cut.length : cut.lastIndexOf(' ');
+  const trimmed = boundary > maxLength / 2 ? cut.slice(0, boundary) : cut;
+  return `${trimmed.replace(/[\s,.;:]+$/, '')}…`;
+}
+
+/**
+ * Render markdown to HTML with absolute link and image URLs
+ * For HTML shown outside the site (feed readers, Google Earth):
+ * - paths starting with "/" are relative to the site (siteUrl is prepended)
+ * - bare paths are relative to the location's page (pageUrl is prepended)
+ *
+ * @param {string} markdown - Markdown source
+ * @param {Object} urls
+ * @param {string} urls.siteUrl - Origin plus base path, e.g. https://example.github.io/mapsicle
+ * @param {string} urls.pageUrl - Location page URL with trailing slash
+ * @returns {string} HTML
+ */
+export function markdownToAbsoluteHtml(markdown, { siteUrl, pageUrl }) {
+  const html = marked.parse(markdown || '', { async: false });
+
+  return html.replace(/\b(src|href)="([^"]+)"/g, (match, attr, value) => {
+    if (/^([a-z][a-z\d+.-]*:|\/\/|#)/i.test(value)) return match;
+    return `${attr}="${value.startsWith('/') ? siteUrl : pageUrl}${value}"`;
+  });
+}
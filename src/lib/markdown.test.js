@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { markdownToPlainText, markdownToAbsoluteHtml, truncateText } from './markdown';
+
+describe('markdownToPlainText()', () => {
+  it('strips formatting but keeps the words', () => {
+    expect(markdownToPlainText('Standing **333 meters** tall, see [the site](https://example.com).'))
+      .toBe('Standing 333 meters tall, see the site.');
+  });
+
+  it('drops image sources and decodes entities', () => {
+    expect(markdownToPlainText('Fish & chips ![alt](photo.jpg)')).toBe('Fish & chips');
+  });
+
+  it('separates block elements', () => {
+    expect(markdownToPlainText('# Title\n\n- one\n- two')).toBe('Title one two');
+  });
+
+  it('can skip headings', () => {
+    expect(markdownToPlainText('# Title\n\nBody text', { headings: false })).toBe('Body text');
+  });
+
+  it('handles empty input', () => {
+    expect(markdownToPlainText(undefined)).toBe('');
+  });
+});
+
+describe('truncateText()', () => {
+  it('leaves short text alone', () => {
+    expect(truncateText('Short text', 20)).toBe('Short text');
+  });
+
+  it('cuts at a word boundary and adds an ellipsis', () => {
+    expect(truncateText('The quick brown fox jumps over the lazy dog', 20)).toBe('The quick brown fox…');
+  });
+});
+
+describe('markdownToAbsoluteHtml()', () => {
+  const urls = { siteUrl: 'https://example.com/mapsicle', pageUrl: 'https://example.com/mapsicle/locations/paris/' };
+
+  it('resolves root-relative links against the site', () => {
+    expect(markdownToAbsoluteHtml('[Rome](/locations/rome/)', urls))
+      .toContain('href="https://example.com/mapsicle/locations/rome/"');
+  });
+
+  it('resolves bare paths against the location page', () => {
+    expect(markdownToAbsoluteHtml('![Tower](tower.jpg)', urls))
+      .toContain('src="https://example.com/mapsicle/locations/paris/tower.jpg"');
+  });
+
+  it('leaves absolute URLs and anchors alone', () => {
+    const html = markdownToAbsoluteHtml('[a](https://other.org/x) [b](mailto:a@b.c) [c](#top)', urls);
+    expect(html).toContain('href="https://other.org/x"');
+    expect(html).toContain('href="mailto:a@b.c"');
+    expect(html).toContain('href="#top"');
+  });
+
+  it('handles an empty description', () => {
+    expect(markdownToAbsoluteHtml('', urls)).toBe('');
+  });
+});
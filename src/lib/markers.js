@@ -0,0 +1,139 @@
+/**
+ * Map Marker Styles
+ *
+ * Built-in marker icons and the rules for picking one per location:
+ * 1. `icon:` / `color:` in the location's frontmatter
+ * 2. The first of its tags (or their parent tags from static/tags.yml)
+ *    listed in `config.markerStyles`
+ * 3. The default pink camera
+ *
+ * Browser-safe: used by Map.svelte and by validate.js (for icon names).
+ */
+
+import { tagAncestors, tagLabel, tagColor } from './tags.js';
+
+/** Default marker (the original camera) */
+export const DEFAULT_MARKER_ICON = 'camera';
+export const DEFAULT_MARKER_COLOR = '#FF6B9D';
+
+/** Outline color shared by every marker (matches the camera) */
+const OUTLINE = '#2A2A2A';
+
+/**
+ * Glyphs drawn inside the round badge marker (40x40 viewBox, centered on 20,18)
+ * Strokes use the outline color; `fill="#fff"` marks solid shapes
+ */
+const BADGE_GLYPHS = {
+  food: '<path d="M 16 11 V 25 M 14 11 V 15 Q 16 17.5 18 15 V 11 M 24 25 V 11 Q 21 14 22 19 H 24" fill="none"/>',
+  cafe: '<path d="M 14 15 H 24 V 20 A 4 4 0 0 1 20 24 H 18 A 4 4 0 0 1 14 20 Z M 24 16 H 25.5 A 2 2 0 0 1 25.5 20 H 24" fill="#fff"/><path d="M 17 10.5 V 12.5 M 21 10.5 V 12.5" fill="none"/>',
+  park: '<path d="M 20 10 L 14 20 H 26 Z" fill="#fff"/><path d="M 20 20 V 25" fill="none"/>',
+  mountain: '<path d="M 12 24 L 18 13 L 21 18.5 L 23 15.5 L 28 24 Z" fill="#fff"/>',
+  museum: '<path d="M 13 15 L 20 11 L 27 15 Z" fill="#fff"/><path d="M 13 24.5 H 27 M 15 16 V 23 M 18.3 16 V 23 M 21.7 16 V 23 M 25 16 V 23" fill="none"/>',
+  landmark: '<path d="M 16 25 V 11" fill="none"/><path d="M 16 12 H 25 L 23 15 L 25 18 H 16 Z" fill="#fff"/>',
+  beach: '<circle cx="20" cy="14.5" r="3" fill="#fff"/><path d="M 12.5 21 Q 14.5 19 16.5 21 T 20.5 21 T 24.5 21 T 27.5 21 M 12.5 24.5 Q 14.5 22.5 16.5 24.5 T 20.5 24.5 T 24.5 24.5 T 27.5 24.5" fill="none"/>',
+  city: '<path d="M 13 25 V 16 H 18 V 25 Z M 18 25 V 11.5 H 23.5 V 25 Z M 23.5 25 V 18 H 27 V 25 Z" fill="#fff"/>',
+  star: '<path d="M 20 10.5 L 22.2 15.6 L 27.5 16 L 23.4 19.5 L 24.7 24.8 L 20 22 L 15.3 24.8 L 16.6 19.5 L 12.5 16 L 17.8 15.6 Z" fill="#fff"/>',
+  heart: '<path d="M 20 24.5 C 11 18 13.5 11 18 12.5 C 19.2 13 20 14.5 20 14.5 C 20 14.5 20.8 13 22 12.5 C 26.5 11 29 18 20 24.5 Z" fill="#fff"/>'
+};
+
+/** Names usable as `icon:` in frontmatter and config.markerStyles */
+export const MARKER_ICONS = [DEFAULT_MARKER_ICON, ...Object.keys(BADGE_GLYPHS)];
+
+/**
+ * Keep a color only if it's safe to drop into SVG markup
+ * @param {*} color - Hex (#rgb, #rrggbb) or a CSS color name
+ * @returns {string|null} The color, or null
+ */
+function safeColor(color) {
+  return typeof color === 'string' && /^(#([0-9a-f]{3}|[0-9a-f]{6})|[a-z]+)$/i.test(color) ? color : null;
+}
+
+/**
+ * SVG markup for a marker
+ * @param {string} icon - One of MARKER_ICONS (unknown names fall back to the camera)
+ * @param {string} color - Fill color
+ * @returns {string} SVG markup (40x40, anchored at 20,35)
+ */
+export function markerSvg(icon, color = DEFAULT_MARKER_COLOR) {
+  const fill = safeColor(color) || DEFAULT_MARKER_COLOR;
+  const shadow = '<ellipse cx="20" cy="35" rx="12" ry="3" fill="rgba(0,0,0,0.2)" />';
+
+  if (!BADGE_GLYPHS[icon]) {
+    // Fun, whimsical camera with black outlines (the original marker)
+    return `<svg width="40" height="40" viewBox="0 0 40 40" xmlns="http://www.w3.org/2000/svg">
+      ${shadow}
+      <rect x="8" y="14" width="24" height="16" rx="2" fill="${fill}" stroke="${OUTLINE}" stroke-width="2"/>
+      <path d="M 14 14 L 16 10 L 24 10 L 26 14 Z" fill="${fill}" stroke="${OUTLINE}" stroke-width="2"/>
+      <circle cx="20" cy="22" r="6" fill="#FFFFFF" stroke="${OUTLINE}" stroke-width="2"/>
+      <circle cx="20" cy="22" r="4" fill="#6BA3FF" stroke="${OUTLINE}" stroke-width="1.5"/>
+      <circle cx="29" cy="17" r="1.5" fill="#FFD93D" stroke="${OUTLINE}" stroke-width="1"/>
+      <rect x="10" y="16" width="3" height="2" rx="0.5" fill="#FFD93D" stroke="${OUTLINE}" stroke-width="1"/>
+      <path d="M 30 8 L 31 10 L 33 11 L 31 12 L 30 14 L 29 12 L 27 11 L 29 10 Z" fill="#FFD93D" stroke="none"/>
+    </svg>`;
+  }
+
+  // Round badge with a pointer, glyph in the middle
+  return `<svg width="40" height="40" viewBox="0 0 40 40" xmlns="http://www.w3.org/2000/svg">
+      ${shadow}
+      <path d="M 14.5 29 L 20 35 L 25.5 29 Z" fill="${fill}" stroke="${OUTLINE}" stroke-width="2" stroke-linejoin="round"/>
+      <circle cx="20" cy="18" r="13" fill="${fill}" stroke="${OUTLINE}" stroke-width="2"/>
+      <g stroke="${OUTLINE}" stroke-width="1.75" stroke-linecap="round" stroke-linejoin="round">${BADGE_GLYPHS[icon]}</g>
+    </svg>`;
+}
+
+/**
+ * The tag that decides a location's category (first tag, or parent of a tag, in markerStyles)
+ * @param {Object} location - Location with optional tags
+ * @param {Object} markerStyles - Tag → { icon, color } (config.markerStyles)
+ * @param {Object} [taxonomy] - Tag taxonomy (for parent tags)
+ * @returns {string|null} Category tag
+ */
+export function markerCategory(location, markerStyles = {}, taxonomy = {}) {
+  for (const tag of location.tags || []) {
+    const match = [tag, ...tagAncestors(tag, taxonomy)].find(t => Object.hasOwn(markerStyles, t));
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Icon and color for a location's marker
+ * A category without its own color uses the tag's color from tags.yml.
+ * @param {Object} location - Location (optional `icon`, `color` and `tags`)
+ * @param {Object} markerStyles - Tag → { icon, color } (config.markerStyles)
+ * @param {Object} [taxonomy] - Tag taxonomy
+ * @returns {{icon: string, color: string, category: string|null}} Marker style
+ */
+export function markerStyle(location, markerStyles = {}, taxonomy = {}) {
+  const category = markerCategory(location, markerStyles, taxonomy);
+  const style = category ? markerStyles[category] || {} : {};
+  const icon = [location.icon, style.icon].find(name => MARKER_ICONS.includes(name)) || DEFAULT_MARKER_ICON;
+  const color = safeColor(location.color)
+    || safeColor(style.color)
+    || (category && tagColor(category, taxonomy))
+    || DEFAULT_MARKER_COLOR;
+  return { icon, color, category };
+}
+
+/**
+ * Legend entries: categories from markerStyles used by at least one location
+ * Listed in markerStyles order, each with its config icon/color (not frontmatter overrides).
+ * @param {Array<Object>} locations - Locations
+ * @param {Object} markerStyles - Tag → { icon, color }
+ * @param {Object} [taxonomy] - Tag taxonomy
+ * @returns {Array<{tag: string, label: string, icon: string, color: string, count: number}>} Entries
+ */
+export function markerLegend(locations, markerStyles = {}, taxonomy = {}) {
+  const counts = new Map();
+  locations.forEach(location => {
+    const category = markerCategory(location, markerStyles, taxonomy);
+    if (category) counts.set(category, (counts.get(category) || 0) + 1);
+  });
+
+  return Object.keys(markerStyles)
+    .filter(tag => counts.has(tag))
+    .map(tag => {
+      const { icon, color } = markerStyle({ tags: [tag] }, markerStyles, taxonomy);
+      return { tag, label: tagLabel(tag, taxonomy), icon, color, count: counts.get(tag) };
+    });
+}
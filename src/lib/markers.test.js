@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MARKER_ICONS,
+  DEFAULT_MARKER_ICON,
+  DEFAULT_MARKER_COLOR,
+  markerSvg,
+  markerCategory,
+  markerStyle,
+  markerLegend
+} from './markers';
+
+const markerStyles = {
+  food: { icon: 'food', color: '#F08C00' },
+  nature: { icon: 'park' },
+  history: { icon: 'landmark', color: '#FFD93D' }
+};
+
+const taxonomy = {
+  food: { label: 'Food & Drink', color: null, description: null, parent: null, aliases: [] },
+  ramen: { label: 'Ramen', color: null, description: null, parent: 'food', aliases: [] },
+  nature: { label: 'Nature', color: '#2F9E44', description: null, parent: null, aliases: [] }
+};
+
+describe('markerSvg()', () => {
+  it('draws every built-in icon as well-formed SVG in the given color', () => {
+    MARKER_ICONS.forEach(icon => {
+      const svg = markerSvg(icon, '#123456');
+      const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+      expect(doc.querySelector('svg')).not.toBeNull();
+      expect(svg).toContain('fill="#123456"');
+    });
+  });
+
+  it('falls back to the camera for unknown icons and unsafe colors', () => {
+    const svg = markerSvg('rocket', '"><script>');
+    expect(svg).toBe(markerSvg(DEFAULT_MARKER_ICON, DEFAULT_MARKER_COLOR));
+  });
+});
+
+describe('markerCategory()', () => {
+  it('uses the first tag listed in markerStyles', () => {
+    expect(markerCategory({ tags: ['city', 'history', 'food'] }, markerStyles)).toBe('history');
+  });
+
+  it('matches through parent tags', () => {
+    expect(markerCategory({ tags: ['ramen'] }, markerStyles, taxonomy)).toBe('food');
+  });
+
+  it('returns null without a matching tag', () => {
+    expect(markerCategory({ tags: ['city'] }, markerStyles)).toBeNull();
+    expect(markerCategory({}, markerStyles)).toBeNull();
+  });
+});
+
+describe('markerStyle()', () => {
+  it('uses the category style', () => {
+    expect(markerStyle({ tags: ['food'] }, markerStyles)).toEqual({ icon: 'food', color: '#F08C00', category: 'food' });
+  });
+
+  it('lets frontmatter icon and color win', () => {
+    expect(markerStyle({ tags: ['food'], icon: 'cafe', color: '#000' }, markerStyles))
+      .toEqual({ icon: 'cafe', color: '#000', category: 'food' });
+  });
+
+  it('falls back to the taxonomy color, then the default', () => {
+    expect(markerStyle({ tags: ['nature'] }, markerStyles, taxonomy).color).toBe('#2F9E44');
+    expect(markerStyle({ tags: ['nature'] }, markerStyles).color).toBe(DEFAULT_MARKER_COLOR);
+  });
+
+  it('uses the pink camera without a category', () => {
+    expect(markerStyle({ tags: ['city'] }, markerStyles)).toEqual({
+      icon: DEFAULT_MARKER_ICON,
+      color: DEFAULT_MARKER_COLOR,
+      category: null
+    });
+  });
+
+  it('ignores unknown icon names', () => {
+    expect(markerStyle({ icon: 'rocket', tags: ['food'] }, markerStyles).icon).toBe('food');
+  });
+});
+
+describe('markerLegend()', () => {
+  it('lists categories in use, in markerStyles order, with counts and labels', () => {
+    const locations = [
+      { tags: ['history'] },
+      { tags: ['ramen'] },
+      { tags: ['food', 'history'], icon: 'cafe' },
+      { tags: ['city'] }
+    ];
+
+    expect(markerLegend(locations, markerStyles, taxonomy)).toEqual([
+      { tag: 'food', label: 'Food & Drink', icon: 'food', color: '#F08C00', count: 2 },
+      { tag: 'history', label: 'history', icon: 'landmark', color: '#FFD93D', count: 1 }
+    ]);
+  });
+
+  it('is empty without marker styles', () => {
+    expect(markerLegend([{ tags: ['food'] }], {})).toEqual([]);
+  });
+});
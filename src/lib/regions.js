@@ -0,0 +1,143 @@
+/**
+ * Region Hierarchy Helpers
+ *
+ * Nested folders under static/locations/ form regions: a location at
+ * europe/france/eiffel-tower is in "europe/france", which is inside
+ * "europe". Optional _region.md files add display names, descriptions and
+ * bounds (parsed by $lib/server/regions.js); regions without one are named
+ * after their folder ("north-america" → "North America").
+ *
+ * Browser-safe: used by loadLocations() and the sidebar/detail panel.
+ */
+
+/**
+ * @typedef {Object} RegionBounds
+ * @property {number} south
+ * @property {number} west
+ * @property {number} north
+ * @property {number} east
+ */
+
+/**
+ * @typedef {Object} RegionNode
+ * @property {string} path - e.g. "europe/france"
+ * @property {string} name - Display name
+ * @property {string|null} description - Markdown from _region.md
+ * @property {number} count - Locations in this region and its subregions
+ * @property {RegionNode[]} children - Subregions, sorted by name
+ */
+
+/**
+ * Region of a location slug (its folder path without the location folder)
+ * @param {string} slug - e.g. "europe/france/eiffel-tower"
+ * @returns {string|null} e.g. "europe/france" (null for top-level locations)
+ */
+export function regionOf(slug) {
+  const index = slug.lastIndexOf('/');
+  return index === -1 ? null : slug.slice(0, index);
+}
+
+/**
+ * A region path and all of its ancestors, outermost first
+ * @param {string|null} path - e.g. "europe/france"
+ * @returns {string[]} e.g. ['europe', 'europe/france']
+ */
+export function regionLineage(path) {
+  if (!path) return [];
+  const segments = path.split('/');
+  return segments.map((_, i) => segments.slice(0, i + 1).join('/'));
+}
+
+/**
+ * Display name for a region
+ * @param {string} path - Region path
+ * @param {Object} regions - Region path → { name, description, bounds } from _region.md files
+ * @returns {string} Name from _region.md, else the folder name in title case
+ */
+export function regionName(path, regions = {}) {
+  if (regions[path]?.name) return regions[path].name;
+  const folder = path.slice(path.lastIndexOf('/') + 1);
+  return folder
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Check whether a location is in a region (directly or in a subregion)
+ * @param {Object} location - Location with a `region`
+ * @param {string} path - Region path
+ * @returns {boolean} True when inside
+ */
+export function isInRegion(location, path) {
+  const region = location.region;
+  return !!region && (region === path || region.startsWith(`${path}/`));
+}
+
+/**
+ * Breadcrumb trail for a region
+ * @param {string|null} path - Region path
+ * @param {Object} regions - Region details
+ * @returns {Array<{path: string, name: string}>} Outermost first
+ */
+export function regionBreadcrumbs(path, regions = {}) {
+  return regionLineage(path).map(p => ({ path: p, name: regionName(p, regions) }));
+}
+
+/**
+ * Build the region tree from the locations' regions
+ * Only regions containing at least one location appear.
+ * @param {Array<Object>} locations - Locations with `region`
+ * @param {Object} regions - Region details
+ * @returns {RegionNode[]} Top-level regions, sorted by name
+ */
+export function buildRegionTree(locations, regions = {}) {
+  const nodes = new Map();
+  const roots = [];
+
+  locations.forEach(location => {
+    let parent = null;
+    regionLineage(location.region).forEach(path => {
+      let node = nodes.get(path);
+      if (!node) {
+        node = { path, name: regionName(path, regions), description: regions[path]?.description || null, count: 0, children: [] };
+        nodes.set(path, node);
+        (parent ? parent.children : roots).push(node);
+      }
+      node.count++;
+      parent = node;
+    });
+  });
+
+  const sortNodes = list => {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    list.forEach(node => sortNodes(node.children));
+    return list;
+  };
+  return sortNodes(roots);
+}
+
+/**
+ * Area to show for a region
+ * @param {string} path - Region path
+ * @param {Array<Object>} locations - All locations
+ * @param {Object} regions - Region details
+ * @returns {RegionBounds|null} Bounds from _region.md, else around the region's
+ *   locations (null when none have coordinates)
+ */
+export function regionBounds(path, locations, regions = {}) {
+  if (regions[path]?.bounds) return regions[path].bounds;
+
+  const coords = locations
+    .filter(location => location.coords && isInRegion(location, path))
+    .map(location => location.coords);
+  if (coords.length === 0) return null;
+
+  return {
+    south: Math.min(...coords.map(c => c.lat)),
+    west: Math.min(...coords.map(c => c.lon)),
+    north: Math.max(...coords.map(c => c.lat)),
+    east: Math.max(...coords.map(c => c.lon))
+  };
+}
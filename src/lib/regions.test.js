@@ -0,0 +1,100 @@
+/**
+ * Region Hierarchy Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  regionOf,
+  regionLineage,
+  regionName,
+  isInRegion,
+  regionBreadcrumbs,
+  buildRegionTree,
+  regionBounds
+} from './regions';
+
+const regions = {
+  'europe/france': { name: 'La France', description: 'Wine and cheese', bounds: { south: 41, west: -5, north: 51, east: 10 } }
+};
+
+const locations = [
+  { slug: 'europe/france/louvre', region: 'europe/france', coords: { lat: 48.86, lon: 2.34 } },
+  { slug: 'europe/france/paris/eiffel', region: 'europe/france/paris', coords: { lat: 48.86, lon: 2.29 } },
+  { slug: 'europe/uk/big-ben', region: 'europe/uk', coords: { lat: 51.5, lon: -0.12 } },
+  { slug: 'north-america/denver', region: 'north-america', coords: { lat: 39.7, lon: -104.9 } },
+  { slug: 'north-america/somewhere', region: 'north-america', coords: null },
+  { slug: 'tokyo-tower', region: null, coords: { lat: 35.66, lon: 139.75 } }
+];
+
+describe('regionOf()', () => {
+  it('drops the location folder from the slug', () => {
+    expect(regionOf('europe/france/louvre')).toBe('europe/france');
+    expect(regionOf('tokyo-tower')).toBeNull();
+  });
+});
+
+describe('regionLineage()', () => {
+  it('lists a region and its ancestors, outermost first', () => {
+    expect(regionLineage('europe/france/paris')).toEqual(['europe', 'europe/france', 'europe/france/paris']);
+    expect(regionLineage(null)).toEqual([]);
+  });
+});
+
+describe('regionName()', () => {
+  it('prefers the name from _region.md', () => {
+    expect(regionName('europe/france', regions)).toBe('La France');
+  });
+
+  it('title-cases the folder name otherwise', () => {
+    expect(regionName('north-america')).toBe('North America');
+    expect(regionName('europe/united_kingdom')).toBe('United Kingdom');
+  });
+});
+
+describe('isInRegion()', () => {
+  it('matches the region and its subregions only', () => {
+    expect(isInRegion(locations[0], 'europe/france')).toBe(true);
+    expect(isInRegion(locations[1], 'europe/france')).toBe(true);
+    expect(isInRegion(locations[1], 'europe/fr')).toBe(false);
+    expect(isInRegion(locations[5], 'europe')).toBe(false);
+  });
+});
+
+describe('regionBreadcrumbs()', () => {
+  it('names each level', () => {
+    expect(regionBreadcrumbs('europe/france/paris', regions)).toEqual([
+      { path: 'europe', name: 'Europe' },
+      { path: 'europe/france', name: 'La France' },
+      { path: 'europe/france/paris', name: 'Paris' }
+    ]);
+  });
+});
+
+describe('buildRegionTree()', () => {
+  it('nests regions with counts that include subregions, sorted by name', () => {
+    const tree = buildRegionTree(locations, regions);
+
+    expect(tree.map(node => [node.path, node.count])).toEqual([['europe', 3], ['north-america', 2]]);
+    expect(tree[0].children.map(node => [node.name, node.count])).toEqual([['La France', 2], ['Uk', 1]]);
+    expect(tree[0].children[0]).toMatchObject({ description: 'Wine and cheese' });
+    expect(tree[0].children[0].children).toMatchObject([{ path: 'europe/france/paris', count: 1, children: [] }]);
+  });
+
+  it('is empty when no location is in a folder', () => {
+    expect(buildRegionTree([locations[5]])).toEqual([]);
+  });
+});
+
+describe('regionBounds()', () => {
+  it('uses bounds from _region.md', () => {
+    expect(regionBounds('europe/france', locations, regions)).toEqual(regions['europe/france'].bounds);
+  });
+
+  it('fits the region\'s locations otherwise', () => {
+    expect(regionBounds('europe', locations)).toEqual({ south: 48.86, west: -0.12, north: 51.5, east: 2.34 });
+  });
+
+  it('is null when no location in the region has coordinates', () => {
+    expect(regionBounds('north-america/nowhere', locations)).toBeNull();
+  });
+});
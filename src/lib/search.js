@@ -0,0 +1,272 @@
+/**
+ * Search Index
+ *
+ * Built once per location list (see `searchIndex` in stores/appState.js)
+ * rather than on every keystroke. Descriptions are indexed as plain text
+ * (markdown markers and link URLs dropped), and every field is folded to
+ * lowercase without diacritics so "zurich" finds "Zürich".
+ *
+ * Match ranges point back into the original plain text, so the sidebar can
+ * show a highlighted snippet of the description around the match. The same
+ * folded fields feed the search bar's suggestions (suggestSearches()).
+ */
+
+import Fuse from 'fuse.js';
+import { markdownToPlainText } from './markdown.js';
+import { tagLabel, tagSearchTerms } from './tags.js';
+
+/** Letters that don't decompose into a base letter plus accent */
+const SPECIAL_FOLDS = { ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i' };
+
+/** Fuzziness shared by all searches (0 = exact, 1 = anything) */
+const FUSE_THRESHOLD = 0.3;
+
+/** Characters of description shown in a snippet */
+const SNIPPET_LENGTH = 120;
+
+/** Suggestions shown per group in the search bar */
+const SUGGESTION_LIMIT = 5;
+
+/**
+ * Fold text for matching: lowercase, accents removed
+ * @param {string} text - Original text
+ * @returns {{text: string, offsets: number[]}} Folded text, and for each of its
+ *   characters the index of the original character it came from (plus a final
+ *   entry for the original length)
+ */
+export function foldText(text) {
+  const source = String(text ?? '');
+  let folded = '';
+  const offsets = [];
+
+  for (let i = 0; i < source.length;) {
+    const char = String.fromCodePoint(source.codePointAt(i));
+    const lower = char.toLowerCase();
+    // Drop the combining accents NFD splits off ("ü" becomes "u" plus a combining diaeresis)
+    const base = SPECIAL_FOLDS[lower] ?? lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    for (const unit of base) {
+      folded += unit;
+      for (let j = 0; j < unit.length; j++) offsets.push(i);
+    }
+    i += char.length;
+  }
+
+  offsets.push(source.length);
+  return { text: folded, offsets };
+}
+
+/**
+ * Fold text without keeping offsets (for queries and short fields)
+ * @param {string} text - Text
+ * @returns {string} Lowercase text without accents
+ */
+export function fold(text) {
+  return foldText(text).text;
+}
+
+/**
+ * @typedef {Object} SearchEntry
+ * @property {Object} location - The location
+ * @property {string} description - Description as plain text (what snippets quote)
+ * @property {{name: string, place: string, description: string, tags: string[]}} folded - Folded fields
+ * @property {number[]} descriptionOffsets - Folded → plain description offsets (see foldText())
+ */
+
+/**
+ * @typedef {Object} SearchIndex
+ * @property {SearchEntry[]} entries - One per location, in location order
+ * @property {Fuse} fuse - Fuzzy index over the folded fields
+ */
+
+/**
+ * Build the search index for a set of locations
+ * @param {Array<Object>} locations - Locations
+ * @param {Object} [taxonomy] - Tag taxonomy (labels, aliases and parent tags are searchable too)
+ * @returns {SearchIndex} Index
+ */
+export function createSearchIndex(locations, taxonomy = {}) {
+  const entries = locations.map(location => {
+    const description = markdownToPlainText(location.description);
+    const { text, offsets } = foldText(description);
+    return {
+      location,
+      description,
+      descriptionOffsets: offsets,
+      folded: {
+        name: fold(location.name),
+        place: fold(location.place),
+        description: text,
+        tags: tagSearchTerms(location.tags, taxonomy).map(fold)
+      }
+    };
+  });
+
+  const fuse = new Fuse(entries, {
+    keys: [
+      { name: 'name', weight: 2, getFn: entry => entry.folded.name },        // Highest priority
+      { name: 'place', weight: 1.5, getFn: entry => entry.folded.place },
+      // Tags plus their labels, aliases and parent tags from the taxonomy
+      { name: 'tags', weight: 1, getFn: entry => entry.folded.tags },
+      { name: 'description', weight: 0.5, getFn: entry => entry.folded.description } // Lowest priority
+    ],
+    threshold: FUSE_THRESHOLD,
+    ignoreLocation: true, // Matches deep in a description count as much as early ones
+    includeMatches: true
+  });
+
+  return { entries, fuse };
+}
+
+/**
+ * Convert folded-text ranges to plain-description ranges
+ * @param {SearchEntry} entry - Index entry
+ * @param {Array<[number, number]>} indices - Inclusive [start, end] pairs in folded text (as Fuse reports)
+ * @returns {Array<[number, number]>} [start, end) pairs in entry.description
+ */
+export function descriptionRanges(entry, indices) {
+  const offsets = entry.descriptionOffsets;
+  return indices.map(([start, end]) => {
+    // End where the next original character starts (covers accents folded away)
+    let next = end + 1;
+    while (next < offsets.length - 1 && offsets[next] === offsets[end]) next++;
+    return [offsets[start], offsets[next]];
+  });
+}
+
+/**
+ * Find every occurrence of a (folded) phrase in a folded text
+ * @param {string} text - Folded text
+ * @param {string} phrase - Folded phrase
+ * @returns {Array<[number, number]>} Inclusive [start, end] pairs
+ */
+export function findAll(text, phrase) {
+  const found = [];
+  if (!phrase) return found;
+  for (let i = text.indexOf(phrase); i !== -1; i = text.indexOf(phrase, i + phrase.length)) {
+    found.push([i, i + phrase.length - 1]);
+  }
+  return found;
+}
+
+/**
+ * Cut a highlighted snippet out of a description
+ * Centered on the longest match. Fuzzy search also reports stray fragments
+ * ("al" while matching "lakeside"), so matches under half the longest one's
+ * length aren't highlighted.
+ * @param {string} text - Plain description
+ * @param {Array<[number, number]>} ranges - [start, end) match ranges in text
+ * @param {number} [length] - Characters to show
+ * @returns {Array<{text: string, match: boolean}>|null} Segments to render, or null without matches
+ */
+export function buildSnippet(text, ranges, length = SNIPPET_LENGTH) {
+  const longest = Math.max(0, ...ranges.map(([start, end]) => end - start));
+  const shortest = Math.min(longest, Math.max(2, Math.ceil(longest / 2)));
+  const useful = ranges
+    .filter(([start, end]) => end - start >= shortest && end > start)
+    .sort((a, b) => a[0] - b[0]);
+  if (useful.length === 0) return null;
+
+  // Window around the longest match, widened to word boundaries
+  const [bestStart, bestEnd] = useful.reduce((best, range) => (range[1] - range[0] > best[1] - best[0] ? range : best));
+  let from = Math.max(0, Math.round((bestStart + bestEnd) / 2 - length / 2));
+  let to = Math.min(text.length, from + length);
+  from = Math.max(0, to - length);
+  if (from > 0) {
+    const space = text.lastIndexOf(' ', from);
+    from = space === -1 || from - space > 15 ? from : space + 1;
+  }
+  if (to < text.length) {
+    const space = text.indexOf(' ', to);
+    to = space === -1 || space - to > 15 ? to : space;
+  }
+
+  const segments = [];
+  let cursor = from;
+  useful.forEach(([start, end]) => {
+    const clippedStart = Math.max(start, cursor);
+    const clippedEnd = Math.min(end, to);
+    if (clippedStart >= clippedEnd) return;
+    if (clippedStart > cursor) segments.push({ text: text.slice(cursor, clippedStart), match: false });
+    segments.push({ text: text.slice(clippedStart, clippedEnd), match: true });
+    cursor = clippedEnd;
+  });
+  if (cursor < to) segments.push({ text: text.slice(cursor, to), match: false });
+
+  if (from > 0) segments.unshift({ text: '…', match: false });
+  if (to < text.length) segments.push({ text: '…', match: false });
+  return segments;
+}
+
+/**
+ * How well a folded text matches a folded query as you type
+ * @param {string} text - Folded text
+ * @param {string} query - Folded query
+ * @returns {number} 0 = starts with it, 1 = a word starts with it, 2 = contains it, -1 = no match
+ */
+function prefixRank(text, query) {
+  let index = text.indexOf(query);
+  if (index === -1) return -1;
+  if (index === 0) return 0;
+  for (; index !== -1; index = text.indexOf(query, index + 1)) {
+    if (!/[\p{L}\p{N}]/u.test(text[index - 1])) return 1;
+  }
+  return 2;
+}
+
+/**
+ * Best matches first (by rank, then alphabetically), at most `limit`
+ * @param {Array<{rank: number, label: string}>} candidates - Ranked candidates (rank -1 = no match)
+ * @param {number} limit - Maximum results
+ * @returns {Array<Object>} Matching candidates
+ */
+function topMatches(candidates, limit) {
+  return candidates
+    .filter(candidate => candidate.rank !== -1)
+    .sort((a, b) => a.rank - b.rank || a.label.localeCompare(b.label))
+    .slice(0, limit);
+}
+
+/**
+ * @typedef {Object} SearchSuggestions
+ * @property {Array<Object>} locations - Locations whose name matches
+ * @property {string[]} places - Distinct places that match
+ * @property {string[]} tags - Tags whose name, label or alias matches
+ */
+
+/**
+ * Suggest locations, places and tags for what's been typed so far
+ * Matches the start of words first, ignoring case and accents.
+ * @param {SearchIndex} index - From createSearchIndex()
+ * @param {string} query - Search bar text
+ * @param {string[]} tags - Tags to suggest from (e.g. allTags)
+ * @param {Object} [taxonomy] - Tag taxonomy (labels and aliases match too)
+ * @param {number} [limit] - Suggestions per group
+ * @returns {SearchSuggestions} Suggestions, empty for an empty query
+ */
+export function suggestSearches(index, query, tags, taxonomy = {}, limit = SUGGESTION_LIMIT) {
+  const folded = fold(query).trim();
+  if (!folded) return { locations: [], places: [], tags: [] };
+
+  const locations = topMatches(
+    index.entries.map(entry => ({ rank: prefixRank(entry.folded.name, folded), label: entry.location.name, entry })),
+    limit
+  ).map(({ entry }) => entry.location);
+
+  const places = topMatches(
+    [...new Set(index.entries.map(entry => entry.location.place).filter(Boolean))]
+      .map(place => ({ rank: prefixRank(fold(place), folded), label: place })),
+    limit
+  ).map(({ label }) => label);
+
+  const tagMatches = topMatches(
+    tags.map(tag => {
+      const ranks = [tag, tagLabel(tag, taxonomy), ...(taxonomy[tag]?.aliases || [])]
+        .map(term => prefixRank(fold(term), folded))
+        .filter(rank => rank !== -1);
+      return { rank: ranks.length > 0 ? Math.min(...ranks) : -1, label: tagLabel(tag, taxonomy), tag };
+    }),
+    limit
+  ).map(({ tag }) => tag);
+
+  return { locations, places, tags: tagMatches };
+}
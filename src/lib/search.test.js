@@ -0,0 +1,180 @@
+/**
+ * Search Index Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  foldText,
+  fold,
+  createSearchIndex,
+  descriptionRanges,
+  findAll,
+  buildSnippet,
+  suggestSearches
+} from './search';
+
+const locations = [
+  {
+    slug: 'zurich',
+    name: 'Zürich',
+    place: 'Zürich, Switzerland',
+    tags: ['city'],
+    description: 'See the *Großmünster* and [Café Odéon](https://example.com).'
+  },
+  {
+    slug: 'oslo',
+    name: 'Oslo',
+    place: 'Oslo, Norway',
+    tags: ['fjord'],
+    description: 'Opera house by the fjord.'
+  }
+];
+
+const taxonomy = { fjord: { label: 'Fjord', aliases: ['inlet'], parent: 'nature' } };
+
+describe('fold', () => {
+  it('lowercases and strips accents', () => {
+    expect(fold('Zürich Café ODÉON')).toBe('zurich cafe odeon');
+    expect(fold('Ærø Łódź')).toBe('aero lodz');
+  });
+
+  it('expands letters that have no accent-free form', () => {
+    expect(fold('Großmünster')).toBe('grossmunster');
+  });
+
+  it('handles missing text', () => {
+    expect(fold(null)).toBe('');
+  });
+});
+
+describe('foldText', () => {
+  it('maps every folded character back to the original', () => {
+    const { text, offsets } = foldText('Maß é');
+    expect(text).toBe('mass e');
+    expect(offsets).toEqual([0, 1, 2, 2, 3, 4, 5]);
+  });
+
+  it('keeps offsets for decomposed accents', () => {
+    const { text, offsets } = foldText('ét');
+    expect(text).toBe('et');
+    expect(offsets).toEqual([0, 2, 3]);
+  });
+});
+
+describe('createSearchIndex', () => {
+  const index = createSearchIndex(locations, taxonomy);
+
+  it('indexes descriptions as plain text', () => {
+    expect(index.entries[0].description).toBe('See the Großmünster and Café Odéon.');
+    expect(index.entries[0].folded.description).toBe('see the grossmunster and cafe odeon.');
+  });
+
+  it('indexes tag labels, aliases and parents', () => {
+    expect(index.entries[1].folded.tags).toEqual(expect.arrayContaining(['fjord', 'inlet', 'nature']));
+  });
+
+  it('finds accented text without accents', () => {
+    expect(index.fuse.search('zurich').map(result => result.item.location.slug)).toEqual(['zurich']);
+    expect(index.fuse.search({ description: 'odeon' }).map(result => result.item.location.slug)).toEqual(['zurich']);
+  });
+});
+
+describe('descriptionRanges', () => {
+  const [entry] = createSearchIndex(locations).entries;
+
+  it('converts folded ranges to plain-description ranges', () => {
+    const found = findAll(entry.folded.description, 'grossmunster');
+    const [[start, end]] = descriptionRanges(entry, found);
+    expect(entry.description.slice(start, end)).toBe('Großmünster');
+  });
+
+  it('covers a whole expanded letter', () => {
+    const found = findAll(entry.folded.description, 'gros');
+    const [[start, end]] = descriptionRanges(entry, found);
+    expect(entry.description.slice(start, end)).toBe('Groß');
+  });
+});
+
+describe('findAll', () => {
+  it('finds every occurrence', () => {
+    expect(findAll('abcabc', 'bc')).toEqual([[1, 2], [4, 5]]);
+    expect(findAll('abc', '')).toEqual([]);
+  });
+});
+
+describe('buildSnippet', () => {
+  const text = 'The old town sits on both banks of the river, with guild houses, narrow lanes and a lakeside promenade that runs all the way to the opera house and beyond into the hills.';
+
+  it('returns null without matches', () => {
+    expect(buildSnippet(text, [])).toBeNull();
+  });
+
+  it('centers on the match and marks it', () => {
+    const start = text.indexOf('lakeside');
+    const snippet = buildSnippet(text, [[start, start + 8]], 60);
+    const joined = snippet.map(segment => segment.text).join('');
+
+    expect(snippet.filter(segment => segment.match)).toEqual([{ text: 'lakeside', match: true }]);
+    expect(joined.startsWith('…')).toBe(true);
+    expect(joined.endsWith('…')).toBe(true);
+    expect(joined).toContain('lakeside promenade');
+  });
+
+  it('cuts at word boundaries', () => {
+    const start = text.indexOf('lakeside');
+    const inner = buildSnippet(text, [[start, start + 8]], 60)
+      .map(segment => segment.text)
+      .join('')
+      .slice(1, -1);
+
+    expect(text).toContain(inner);
+    expect(text[text.indexOf(inner) - 1]).toBe(' ');
+  });
+
+  it('ignores fuzzy fragments much shorter than the best match', () => {
+    const start = text.indexOf('lakeside');
+    const snippet = buildSnippet(text, [[4, 6], [start, start + 8]]);
+    expect(snippet.filter(segment => segment.match).map(segment => segment.text)).toEqual(['lakeside']);
+  });
+
+  it('shows short descriptions whole', () => {
+    expect(buildSnippet('Opera house by the fjord.', [[19, 24]])).toEqual([
+      { text: 'Opera house by the ', match: false },
+      { text: 'fjord', match: true },
+      { text: '.', match: false }
+    ]);
+  });
+});
+
+describe('suggestSearches', () => {
+  const places = [
+    ...locations,
+    { slug: 'lake-zurich', name: 'Lake Zurich', place: 'Zürich, Switzerland', tags: ['lake'], description: '' },
+    { slug: 'bergen', name: 'Bergen', place: 'Bergen, Norway', tags: ['city', 'fjord'], description: '' }
+  ];
+  const index = createSearchIndex(places, taxonomy);
+  const tags = ['city', 'fjord', 'lake', 'nature'];
+
+  it('suggests nothing for an empty query', () => {
+    expect(suggestSearches(index, '  ', tags)).toEqual({ locations: [], places: [], tags: [] });
+  });
+
+  it('puts names starting with the query before words starting with it', () => {
+    const { locations: found } = suggestSearches(index, 'zur', tags);
+    expect(found.map(location => location.slug)).toEqual(['zurich', 'lake-zurich']);
+  });
+
+  it('lists each place once, ignoring accents', () => {
+    expect(suggestSearches(index, 'zurich', tags).places).toEqual(['Zürich, Switzerland']);
+    expect(suggestSearches(index, 'norway', tags).places).toEqual(['Bergen, Norway', 'Oslo, Norway']);
+  });
+
+  it('matches tags by name, label and alias', () => {
+    expect(suggestSearches(index, 'cit', tags, taxonomy).tags).toEqual(['city']);
+    expect(suggestSearches(index, 'inl', tags, taxonomy).tags).toEqual(['fjord']);
+  });
+
+  it('limits each group', () => {
+    expect(suggestSearches(index, 'o', tags, taxonomy, 1).locations).toHaveLength(1);
+  });
+});
@@ -0,0 +1,353 @@
+/**
+ * Coordinate Parsing
+ *
+ * Normalizes the `coords` frontmatter field into { lat, lon }. Coordinates
+ * get pasted from all sorts of places, so these forms are accepted:
+ *
+ *   coords: { lat: 35.6586, lon: 139.7454 }       # map (each value may also be DMS)
+ *   coords: [35.6586, 139.7454]                   # [lat, lon] list
+ *   coords: 35.6586, 139.7454                     # "lat, lon" (comma or space separated)
+ *   coords: 35°39'31"N 139°44'43"E                # degrees/minutes/seconds
+ *   coords: https://www.google.com/maps/place/.../@35.6586,139.7454,17z/...
+ *   coords: https://www.openstreetmap.org/#map=17/35.6586/139.7454
+ *   coords: geo:35.6586,139.7454                  # geo: URI
+ *   coords: 8Q7XMP5W+9F                           # Open Location Code (full plus code)
+ *
+ * Shared by validate.js (build errors), loadLocations.js and scripts/geocode.js.
+ */
+
+/** Limits per axis */
+const RANGES = { lat: 90, lon: 180 };
+
+/** Hemisphere letters per axis, with their sign */
+const HEMISPHERES = { lat: { N: 1, S: -1 }, lon: { E: 1, W: -1 } };
+
+/** Degree, minute and second marks (including the typographic quotes phones produce) */
+const DMS_MARKS = /^[\s°º˚'′’"″”]*$/;
+
+/** Open Location Code digits; each encodes a value 0-19 */
+const OLC_ALPHABET = '23456789CFGHJMPQRVWX';
+
+/** Degrees covered by each digit pair of a plus code */
+const OLC_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+
+/** Forms listed in "can't read" errors */
+const ACCEPTED_FORMS = '"lat, lon", [lat, lon], degrees/minutes/seconds, a Google Maps or OpenStreetMap link, or a full plus code';
+
+/**
+ * Round to 6 decimal places (~10cm), as written by `npm run geocode`
+ * @param {number} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function round(value) {
+	return parseFloat(value.toFixed(6));
+}
+
+/**
+ * Check a parsed coordinate is within range
+ * @param {number} value - Coordinate
+ * @param {'lat'|'lon'} axis - Axis
+ * @returns {number} The value
+ * @throws {Error} If out of range
+ */
+function checkRange(value, axis) {
+	if (Math.abs(value) > RANGES[axis]) {
+		throw new Error(`${value} is out of range (-${RANGES[axis]} to ${RANGES[axis]})`);
+	}
+	return value;
+}
+
+/**
+ * Parse a single latitude or longitude
+ * Accepts numbers, numeric strings and degrees/minutes/seconds strings such as
+ * `35°39'30.2"N`, `35° 39.5' N`, `N 35 39 30` or `-35.6586°`.
+ * @param {*} value - Value from frontmatter
+ * @param {'lat'|'lon'} axis - Which coordinate this is (for hemisphere letters and range)
+ * @returns {number} Decimal degrees
+ * @throws {Error} With a message like `must be a number (got "north")`
+ */
+export function parseCoordinate(value, axis) {
+	if (typeof value === 'number' && Number.isFinite(value)) {
+		return checkRange(value, axis);
+	}
+
+	const invalid = new Error(`must be a number (got ${JSON.stringify(value ?? null)})`);
+	if (typeof value !== 'string' || value.trim() === '') {
+		throw invalid;
+	}
+
+	let text = value.trim();
+	if (/^[-+]?\d+(\.\d+)?$/.test(text)) {
+		return checkRange(Number(text), axis);
+	}
+
+	// Hemisphere letter before or after the number
+	let sign = 1;
+	const hemisphere = /^([A-Za-z])\s*(?=\d)|(?<=[\d\s°º˚'′’"″”])([A-Za-z])$/.exec(text);
+	if (hemisphere) {
+		const letter = (hemisphere[1] || hemisphere[2]).toUpperCase();
+		if (!(letter in HEMISPHERES[axis])) {
+			const other = axis === 'lat' ? 'longitude' : 'latitude';
+			throw new Error(letter in HEMISPHERES[axis === 'lat' ? 'lon' : 'lat']
+				? `has ${letter}, which is a ${other} direction (got ${JSON.stringify(value)})`
+				: invalid.message);
+		}
+		sign = HEMISPHERES[axis][letter];
+		text = text.slice(0, hemisphere.index) + text.slice(hemisphere.index + hemisphere[0].length);
+	}
+
+	text = text.trim();
+	if (/^[-−]/.test(text)) {
+		if (hemisphere) {
+			throw new Error(`has both a minus sign and a direction letter (got ${JSON.stringify(value)})`);
+		}
+		sign = -1;
+		text = text.slice(1);
+	}
+
+	// Up to three numbers (degrees, minutes, seconds) separated only by marks and spaces
+	const numbers = text.match(/\d+(\.\d+)?/g) || [];
+	if (numbers.length === 0 || numbers.length > 3 || !DMS_MARKS.test(text.replace(/\d+(\.\d+)?/g, ' '))) {
+		throw invalid;
+	}
+
+	const [degrees, minutes = 0, seconds = 0] = numbers.map(Number);
+	if (minutes >= 60 || seconds >= 60) {
+		throw new Error(`has minutes or seconds of 60 or more (got ${JSON.stringify(value)})`);
+	}
+	return checkRange(round(sign * (degrees + minutes / 60 + seconds / 3600)), axis);
+}
+
+/**
+ * Parse both halves of a coordinate pair, prefixing errors with the axis
+ * @param {*} lat - Latitude value
+ * @param {*} lon - Longitude value
+ * @param {string} label - Field name for messages, e.g. "coords"
+ * @returns {{lat: number, lon: number}} Coordinates
+ * @throws {Error} With `axis` set to the failing coordinate
+ */
+function parsePair(lat, lon, label) {
+	const coords = {};
+	for (const [axis, value] of [['lat', lat], ['lon', lon]]) {
+		try {
+			coords[axis] = parseCoordinate(value, axis);
+		} catch (err) {
+			const error = new Error(`\`${label}.${axis}\` ${err.message}`);
+			error.axis = axis;
+			throw error;
+		}
+	}
+	return coords;
+}
+
+/**
+ * Parse a [lat, lon] list or "lat, lon" string, spotting swapped halves
+ * Pasting "lon, lat" (GeoJSON order) is a common slip, so when the latitude
+ * is out of range but the swapped pair is valid, say so.
+ * @param {*} lat - Latitude value
+ * @param {*} lon - Longitude value
+ * @param {string} label - Field name for messages
+ * @param {*} original - Whole frontmatter value (for messages)
+ * @returns {{lat: number, lon: number}} Coordinates
+ */
+function parseLatLon(lat, lon, label, original) {
+	try {
+		return parsePair(lat, lon, label);
+	} catch (err) {
+		let swapped = null;
+		try {
+			swapped = parsePair(lon, lat, label);
+		} catch {
+			// Not swapped either - report the original problem
+		}
+		if (swapped && err.axis === 'lat') {
+			throw new Error(`\`${label}\` ${JSON.stringify(original)} looks like "lon, lat" - put latitude first`);
+		}
+		throw err;
+	}
+}
+
+/**
+ * Decode a full Open Location Code (plus code) to the center of its area
+ * @param {string} code - e.g. "8Q7XMP5W+9F" (padded codes like "8Q7X0000+" work too)
+ * @returns {{lat: number, lon: number}} Coordinates
+ * @throws {Error} For short (area-relative) or malformed codes
+ */
+export function decodePlusCode(code) {
+	const upper = code.trim().toUpperCase();
+	const [prefix, suffix = ''] = upper.split('+');
+
+	if (prefix.length < 8) {
+		throw new Error(`"${code}" is a short plus code - use the full code with its area prefix (e.g. 8Q7XMP5W+9F)`);
+	}
+	const padding = /0+$/.exec(prefix)?.[0] || '';
+	const valid = upper.split('+').length === 2 && prefix.length === 8 && suffix.length !== 1 &&
+		padding.length % 2 === 0 && (padding === '' || suffix === '') &&
+		[...prefix.slice(0, 8 - padding.length) + suffix].every(char => OLC_ALPHABET.includes(char)) &&
+		OLC_ALPHABET.indexOf(prefix[0]) <= 8 && OLC_ALPHABET.indexOf(prefix[1]) <= 17;
+	if (!valid) {
+		throw new Error(`"${code}" is not a valid plus code`);
+	}
+
+	const digits = (prefix.slice(0, 8 - padding.length) + suffix).split('').map(char => OLC_ALPHABET.indexOf(char));
+	let lat = -90;
+	let lon = -180;
+	let latSize = 0;
+	let lonSize = 0;
+
+	// First 10 digits: alternating latitude/longitude pairs
+	for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+		latSize = lonSize = OLC_PAIR_RESOLUTIONS[i / 2];
+		lat += digits[i] * latSize;
+		lon += digits[i + 1] * lonSize;
+	}
+
+	// Further digits refine a 5-row by 4-column grid
+	for (const digit of digits.slice(10)) {
+		latSize /= 5;
+		lonSize /= 4;
+		lat += Math.floor(digit / 4) * latSize;
+		lon += (digit % 4) * lonSize;
+	}
+
+	return { lat: round(lat + latSize / 2), lon: round(lon + lonSize / 2) };
+}
+
+/**
+ * Find coordinates in a "lat,lon" pair inside a URL parameter
+ * @param {string|null} value - Parameter value
+ * @returns {{lat: string, lon: string}|null} Raw values
+ */
+function urlPair(value) {
+	const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(value || '');
+	return match ? { lat: match[1], lon: match[2] } : null;
+}
+
+/**
+ * Extract coordinates from a Google Maps, OpenStreetMap or geo: link
+ * @param {string} text - Link
+ * @returns {{lat: string, lon: string}} Raw values
+ * @throws {Error} If the link isn't supported or holds no coordinates
+ */
+function coordsFromUrl(text) {
+	if (/^geo:/i.test(text)) {
+		const pair = urlPair(text.slice(4).split(/[;?]/)[0]);
+		if (pair) return pair;
+		throw new Error(`can't read coordinates from geo: link "${text}"`);
+	}
+
+	let url;
+	try {
+		url = new URL(text);
+	} catch {
+		throw new Error(`"${text}" is not a valid link`);
+	}
+	const host = url.hostname.replace(/^www\./, '');
+	const params = url.searchParams;
+
+	if (host === 'goo.gl' || host === 'maps.app.goo.gl') {
+		throw new Error(`short links like "${text}" can't be read offline - open it and copy the full Google Maps URL`);
+	}
+
+	if (/^(maps\.)?google\.[a-z.]+$/.test(host)) {
+		// !3d/!4d is the dropped pin; @lat,lon is only the map view, so it comes last
+		const pin = /!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/.exec(text);
+		const view = /@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/.exec(url.pathname);
+		const pair = (pin && { lat: pin[1], lon: pin[2] }) ||
+			urlPair(params.get('q')) || urlPair(params.get('query')) || urlPair(params.get('ll')) ||
+			urlPair(params.get('center')) || (view && { lat: view[1], lon: view[2] });
+		if (pair) return pair;
+		throw new Error(`Google Maps link has no coordinates - right-click the place in Google Maps and copy the coordinates instead`);
+	}
+
+	if (host === 'openstreetmap.org') {
+		// mlat/mlon is the marker; #map=zoom/lat/lon is the map view
+		const view = /map=\d+(?:\.\d+)?\/(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)/.exec(url.hash);
+		if (params.has('mlat') && params.has('mlon')) return { lat: params.get('mlat'), lon: params.get('mlon') };
+		if (view) return { lat: view[1], lon: view[2] };
+		if (params.has('lat') && params.has('lon')) return { lat: params.get('lat'), lon: params.get('lon') };
+		throw new Error(`OpenStreetMap link has no coordinates - use the Share button's link`);
+	}
+
+	throw new Error(`unsupported link "${text}" - use a Google Maps or OpenStreetMap link`);
+}
+
+/**
+ * Split a coordinate string into its latitude and longitude halves
+ * @param {string} text - e.g. "35.6586, 139.7454" or `35°39'31"N 139°44'43"E`
+ * @returns {[string, string]|null} Halves, or null if it doesn't look like a pair
+ */
+function splitPair(text) {
+	// A comma always separates the halves
+	const parts = text.split(',');
+	if (parts.length === 2) return parts;
+
+	// Otherwise split after a trailing N/S (35°39'31"N 139°44'43"E) or before a leading E/W (N 35.6 E 139.7)
+	const suffixed = /^(.*?\d[\s°º˚'′’"″”]*[NSns])\s+(.+)$/.exec(text);
+	if (suffixed) return [suffixed[1], suffixed[2]];
+	const prefixed = /^([NSns].*?)\s+([EWew]\s*\d.*)$/.exec(text);
+	if (prefixed) return [prefixed[1], prefixed[2]];
+
+	// Or two plain numbers separated by whitespace
+	const plain = /^(\S+)\s+(\S+)$/.exec(text);
+	return plain ? [plain[1], plain[2]] : null;
+}
+
+/**
+ * Normalize a `coords` frontmatter value into { lat, lon }
+ * @param {*} value - Frontmatter value (see module comment for accepted forms)
+ * @param {Object} [options]
+ * @param {string} [options.label='coords'] - Field name used in error messages
+ * @returns {{lat: number, lon: number}|null} Coordinates, or null if missing/blank
+ * @throws {Error} With a message saying what's wrong; `error.axis` is set when
+ *   one half of a map or list is the problem
+ */
+export function parseCoords(value, { label = 'coords' } = {}) {
+	if (value == null || (typeof value === 'string' && value.trim() === '')) {
+		return null;
+	}
+
+	if (Array.isArray(value)) {
+		if (value.length !== 2) {
+			throw new Error(`\`${label}\` list must be [lat, lon] (got ${value.length} values)`);
+		}
+		return parseLatLon(value[0], value[1], label, value);
+	}
+
+	if (typeof value === 'object') {
+		// new-location's template leaves both blank until geocoded
+		if (value.lat == null && value.lon == null) {
+			return null;
+		}
+		return parsePair(value.lat, value.lon, label);
+	}
+
+	if (typeof value !== 'string') {
+		throw new Error(`can't read \`${label}\` ${JSON.stringify(value)} - use ${ACCEPTED_FORMS}`);
+	}
+
+	const text = value.trim();
+
+	try {
+		if (/^(https?:\/\/|geo:)/i.test(text)) {
+			const { lat, lon } = coordsFromUrl(text);
+			return parsePair(lat, lon, label);
+		}
+		if (/^[0-9A-Z]{2,8}\+[0-9A-Z]*(\s|$)/i.test(text)) {
+			if (/\s/.test(text)) {
+				throw new Error(`"${text}" is a short plus code - use the full code with its area prefix (e.g. 8Q7XMP5W+9F)`);
+			}
+			return decodePlusCode(text);
+		}
+	} catch (err) {
+		if (err.axis) throw err;
+		throw new Error(`\`${label}\` ${err.message}`);
+	}
+
+	const halves = splitPair(text);
+	if (!halves) {
+		throw new Error(`can't read \`${label}\` ${JSON.stringify(value)} - use ${ACCEPTED_FORMS}`);
+	}
+
+	return parseLatLon(halves[0].trim(), halves[1].trim(), label, value);
+}
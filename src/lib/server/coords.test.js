@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import { parseCoords, parseCoordinate, decodePlusCode } from './coords';
+
+const tokyoTower = { lat: 35.6586, lon: 139.7454 };
+
+describe('parseCoords()', () => {
+  it('accepts a { lat, lon } map', () => {
+    expect(parseCoords({ lat: 35.6586, lon: 139.7454 })).toEqual(tokyoTower);
+    expect(parseCoords({ lat: '35.6586', lon: `139°44'43.44"E` })).toEqual(tokyoTower);
+  });
+
+  it('accepts a [lat, lon] list', () => {
+    expect(parseCoords([35.6586, 139.7454])).toEqual(tokyoTower);
+  });
+
+  it('accepts "lat, lon" strings, with or without a comma', () => {
+    expect(parseCoords('35.6586, 139.7454')).toEqual(tokyoTower);
+    expect(parseCoords('35.6586,139.7454')).toEqual(tokyoTower);
+    expect(parseCoords('  35.6586   139.7454 ')).toEqual(tokyoTower);
+    expect(parseCoords('-33.8568, 151.2153')).toEqual({ lat: -33.8568, lon: 151.2153 });
+  });
+
+  it('accepts degrees/minutes/seconds in common notations', () => {
+    const expected = { lat: 35.6586, lon: 139.7454 };
+    expect(parseCoords(`35°39'30.96"N 139°44'43.44"E`)).toEqual(expected);
+    expect(parseCoords('35°39′30.96″N, 139°44′43.44″E')).toEqual(expected);
+    expect(parseCoords('N 35 39 30.96 E 139 44 43.44')).toEqual(expected);
+    expect(parseCoords('35.6586N 139.7454E')).toEqual(expected);
+    expect(parseCoords(`33°51'24.5"S 151°12'55.1"E`)).toEqual({ lat: -33.856806, lon: 151.215306 });
+    expect(parseCoords(`40° 26.767' N, 79° 58.933' W`)).toEqual({ lat: 40.446117, lon: -79.982217 });
+  });
+
+  it('reads the pin from Google Maps links, falling back to the map view', () => {
+    expect(parseCoords('https://www.google.com/maps/place/Tokyo+Tower/@35.6585805,139.7428526,17z/data=!3m1!4b1!4m6!3m5!1s0x0:0x0!8m2!3d35.6585805!4d139.7454329'))
+      .toEqual({ lat: 35.6585805, lon: 139.7454329 });
+    expect(parseCoords('https://www.google.com/maps/@35.6586,139.7454,15z')).toEqual(tokyoTower);
+    expect(parseCoords('https://maps.google.com/?q=35.6586,139.7454')).toEqual(tokyoTower);
+    expect(parseCoords('https://www.google.com/maps/search/?api=1&query=35.6586%2C139.7454')).toEqual(tokyoTower);
+  });
+
+  it('reads OpenStreetMap links (marker first, then map view) and geo: URIs', () => {
+    expect(parseCoords('https://www.openstreetmap.org/#map=17/35.6586/139.7454')).toEqual(tokyoTower);
+    expect(parseCoords('https://www.openstreetmap.org/?mlat=35.6586&mlon=139.7454#map=12/35.7/139.8')).toEqual(tokyoTower);
+    expect(parseCoords('geo:35.6586,139.7454;u=35')).toEqual(tokyoTower);
+  });
+
+  it('decodes full plus codes', () => {
+    expect(parseCoords('8Q7XMP5W+9F')).toEqual({ lat: 35.658437, lon: 139.746187 });
+  });
+
+  it('treats missing and blank values as no coords', () => {
+    expect(parseCoords(undefined)).toBeNull();
+    expect(parseCoords('')).toBeNull();
+    expect(parseCoords({ lat: null, lon: null })).toBeNull();
+  });
+
+  it('explains unreadable values', () => {
+    expect(() => parseCoords('near the station')).toThrow('can\'t read `coords` "near the station"');
+    expect(() => parseCoords(42)).toThrow('can\'t read `coords` 42');
+    expect(() => parseCoords([1, 2, 3])).toThrow('`coords` list must be [lat, lon] (got 3 values)');
+    expect(() => parseCoords({ lat: 35.6586 })).toThrow('`coords.lon` must be a number (got null)');
+  });
+
+  it('reports the failing half with its axis', () => {
+    let error;
+    try {
+      parseCoords({ lat: 95, lon: 0 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toBe('`coords.lat` 95 is out of range (-90 to 90)');
+    expect(error.axis).toBe('lat');
+  });
+
+  it('spots "lon, lat" order', () => {
+    expect(() => parseCoords('139.7454, 35.6586')).toThrow('looks like "lon, lat" - put latitude first');
+    expect(() => parseCoords([139.7454, 35.6586])).toThrow('looks like "lon, lat"');
+  });
+
+  it('rejects links it cannot read', () => {
+    expect(() => parseCoords('https://maps.app.goo.gl/abc123')).toThrow('short links');
+    expect(() => parseCoords('https://www.google.com/maps/place/Tokyo+Tower')).toThrow('Google Maps link has no coordinates');
+    expect(() => parseCoords('https://www.openstreetmap.org/way/12345')).toThrow('OpenStreetMap link has no coordinates');
+    expect(() => parseCoords('https://example.com/?lat=1&lon=2')).toThrow('unsupported link');
+  });
+
+  it('uses the given label in messages', () => {
+    expect(() => parseCoords('nowhere', { label: 'center' })).toThrow('can\'t read `center`');
+  });
+});
+
+describe('parseCoordinate()', () => {
+  it('applies hemisphere letters and minus signs', () => {
+    expect(parseCoordinate('33.8568 S', 'lat')).toBe(-33.8568);
+    expect(parseCoordinate('w 79.98', 'lon')).toBe(-79.98);
+    expect(parseCoordinate('−1.2577°', 'lon')).toBe(-1.2577);
+  });
+
+  it('rejects mismatched or contradictory notation', () => {
+    expect(() => parseCoordinate('35.6E', 'lat')).toThrow('has E, which is a longitude direction');
+    expect(() => parseCoordinate('-35.6S', 'lat')).toThrow('both a minus sign and a direction letter');
+    expect(() => parseCoordinate('35 61 00', 'lat')).toThrow('minutes or seconds of 60 or more');
+    expect(() => parseCoordinate('35.6.1', 'lat')).toThrow('must be a number (got "35.6.1")');
+  });
+
+  it('checks ranges', () => {
+    expect(() => parseCoordinate(180.5, 'lon')).toThrow('180.5 is out of range (-180 to 180)');
+    expect(() => parseCoordinate(`91°N`, 'lat')).toThrow('91 is out of range (-90 to 90)');
+  });
+});
+
+describe('decodePlusCode()', () => {
+  it('returns the center of the code area', () => {
+    const { lat, lon } = decodePlusCode('8FVC9G8F+6X');
+    expect(lat).toBeCloseTo(47.3655625, 5);
+    expect(lon).toBeCloseTo(8.5249375, 5);
+  });
+
+  it('handles padded and longer codes', () => {
+    expect(decodePlusCode('8FVC0000+')).toEqual({ lat: 47.5, lon: 8.5 });
+    const precise = decodePlusCode('8FVC9G8F+6XQ');
+    expect(precise.lat).toBeGreaterThan(47.3655);
+    expect(precise.lat).toBeLessThan(47.365625);
+  });
+
+  it('rejects short and malformed codes', () => {
+    expect(() => decodePlusCode('9G8F+6X')).toThrow('short plus code');
+    expect(() => parseCoords('MP5W+9F Minato City, Tokyo')).toThrow('short plus code');
+    expect(() => decodePlusCode('8FVC9G8F+6')).toThrow('not a valid plus code');
+    expect(() => decodePlusCode('8FVC9G8A+6X')).toThrow('not a valid plus code');
+    expect(() => decodePlusCode('XFVC9G8F+6X')).toThrow('not a valid plus code');
+  });
+});
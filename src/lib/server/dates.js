@@ -0,0 +1,91 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Location Dates
+ *
+ * Resolves the `updated` timestamp used for Discover ordering and the
+ * home-mode sort, in priority order:
+ * 1. Explicit `updated:` frontmatter date
+ * 2. Last git commit touching the location folder
+ * 3. index.md modification time
+ *
+ * File mtime alone is useless in CI: a fresh checkout gives every file
+ * the same timestamp. Git history survives checkouts (as long as the
+ * workflow fetches full history - see .github/workflows/deploy.yml).
+ */
+
+/**
+ * Parse a frontmatter date value
+ * YAML turns `2024-01-15` into a Date; quoted strings and numbers are accepted too
+ * @param {*} value - Frontmatter value
+ * @returns {number|null} Milliseconds since epoch, or null if absent/invalid
+ */
+export function parseFrontmatterDate(value) {
+	if (value == null || value === '') return null;
+
+	const time = value instanceof Date
+		? value.getTime()
+		: typeof value === 'number'
+		? value
+		: Date.parse(String(value));
+
+	return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Last commit time of every folder under a directory, from a single `git log`
+ *
+ * @param {string} rootDir - Directory to inspect (usually static/locations)
+ * @returns {Map<string, number>} Folder path relative to rootDir (using "/") → commit time in ms.
+ *   Empty if git is unavailable or rootDir is not inside a repository.
+ */
+export function gitFolderTimes(rootDir) {
+	const folderTimes = new Map();
+
+	let output;
+	try {
+		output = execFileSync(
+			'git',
+			['-c', 'core.quotePath=false', 'log', '--format=%x00%ct', '--name-only', '--relative', '--', '.'],
+			{ cwd: rootDir, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 64 * 1024 * 1024 }
+		);
+	} catch (err) {
+		// Not a git checkout (or git not installed) - callers fall back to mtime
+		return folderTimes;
+	}
+
+	// Commits are newest first, so the first time a folder is seen is its latest change
+	for (const commit of output.split('\0').slice(1)) {
+		const [timestamp, ...files] = commit.split('\n');
+		const time = Number(timestamp) * 1000;
+
+		for (const file of files) {
+			if (!file) continue;
+			let folder = path.posix.dirname(file);
+			while (folder !== '.' && !folderTimes.has(folder)) {
+				folderTimes.set(folder, time);
+				folder = path.posix.dirname(folder);
+			}
+		}
+	}
+
+	return folderTimes;
+}
+
+/**
+ * Resolve a location's `updated` timestamp
+ *
+ * @param {Object} params
+ * @param {Object} params.frontmatter - Parsed frontmatter
+ * @param {string} params.relativePath - Location folder relative to the locations root
+ * @param {string} params.markdownFilePath - Path to index.md (for the mtime fallback)
+ * @param {Map<string, number>} params.folderTimes - Result of gitFolderTimes()
+ * @returns {number} Milliseconds since epoch
+ */
+export function resolveUpdated({ frontmatter, relativePath, markdownFilePath, folderTimes }) {
+	return parseFrontmatterDate(frontmatter.updated)
+		?? folderTimes.get(relativePath)
+		?? fs.statSync(markdownFilePath).mtime.getTime();
+}
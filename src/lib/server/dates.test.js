@@ -0,0 +1,161 @@
+/**
+ * Location Date Tests
+ *
+ * Runs against a throwaway git repository so the git-history fallback is
+ * exercised for real (commit dates are pinned via GIT_*_DATE).
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseFrontmatterDate, gitFolderTimes, resolveUpdated } from './dates';
+import { loadLocations } from './loadLocations';
+
+let repoDir;
+let locationsDir;
+
+/**
+ * Run git in the temp repo with a fixed identity and commit date
+ */
+function git(args, date) {
+  const env = { ...process.env };
+  if (date) {
+    env.GIT_AUTHOR_DATE = date;
+    env.GIT_COMMITTER_DATE = date;
+  }
+  execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: repoDir,
+    env,
+    stdio: 'ignore'
+  });
+}
+
+/**
+ * Write a location index.md (relative to static/locations)
+ */
+function writeLocation(slug, frontmatter = '') {
+  const dir = path.join(locationsDir, slug);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, 'index.md'),
+    `---\nname: ${slug}\nplace: Somewhere\ncoords:\n  lat: 1\n  lon: 2\n${frontmatter}---\n\nBody\n`
+  );
+}
+
+/**
+ * Commit everything at a fixed date
+ */
+function commitAll(date) {
+  git(['add', '-A']);
+  git(['commit', '-q', '-m', `commit at ${date}`], date);
+}
+
+beforeEach(() => {
+  repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dates-test-'));
+  locationsDir = path.join(repoDir, 'static', 'locations');
+  fs.mkdirSync(locationsDir, { recursive: true });
+  git(['init', '-q']);
+});
+
+afterEach(() => {
+  fs.rmSync(repoDir, { recursive: true, force: true });
+});
+
+describe('parseFrontmatterDate()', () => {
+  it('accepts YAML dates, ISO strings and timestamps', () => {
+    expect(parseFrontmatterDate(new Date('2024-01-15T00:00:00Z'))).toBe(Date.UTC(2024, 0, 15));
+    expect(parseFrontmatterDate('2024-01-15')).toBe(Date.UTC(2024, 0, 15));
+    expect(parseFrontmatterDate(1700000000000)).toBe(1700000000000);
+  });
+
+  it('returns null for missing or invalid values', () => {
+    expect(parseFrontmatterDate(undefined)).toBeNull();
+    expect(parseFrontmatterDate('')).toBeNull();
+    expect(parseFrontmatterDate('last summer')).toBeNull();
+  });
+});
+
+describe('gitFolderTimes()', () => {
+  it('returns the latest commit touching each folder, including nested ones', () => {
+    writeLocation('tokyo-tower');
+    writeLocation('usa/colorado/denver');
+    commitAll('2024-01-01T00:00:00Z');
+
+    fs.writeFileSync(path.join(locationsDir, 'tokyo-tower', 'photo.jpg'), '');
+    commitAll('2024-03-01T00:00:00Z');
+
+    const times = gitFolderTimes(locationsDir);
+    expect(times.get('tokyo-tower')).toBe(Date.UTC(2024, 2, 1));
+    expect(times.get('usa/colorado/denver')).toBe(Date.UTC(2024, 0, 1));
+  });
+
+  it('returns an empty map outside a git repository', () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'dates-nogit-'));
+    try {
+      expect(gitFolderTimes(outside).size).toBe(0);
+    } finally {
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('resolveUpdated()', () => {
+  const markdownFilePath = () => path.join(locationsDir, 'tokyo-tower', 'index.md');
+
+  beforeEach(() => {
+    writeLocation('tokyo-tower');
+  });
+
+  it('prefers the frontmatter date', () => {
+    const folderTimes = new Map([['tokyo-tower', Date.UTC(2024, 2, 1)]]);
+
+    expect(resolveUpdated({
+      frontmatter: { updated: new Date(Date.UTC(2020, 5, 1)) },
+      relativePath: 'tokyo-tower',
+      markdownFilePath: markdownFilePath(),
+      folderTimes
+    })).toBe(Date.UTC(2020, 5, 1));
+  });
+
+  it('falls back to git history', () => {
+    const folderTimes = new Map([['tokyo-tower', Date.UTC(2024, 2, 1)]]);
+
+    expect(resolveUpdated({
+      frontmatter: {},
+      relativePath: 'tokyo-tower',
+      markdownFilePath: markdownFilePath(),
+      folderTimes
+    })).toBe(Date.UTC(2024, 2, 1));
+  });
+
+  it('falls back to file mtime for uncommitted locations', () => {
+    const mtime = new Date(Date.UTC(2023, 6, 4));
+    fs.utimesSync(markdownFilePath(), mtime, mtime);
+
+    expect(resolveUpdated({
+      frontmatter: {},
+      relativePath: 'tokyo-tower',
+      markdownFilePath: markdownFilePath(),
+      folderTimes: new Map()
+    })).toBe(mtime.getTime());
+  });
+});
+
+describe('loadLocations() dates', () => {
+  it('exposes updated (frontmatter > git > mtime) and visited', () => {
+    writeLocation('explicit', 'updated: 2022-02-02\nvisited: 2019-08-10\n');
+    writeLocation('committed');
+    commitAll('2024-01-01T00:00:00Z');
+
+    const bySlug = Object.fromEntries(
+      loadLocations({ locationsDirectory: locationsDir }).map(loc => [loc.slug, loc])
+    );
+
+    expect(bySlug.explicit.updated).toBe(Date.UTC(2022, 1, 2));
+    expect(bySlug.explicit.visited).toBe(Date.UTC(2019, 7, 10));
+    expect(bySlug.committed.updated).toBe(Date.UTC(2024, 0, 1));
+    expect(bySlug.committed.visited).toBeNull();
+  });
+});
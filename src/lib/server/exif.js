@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+import exifReader from 'exif-reader';
+
+/**
+ * Photo EXIF Metadata
+ *
+ * Reads the EXIF block camera JPEGs carry, for:
+ * - `npm run geocode -- --from-exif` (coordinates from the hero's GPS tags)
+ * - loadLocations() (capture date and camera settings shown in ImageViewer,
+ *   and `carouselOrder: chronological` sorting)
+ *
+ * Only the start of each file is read, so this stays cheap enough to run
+ * synchronously inside load(). GPS is never copied onto location objects.
+ */
+
+/** EXIF lives in an APP1 segment near the start; 256KB covers it plus any APP0/ICC segments before it */
+const HEADER_BYTES = 256 * 1024;
+
+/**
+ * Find the EXIF (APP1) segment in a JPEG header
+ * @param {Buffer} buffer - Start of a JPEG file
+ * @returns {Buffer|null} Segment payload starting with "Exif\0\0", or null
+ */
+function findExifSegment(buffer) {
+	// SOI marker
+	if (buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+	let offset = 2;
+	while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+		const marker = buffer[offset + 1];
+		const length = buffer.readUInt16BE(offset + 2);
+
+		// Start of scan: image data follows, no more metadata
+		if (marker === 0xda) return null;
+
+		const payload = buffer.subarray(offset + 4, offset + 2 + length);
+		if (marker === 0xe1 && payload.toString('binary', 0, 6) === 'Exif\0\0') {
+			return payload;
+		}
+
+		offset += 2 + length;
+	}
+
+	return null;
+}
+
+/**
+ * Read and parse the EXIF tags of a local image
+ * @param {string} filePath - Path to the image
+ * @returns {Object|null} exif-reader result ({ Image, Photo, GPSInfo, ... }), or null if the
+ *   file isn't a JPEG, has no EXIF, or can't be read
+ */
+export function readExif(filePath) {
+	const ext = path.extname(filePath).toLowerCase();
+	if (ext !== '.jpg' && ext !== '.jpeg') return null;
+
+	let fd;
+	try {
+		fd = fs.openSync(filePath, 'r');
+		const buffer = Buffer.alloc(HEADER_BYTES);
+		const bytesRead = fs.readSync(fd, buffer, 0, HEADER_BYTES, 0);
+		const segment = findExifSegment(buffer.subarray(0, bytesRead));
+		return segment ? exifReader(segment) : null;
+	} catch (err) {
+		// Missing file or corrupt EXIF - treat as no metadata
+		return null;
+	} finally {
+		if (fd !== undefined) fs.closeSync(fd);
+	}
+}
+
+/**
+ * Convert EXIF degrees/minutes/seconds to decimal degrees
+ * @param {number[]} dms - [degrees, minutes, seconds]
+ * @param {string} ref - N/S/E/W
+ * @returns {number|null} Signed decimal degrees rounded to 6 places (like geocode.js)
+ */
+function toDecimalDegrees(dms, ref) {
+	if (!Array.isArray(dms) || dms.length === 0 || !dms.every(Number.isFinite)) return null;
+	const [degrees, minutes = 0, seconds = 0] = dms;
+	const value = degrees + minutes / 60 + seconds / 3600;
+	const signed = ref === 'S' || ref === 'W' ? -value : value;
+	return parseFloat(signed.toFixed(6));
+}
+
+/**
+ * Coordinates from EXIF GPS tags
+ * @param {Object|null} exif - Result of readExif()
+ * @returns {{lat: number, lon: number}|null} Coordinates, or null if absent
+ */
+export function exifCoords(exif) {
+	const gps = exif?.GPSInfo;
+	if (!gps) return null;
+
+	const lat = toDecimalDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+	const lon = toDecimalDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+	if (lat === null || lon === null) return null;
+
+	// Cameras without a fix often write 0,0
+	if (lat === 0 && lon === 0) return null;
+
+	return { lat, lon };
+}
+
+/**
+ * Capture date and camera settings for display
+ *
+ * EXIF dates have no time zone; `taken` holds the camera's wall-clock time
+ * as if it were UTC, so format it with timeZone: 'UTC'.
+ *
+ * @param {Object|null} exif - Result of readExif()
+ * @returns {{taken: number|null, camera: string|null, lens: string|null, focalLength: number|null,
+ *   aperture: number|null, exposureTime: number|null, iso: number|null}|null} Photo info, or null if none
+ */
+export function exifPhotoInfo(exif) {
+	if (!exif) return null;
+
+	const image = exif.Image || {};
+	const photo = exif.Photo || {};
+	const taken = photo.DateTimeOriginal || photo.DateTimeDigitized || image.DateTime;
+
+	const make = image.Make?.trim();
+	const model = image.Model?.trim();
+	// Many models already start with the make ("Canon EOS R6")
+	const camera = model && make && !model.toLowerCase().startsWith(make.toLowerCase().split(' ')[0])
+		? `${make} ${model}`
+		: model || make || null;
+
+	const iso = Array.isArray(photo.ISOSpeedRatings) ? photo.ISOSpeedRatings[0] : photo.ISOSpeedRatings;
+
+	const info = {
+		taken: taken instanceof Date && !isNaN(taken) ? taken.getTime() : null,
+		camera,
+		lens: photo.LensModel?.trim() || null,
+		focalLength: photo.FocalLength || null,
+		aperture: photo.FNumber || null,
+		exposureTime: photo.ExposureTime || null,
+		iso: iso || null
+	};
+
+	return Object.values(info).some(value => value !== null) ? info : null;
+}
@@ -0,0 +1,102 @@
+/**
+ * EXIF Metadata Tests
+ *
+ * Writes small JPEGs with known EXIF tags (via sharp) to a temp directory
+ * and checks GPS, capture date and camera settings extraction.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { readExif, exifCoords, exifPhotoInfo } from './exif';
+
+let tempDir;
+
+/**
+ * Write a tiny JPEG, optionally with EXIF tags (sharp's IFD0/IFD2/IFD3 format)
+ */
+async function writeJpeg(name, exif) {
+  const file = path.join(tempDir, name);
+  let image = sharp({ create: { width: 16, height: 16, channels: 3, background: '#888' } });
+  if (exif) image = image.withExif(exif);
+  await image.jpeg().toFile(file);
+  return file;
+}
+
+beforeAll(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exif-test-'));
+});
+
+afterAll(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('readExif()', () => {
+  it('returns null for JPEGs without EXIF, other formats and missing files', async () => {
+    const plain = await writeJpeg('plain.jpg');
+    fs.writeFileSync(path.join(tempDir, 'map.png'), '');
+
+    expect(readExif(plain)).toBeNull();
+    expect(readExif(path.join(tempDir, 'map.png'))).toBeNull();
+    expect(readExif(path.join(tempDir, 'missing.jpg'))).toBeNull();
+  });
+});
+
+describe('exifCoords()', () => {
+  it('converts degrees/minutes/seconds to signed decimal degrees', async () => {
+    const file = await writeJpeg('gps.jpg', {
+      IFD3: {
+        GPSLatitudeRef: 'S',
+        GPSLatitude: '33/1 51/1 3540/100',
+        GPSLongitudeRef: 'W',
+        GPSLongitude: '70/1 39/1 0/1'
+      }
+    });
+
+    expect(exifCoords(readExif(file))).toEqual({ lat: -33.859833, lon: -70.65 });
+  });
+
+  it('returns null without GPS tags', () => {
+    expect(exifCoords(null)).toBeNull();
+    expect(exifCoords({ Image: {} })).toBeNull();
+    expect(exifCoords({ GPSInfo: { GPSLatitude: [0, 0, 0], GPSLatitudeRef: 'N', GPSLongitude: [0, 0, 0], GPSLongitudeRef: 'E' } })).toBeNull();
+  });
+});
+
+describe('exifPhotoInfo()', () => {
+  it('extracts capture date and camera settings', async () => {
+    const file = await writeJpeg('camera.jpg', {
+      IFD0: { Make: 'FUJIFILM', Model: 'X100V' },
+      IFD2: {
+        DateTimeOriginal: '2024:05:03 14:22:10',
+        FNumber: '28/10',
+        ExposureTime: '1/250',
+        ISOSpeedRatings: '200',
+        FocalLength: '23/1',
+        LensModel: 'Fixed 23mm'
+      }
+    });
+
+    expect(exifPhotoInfo(readExif(file))).toEqual({
+      taken: Date.UTC(2024, 4, 3, 14, 22, 10),
+      camera: 'FUJIFILM X100V',
+      lens: 'Fixed 23mm',
+      focalLength: 23,
+      aperture: 2.8,
+      exposureTime: 0.004,
+      iso: 200
+    });
+  });
+
+  it('does not repeat the make when the model already includes it', () => {
+    const info = exifPhotoInfo({ Image: { Make: 'Canon', Model: 'Canon EOS R6' } });
+    expect(info.camera).toBe('Canon EOS R6');
+  });
+
+  it('returns null when there is nothing to show', () => {
+    expect(exifPhotoInfo(null)).toBeNull();
+    expect(exifPhotoInfo({ Image: { Orientation: 1 } })).toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+import { toAbsoluteUrl, locationPagePath } from './locations.js';
+
+/**
+ * Machine-readable Location Exports
+ *
+ * Serializers behind the prerendered data endpoints:
+ * - /locations.geojson - GeoJSON FeatureCollection (Point per location)
+ * - /locations.json    - Plain JSON array
+ * - /locations.csv     - One row per location
+ *
+ * All take the location objects produced by loadLocations() (image paths
+ * already include the base path) and make every URL absolute so the data
+ * is usable outside the site.
+ */
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} origin - Site origin, e.g. https://example.github.io
+ * @property {string} [base] - Configured base path (from $app/paths)
+ */
+
+/**
+ * Convert a location into its public export shape
+ * @param {Object} location - Location from loadLocations()
+ * @param {ExportOptions} options
+ * @returns {Object} Export record with absolute URLs
+ */
+export function toExportRecord(location, { origin, base = '' }) {
+	return {
+		slug: location.slug,
+		name: location.name,
+		place: location.place,
+		coords: location.coords ? { lat: location.coords.lat, lon: location.coords.lon } : null,
+		tags: location.tags || [],
+		description: location.description || '',
+		hero: toAbsoluteUrl(location.hero, origin),
+		images: (location.images || []).map(image => toAbsoluteUrl(image.src, origin)),
+		url: toAbsoluteUrl(locationPagePath(location.slug, base), origin),
+		updated: location.updated ? new Date(location.updated).toISOString() : null,
+		visited: location.visited ? new Date(location.visited).toISOString() : null
+	};
+}
+
+/**
+ * Build a GeoJSON FeatureCollection
+ * Locations without coordinates are skipped (GeoJSON requires geometry)
+ * @param {Array<Object>} locations - Locations from loadLocations()
+ * @param {ExportOptions} options
+ * @returns {Object} FeatureCollection
+ */
+export function toGeoJSON(locations, options) {
+	return {
+		type: 'FeatureCollection',
+		features: locations
+			.filter(location => location.coords)
+			.map(location => {
+				const record = toExportRecord(location, options);
+				return {
+					type: 'Feature',
+					id: record.slug,
+					// GeoJSON positions are [longitude, latitude]
+					geometry: {
+						type: 'Point',
+						coordinates: [record.coords.lon, record.coords.lat]
+					},
+					properties: {
+						slug: record.slug,
+						name: record.name,
+						place: record.place,
+						tags: record.tags,
+						hero: record.hero,
+						url: record.url,
+						updated: record.updated
+					}
+				};
+			})
+	};
+}
+
+/**
+ * Build a plain JSON array of locations
+ * @param {Array<Object>} locations - Locations from loadLocations()
+ * @param {ExportOptions} options
+ * @returns {Array<Object>} Export records
+ */
+export function toJSON(locations, options) {
+	return locations.map(location => toExportRecord(location, options));
+}
+
+/**
+ * Quote a CSV field if it contains a delimiter, quote or newline (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+function csvField(value) {
+	const text = value == null ? '' : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** CSV column order */
+const CSV_COLUMNS = ['slug', 'name', 'place', 'lat', 'lon', 'tags', 'hero', 'url', 'updated'];
+
+/**
+ * Build a CSV document (header row + one row per location)
+ * Tags are joined with ";" so they stay in a single column
+ * @param {Array<Object>} locations - Locations from loadLocations()
+ * @param {ExportOptions} options
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function toCSV(locations, options) {
+	const rows = locations.map(location => {
+		const record = toExportRecord(location, options);
+		return [
+			record.slug,
+			record.name,
+			record.place,
+			record.coords?.lat,
+			record.coords?.lon,
+			record.tags.join(';'),
+			record.hero,
+			record.url,
+			record.updated
+		].map(csvField).join(',');
+	});
+
+	return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,119 @@
+/**
+ * Data Export Tests
+ *
+ * Verifies the GeoJSON/JSON/CSV serializers used by the prerendered
+ * /locations.* endpoints, including base path handling for image URLs.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { toGeoJSON, toJSON, toCSV } from './exports';
+
+const options = { origin: 'https://example.github.io', base: '/mapsicle' };
+
+// Shaped like loadLocations({ base: '/mapsicle' }) output
+const sampleLocations = [
+  {
+    slug: 'japan/tokyo-tower',
+    name: 'Tokyo Tower',
+    place: 'Tokyo, Japan',
+    coords: { lat: 35.6586, lon: 139.7454 },
+    tags: ['city', 'landmark'],
+    description: 'Famous tower',
+    hero: '/mapsicle/locations/japan/tokyo-tower/hero.jpg',
+    images: [
+      { src: '/mapsicle/locations/japan/tokyo-tower/hero.jpg', srcset: '/mapsicle/_images/locations/japan/tokyo-tower/hero-320.webp 320w' },
+      { src: 'https://cdn.example.com/night.jpg', srcset: null }
+    ],
+    updated: Date.UTC(2024, 0, 15)
+  },
+  {
+    slug: 'no-coords',
+    name: 'Somewhere, "quoted"',
+    place: 'Line one\nLine two',
+    coords: null,
+    tags: [],
+    description: '',
+    hero: null,
+    images: [],
+    updated: null
+  }
+];
+
+describe('toGeoJSON()', () => {
+  it('builds a FeatureCollection of points in [lon, lat] order', () => {
+    const geojson = toGeoJSON(sampleLocations, options);
+
+    expect(geojson.type).toBe('FeatureCollection');
+    expect(geojson.features).toHaveLength(1); // location without coords skipped
+    expect(geojson.features[0].geometry).toEqual({
+      type: 'Point',
+      coordinates: [139.7454, 35.6586]
+    });
+  });
+
+  it('includes name/place/tags/hero/slug properties with absolute URLs', () => {
+    const { properties } = toGeoJSON(sampleLocations, options).features[0];
+
+    expect(properties).toMatchObject({
+      slug: 'japan/tokyo-tower',
+      name: 'Tokyo Tower',
+      place: 'Tokyo, Japan',
+      tags: ['city', 'landmark'],
+      hero: 'https://example.github.io/mapsicle/locations/japan/tokyo-tower/hero.jpg',
+      url: 'https://example.github.io/mapsicle/locations/japan/tokyo-tower/'
+    });
+  });
+});
+
+describe('toJSON()', () => {
+  it('exports every location with absolute image URLs', () => {
+    const records = toJSON(sampleLocations, options);
+
+    expect(records).toHaveLength(2);
+    expect(records[0].images).toEqual([
+      'https://example.github.io/mapsicle/locations/japan/tokyo-tower/hero.jpg',
+      'https://cdn.example.com/night.jpg' // remote URLs untouched
+    ]);
+    expect(records[0].updated).toBe('2024-01-15T00:00:00.000Z');
+    expect(records[1]).toMatchObject({ coords: null, hero: null, updated: null });
+  });
+
+  it('gives protocol-relative image URLs https', () => {
+    const [record] = toJSON([{
+      ...sampleLocations[0],
+      hero: '//cdn.example.com/hero.jpg',
+      images: [{ src: '//cdn.example.com/hero.jpg', srcset: null }]
+    }], { origin: 'https://example.github.io', base: '/mapsicle' });
+
+    expect(record.hero).toBe('https://cdn.example.com/hero.jpg');
+    expect(record.images).toEqual(['https://cdn.example.com/hero.jpg']);
+  });
+
+  it('works without a base path', () => {
+    const [record] = toJSON([{ ...sampleLocations[0], hero: '/locations/japan/tokyo-tower/hero.jpg' }], {
+      origin: 'http://localhost:5173'
+    });
+
+    expect(record.hero).toBe('http://localhost:5173/locations/japan/tokyo-tower/hero.jpg');
+    expect(record.url).toBe('http://localhost:5173/locations/japan/tokyo-tower/');
+  });
+});
+
+describe('toCSV()', () => {
+  it('writes a header and one row per location', () => {
+    const lines = toCSV([sampleLocations[0]], options).trim().split('\r\n');
+
+    expect(lines[0]).toBe('slug,name,place,lat,lon,tags,hero,url,updated');
+    expect(lines[1]).toBe(
+      'japan/tokyo-tower,Tokyo Tower,"Tokyo, Japan",35.6586,139.7454,city;landmark,' +
+      'https://example.github.io/mapsicle/locations/japan/tokyo-tower/hero.jpg,' +
+      'https://example.github.io/mapsicle/locations/japan/tokyo-tower/,2024-01-15T00:00:00.000Z'
+    );
+  });
+
+  it('quotes fields containing quotes and newlines', () => {
+    const csv = toCSV([sampleLocations[1]], options);
+
+    expect(csv).toContain('"Somewhere, ""quoted""","Line one\nLine two",,,');
+  });
+});
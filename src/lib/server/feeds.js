@@ -0,0 +1,171 @@
+import path from 'path';
+import { markdownToAbsoluteHtml } from '../markdown.js';
+import { toAbsoluteUrl, locationPagePath, escapeXml } from '../urls.js';
+
+/**
+ * Subscription Feeds
+ *
+ * Builders behind the prerendered feed endpoints:
+ * - /feed.xml - Atom 1.0
+ * - /rss.xml  - RSS 2.0
+ *
+ * Both list the most recently updated locations (same ranking as Discover),
+ * with the rendered markdown description, hero image enclosure, tags as
+ * categories and a link to the location's page.
+ */
+
+/**
+ * @typedef {Object} FeedOptions
+ * @property {string} origin - Site origin, e.g. https://example.github.io
+ * @property {string} [base] - Configured base path (from $app/paths)
+ * @property {string} title - Feed title
+ * @property {string} [subtitle] - Feed description
+ * @property {string} [author] - Feed author name (Atom requires one; defaults to title)
+ * @property {number} [limit] - Maximum number of entries
+ */
+
+/** Image MIME types by extension (for enclosures) */
+const IMAGE_TYPES = {
+	'.jpg': 'image/jpeg',
+	'.jpeg': 'image/jpeg',
+	'.png': 'image/png',
+	'.gif': 'image/gif',
+	'.webp': 'image/webp',
+	'.avif': 'image/avif',
+	'.svg': 'image/svg+xml'
+};
+
+/**
+ * Guess an image MIME type from its URL
+ * @param {string} url - Image URL (paths and protocol-relative URLs are read against origin)
+ * @param {string} origin - Site origin
+ * @returns {string} MIME type (image/jpeg if unknown)
+ */
+function imageType(url, origin) {
+	const ext = path.extname(new URL(url, origin).pathname).toLowerCase();
+	return IMAGE_TYPES[ext] || 'image/jpeg';
+}
+
+/**
+ * Most recently updated locations, newest first
+ * Same ordering as galleryLocations/discover() in appState.js
+ * @param {Array<Object>} locations - Locations from loadLocations()
+ * @param {number} [limit] - Maximum number to return
+ * @returns {Array<Object>} Sorted locations
+ */
+export function recentLocations(locations, limit = 20) {
+	return [...locations]
+		.sort((a, b) => (b.updated || 0) - (a.updated || 0))
+		.slice(0, limit);
+}
+
+/**
+ * Render a location's markdown description to HTML for feed readers
+ * Relative links/images are made absolute, since readers show entries
+ * outside the site:
+ * - /locations/... paths are relative to the site (base is prepended)
+ * - bare filenames are relative to the location's folder
+ * @param {Object} location - Location from loadLocations()
+ * @param {FeedOptions} options
+ * @returns {string} HTML
+ */
+export function renderDescription(location, { origin, base = '' }) {
+	return markdownToAbsoluteHtml(location.description, {
+		siteUrl: `${origin}${base}`,
+		pageUrl: `${origin}${locationPagePath(location.slug, base)}`
+	});
+}
+
+/**
+ * Build a feed entry record shared by the Atom and RSS writers
+ * @param {Object} location - Location from loadLocations()
+ * @param {FeedOptions} options
+ * @returns {{title: string, link: string, updated: Date, html: string, tags: string[], hero: string|null, heroType: string|null}}
+ */
+function toFeedEntry(location, options) {
+	const hero = toAbsoluteUrl(location.hero, options.origin);
+	return {
+		title: location.name,
+		link: toAbsoluteUrl(locationPagePath(location.slug, options.base), options.origin),
+		updated: new Date(location.updated || 0),
+		html: renderDescription(location, options),
+		tags: location.tags || [],
+		hero,
+		heroType: hero ? imageType(hero, options.origin) : null
+	};
+}
+
+/**
+ * Build an Atom 1.0 feed of recently updated locations
+ * @param {Array<Object>} locations - Locations from loadLocations()
+ * @param {FeedOptions} options
+ * @returns {string} Atom XML
+ */
+export function toAtom(locations, options) {
+	const { origin, base = '', title, subtitle, author, limit } = options;
+	const entries = recentLocations(locations, limit).map(location => toFeedEntry(location, options));
+	const siteUrl = `${origin}${base}/`;
+	const feedUpdated = entries[0]?.updated ?? new Date(0);
+
+	const entryXml = entries.map(entry => `
+	<entry>
+		<title>${escapeXml(entry.title)}</title>
+		<id>${escapeXml(entry.link)}</id>
+		<link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>${entry.hero ? `
+		<link rel="enclosure" type="${entry.heroType}" href="${escapeXml(entry.hero)}"/>` : ''}
+		<updated>${entry.updated.toISOString()}</updated>${entry.tags.map(tag => `
+		<category term="${escapeXml(tag)}"/>`).join('')}
+		<content type="html">${escapeXml(entry.html)}</content>
+	</entry>`).join('');
+
+	return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+	<title>${escapeXml(title)}</title>${subtitle ? `
+	<subtitle>${escapeXml(subtitle)}</subtitle>` : ''}
+	<id>${escapeXml(siteUrl)}</id>
+	<link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>
+	<link rel="self" type="application/atom+xml" href="${escapeXml(`${origin}${base}/feed.xml`)}"/>
+	<updated>${feedUpdated.toISOString()}</updated>
+	<author>
+		<name>${escapeXml(author || title)}</name>
+	</author>${entryXml}
+</feed>
+`;
+}
+
+/**
+ * Build an RSS 2.0 feed of recently updated locations
+ * @param {Array<Object>} locations - Locations from loadLocations()
+ * @param {FeedOptions} options
+ * @returns {string} RSS XML
+ */
+export function toRSS(locations, options) {
+	const { origin, base = '', title, subtitle, limit } = options;
+	const entries = recentLocations(locations, limit).map(location => toFeedEntry(location, options));
+	const siteUrl = `${origin}${base}/`;
+	const feedUpdated = entries[0]?.updated ?? new Date(0);
+
+	// Enclosure length is required by RSS but unknown for remote images; 0 is the accepted convention
+	const itemXml = entries.map(entry => `
+		<item>
+			<title>${escapeXml(entry.title)}</title>
+			<link>${escapeXml(entry.link)}</link>
+			<guid isPermaLink="true">${escapeXml(entry.link)}</guid>
+			<pubDate>${entry.updated.toUTCString()}</pubDate>${entry.tags.map(tag => `
+			<category>${escapeXml(tag)}</category>`).join('')}${entry.hero ? `
+			<enclosure url="${escapeXml(entry.hero)}" length="0" type="${entry.heroType}"/>` : ''}
+			<description>${escapeXml(entry.html)}</description>
+		</item>`).join('');
+
+	return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+	<channel>
+		<title>${escapeXml(title)}</title>
+		<link>${escapeXml(siteUrl)}</link>
+		<description>${escapeXml(subtitle || title)}</description>
+		<atom:link href="${escapeXml(`${origin}${base}/rss.xml`)}" rel="self" type="application/rss+xml"/>
+		<lastBuildDate>${feedUpdated.toUTCString()}</lastBuildDate>${itemXml}
+	</channel>
+</rss>
+`;
+}
@@ -0,0 +1,120 @@
+/**
+ * Feed Tests
+ *
+ * Verifies ordering, entry content and URL handling of the Atom/RSS
+ * builders used by /feed.xml and /rss.xml.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { recentLocations, renderDescription, toAtom, toRSS } from './feeds';
+
+const options = {
+  origin: 'https://example.github.io',
+  base: '/mapsicle',
+  title: 'Travel Updates',
+  subtitle: 'Pictures & words',
+  limit: 2
+};
+
+const sampleLocations = [
+  {
+    slug: 'tokyo-tower',
+    name: 'Tokyo Tower',
+    tags: ['city', 'landmark'],
+    description: 'Standing **333 meters** tall.\n\n![Night](night.jpg)',
+    hero: '/mapsicle/locations/tokyo-tower/hero.jpg',
+    updated: Date.UTC(2024, 0, 1)
+  },
+  {
+    slug: 'oxford-university',
+    name: 'Oxford <University>',
+    tags: ['university'],
+    description: 'See ![Quad](/locations/oxford-university/quad.png)',
+    hero: 'https://cdn.example.com/oxford.png',
+    updated: Date.UTC(2024, 5, 1)
+  },
+  {
+    slug: 'rocky-mountain',
+    name: 'Rocky Mountain',
+    tags: [],
+    description: 'Mountains',
+    hero: null,
+    updated: Date.UTC(2023, 0, 1)
+  }
+];
+
+describe('recentLocations()', () => {
+  it('sorts newest first and applies the limit', () => {
+    expect(recentLocations(sampleLocations, 2).map(loc => loc.slug))
+      .toEqual(['oxford-university', 'tokyo-tower']);
+  });
+});
+
+describe('renderDescription()', () => {
+  it('renders markdown and makes folder-relative images absolute', () => {
+    const html = renderDescription(sampleLocations[0], options);
+
+    expect(html).toContain('<strong>333 meters</strong>');
+    expect(html).toContain('src="https://example.github.io/mapsicle/locations/tokyo-tower/night.jpg"');
+  });
+
+  it('prefixes site-absolute paths with origin and base', () => {
+    const html = renderDescription(sampleLocations[1], options);
+
+    expect(html).toContain('src="https://example.github.io/mapsicle/locations/oxford-university/quad.png"');
+  });
+});
+
+describe('toAtom()', () => {
+  const xml = toAtom(sampleLocations, options);
+
+  it('uses the configured title and escapes text', () => {
+    expect(xml).toContain('<title>Travel Updates</title>');
+    expect(xml).toContain('<subtitle>Pictures &amp; words</subtitle>');
+    expect(xml).toContain('<title>Oxford &lt;University&gt;</title>');
+  });
+
+  it('includes only the most recent entries', () => {
+    expect(xml.match(/<entry>/g)).toHaveLength(2);
+    expect(xml).not.toContain('Rocky Mountain');
+    expect(xml).toContain('<updated>2024-06-01T00:00:00.000Z</updated>');
+  });
+
+  it('links entries to location pages with enclosures and categories', () => {
+    expect(xml).toContain('<link rel="alternate" type="text/html" href="https://example.github.io/mapsicle/locations/tokyo-tower/"/>');
+    expect(xml).toContain('<link rel="enclosure" type="image/jpeg" href="https://example.github.io/mapsicle/locations/tokyo-tower/hero.jpg"/>');
+    expect(xml).toContain('<link rel="enclosure" type="image/png" href="https://cdn.example.com/oxford.png"/>');
+    expect(xml).toContain('<category term="landmark"/>');
+  });
+
+  it('embeds rendered HTML as escaped content', () => {
+    expect(xml).toContain('<content type="html">&lt;p&gt;Standing &lt;strong&gt;333 meters&lt;/strong&gt;');
+  });
+});
+
+describe('protocol-relative heroes', () => {
+  const remote = [{ ...sampleLocations[0], hero: '//cdn.example.com/tower.png' }];
+
+  it('are written as https enclosures', () => {
+    expect(toAtom(remote, options)).toContain('<link rel="enclosure" type="image/png" href="https://cdn.example.com/tower.png"/>');
+    expect(toRSS(remote, options)).toContain('<enclosure url="https://cdn.example.com/tower.png" length="0" type="image/png"/>');
+  });
+});
+
+describe('toRSS()', () => {
+  const xml = toRSS(sampleLocations, options);
+
+  it('builds an RSS 2.0 channel', () => {
+    expect(xml).toContain('<rss version="2.0"');
+    expect(xml).toContain('<title>Travel Updates</title>');
+    expect(xml).toContain('<link>https://example.github.io/mapsicle/</link>');
+    expect(xml.match(/<item>/g)).toHaveLength(2);
+  });
+
+  it('includes link, categories, enclosure and date per item', () => {
+    expect(xml).toContain('<guid isPermaLink="true">https://example.github.io/mapsicle/locations/tokyo-tower/</guid>');
+    expect(xml).toContain('<category>city</category>');
+    expect(xml).toContain('<enclosure url="https://example.github.io/mapsicle/locations/tokyo-tower/hero.jpg" length="0" type="image/jpeg"/>');
+    expect(xml).toContain('<pubDate>Mon, 01 Jan 2024 00:00:00 GMT</pubDate>');
+  });
+});
@@ -0,0 +1,392 @@
+import fs from 'fs';
+import path from 'path';
+import { distanceKm } from '../geo.js';
+
+/**
+ * Geocoding Providers
+ *
+ * Used by `npm run geocode` (scripts/geocode.js) to turn a location's
+ * `place` into coordinates. Every provider implements the same interface:
+ *
+ *   {
+ *     name: string,
+ *     network: boolean,                                   // false for local data (never cached)
+ *     delayMs: number,                                    // pause after each request (rate limits)
+ *     search(place, { limit }) → Promise<GeocodeResult[]>  // best match first
+ *     reverse({ lat, lon }) → Promise<GeocodeResult|null>  // place at coordinates
+ *   }
+ *
+ * Implementations:
+ * - nominatim - OpenStreetMap Nominatim (1 request per second)
+ * - photon    - Komoot Photon (OpenStreetMap data, more lenient limits)
+ * - gazetteer - A local CSV/GeoJSON file of place names, for offline/air-gapped runs
+ *
+ * Network results are stored in an on-disk cache keyed by provider and
+ * normalized place string, so a place is only looked up once per provider
+ * (see createGeocodeCache()).
+ */
+
+/**
+ * @typedef {Object} GeocodeResult
+ * @property {number} lat - Latitude (6 decimal places)
+ * @property {number} lon - Longitude (6 decimal places)
+ * @property {string} displayName - Human readable description of the match
+ */
+
+/** Identify ourselves to public services (required by the Nominatim usage policy) */
+const USER_AGENT = 'Interactive Travel Map CLI Geocoder';
+
+/** Number of results requested (and cached) per place */
+export const RESULT_LIMIT = 5;
+
+/** Gazetteer entries further than this from the coordinates don't count as a reverse match */
+const GAZETTEER_REVERSE_KM = 2;
+
+/** Available provider names */
+export const PROVIDERS = ['nominatim', 'photon', 'gazetteer'];
+
+/**
+ * Normalize a place string for cache keys and gazetteer matching
+ * Case, repeated whitespace and spacing around commas don't change the place
+ * @param {string} place - Place as written in frontmatter
+ * @returns {string} Normalized key, e.g. "tokyo tower, tokyo, japan"
+ */
+export function normalizePlace(place) {
+	return String(place ?? '')
+		.normalize('NFC')
+		.toLowerCase()
+		.replace(/\s*,\s*/g, ', ')
+		.replace(/\s+/g, ' ')
+		.replace(/^[\s,]+|[\s,.]+$/g, '');
+}
+
+/**
+ * Round a coordinate to 6 decimal places (~10cm), as written to frontmatter
+ * @param {number|string} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function roundCoordinate(value) {
+	return parseFloat(parseFloat(String(value)).toFixed(6));
+}
+
+/**
+ * Fetch JSON from a public geocoding service
+ * @param {typeof fetch} fetchFn - fetch implementation
+ * @param {string} url - Request URL
+ * @returns {Promise<*>} Parsed JSON
+ * @throws {Error} On HTTP errors
+ */
+async function getJson(fetchFn, url) {
+	const response = await fetchFn(url, { headers: { 'User-Agent': USER_AGENT } });
+	if (!response.ok) {
+		throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+	}
+	return response.json();
+}
+
+/**
+ * Map a Nominatim search/reverse item to a result
+ * @param {{lat: string, lon: string, display_name: string}} item - Nominatim place
+ * @returns {GeocodeResult}
+ */
+function toNominatimResult(item) {
+	return {
+		lat: roundCoordinate(item.lat),
+		lon: roundCoordinate(item.lon),
+		displayName: item.display_name
+	};
+}
+
+/**
+ * Nominatim (OpenStreetMap) provider
+ * @param {Object} [options]
+ * @param {typeof fetch} [options.fetch] - fetch implementation (for tests)
+ * @param {string} [options.baseUrl] - Service URL (for self-hosted instances)
+ * @returns {Object} Provider
+ */
+export function createNominatimProvider({ fetch: fetchFn = globalThis.fetch, baseUrl = 'https://nominatim.openstreetmap.org' } = {}) {
+	return {
+		name: 'nominatim',
+		network: true,
+		delayMs: 1000, // Usage policy: at most 1 request per second
+		async search(place, { limit = RESULT_LIMIT } = {}) {
+			const data = await getJson(fetchFn, `${baseUrl}/search?format=json&q=${encodeURIComponent(place)}&limit=${limit}`);
+			return data.map(toNominatimResult);
+		},
+		async reverse({ lat, lon }) {
+			const data = await getJson(fetchFn, `${baseUrl}/reverse?format=json&lat=${lat}&lon=${lon}`);
+			// Nominatim answers 200 with { error } when nothing is there (e.g. open sea)
+			return data && !data.error ? toNominatimResult(data) : null;
+		}
+	};
+}
+
+/**
+ * Map a Photon GeoJSON feature to a result
+ * @param {Object} feature - Photon feature
+ * @returns {GeocodeResult}
+ */
+function toPhotonResult(feature) {
+	const [lon, lat] = feature.geometry.coordinates;
+	const { name, street, city, state, country } = feature.properties || {};
+	// Photon has no display name; build one like Nominatim's, without repeats
+	const parts = [...new Set([name, street, city, state, country].filter(Boolean))];
+	return { lat: roundCoordinate(lat), lon: roundCoordinate(lon), displayName: parts.join(', ') };
+}
+
+/**
+ * Photon (Komoot) provider
+ * @param {Object} [options]
+ * @param {typeof fetch} [options.fetch] - fetch implementation (for tests)
+ * @param {string} [options.baseUrl] - Service URL (for self-hosted instances)
+ * @returns {Object} Provider
+ */
+export function createPhotonProvider({ fetch: fetchFn = globalThis.fetch, baseUrl = 'https://photon.komoot.io' } = {}) {
+	return {
+		name: 'photon',
+		network: true,
+		delayMs: 200,
+		async search(place, { limit = RESULT_LIMIT } = {}) {
+			const data = await getJson(fetchFn, `${baseUrl}/api/?q=${encodeURIComponent(place)}&limit=${limit}`);
+			return (data.features || []).map(toPhotonResult);
+		},
+		async reverse({ lat, lon }) {
+			const data = await getJson(fetchFn, `${baseUrl}/reverse?lat=${lat}&lon=${lon}`);
+			const [feature] = data.features || [];
+			return feature ? toPhotonResult(feature) : null;
+		}
+	};
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may contain commas, quotes and newlines)
+ * @param {string} text - CSV document
+ * @returns {Array<Object<string, string>>} One object per row, keyed by header
+ */
+export function parseCsv(text) {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+	if (field !== '' || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+	const keys = header.map(key => key.trim().toLowerCase());
+	return records.map(cells => Object.fromEntries(keys.map((key, index) => [key, (cells[index] ?? '').trim()])));
+}
+
+/**
+ * Read gazetteer entries from a CSV or GeoJSON file
+ * - CSV: header row with `name`, `lat`, `lon` (optional `display_name`)
+ * - GeoJSON: FeatureCollection of Points with a `name` property (optional `display_name`)
+ * @param {string} file - Path to .csv, .geojson or .json file
+ * @returns {Array<{name: string} & GeocodeResult>} Entries
+ * @throws {Error} If the file is missing or malformed
+ */
+export function readGazetteer(file) {
+	const text = fs.readFileSync(file, 'utf-8');
+	const ext = path.extname(file).toLowerCase();
+
+	const entries = ext === '.csv'
+		? parseCsv(text).map(row => ({
+			name: row.name,
+			// Number('') is 0, so blank cells must not count as coordinates
+			lat: row.lat ? Number(row.lat) : NaN,
+			lon: row.lon ? Number(row.lon) : NaN,
+			displayName: row.display_name || row.name
+		}))
+		: JSON.parse(text).features
+			.filter(feature => feature.geometry?.type === 'Point')
+			.map(feature => ({
+				name: feature.properties?.name,
+				lat: feature.geometry.coordinates[1],
+				lon: feature.geometry.coordinates[0],
+				displayName: feature.properties?.display_name || feature.properties?.name
+			}));
+
+	const invalid = entries.findIndex(entry => !entry.name || !Number.isFinite(entry.lat) || !Number.isFinite(entry.lon));
+	if (invalid !== -1) {
+		throw new Error(`${file}: entry ${invalid + 1} needs a name and numeric lat/lon`);
+	}
+
+	return entries.map(entry => ({ ...entry, lat: roundCoordinate(entry.lat), lon: roundCoordinate(entry.lon) }));
+}
+
+/**
+ * Local gazetteer provider (no network)
+ * Places match entries whose name normalizes to the same string. Reverse
+ * lookups return the nearest entry within GAZETTEER_REVERSE_KM.
+ * @param {Object} options
+ * @param {string} options.file - Path to the gazetteer CSV/GeoJSON
+ * @returns {Object} Provider
+ */
+export function createGazetteerProvider({ file }) {
+	const entries = readGazetteer(file);
+
+	return {
+		name: 'gazetteer',
+		network: false,
+		delayMs: 0,
+		async search(place, { limit = RESULT_LIMIT } = {}) {
+			const key = normalizePlace(place);
+			return entries
+				.filter(entry => normalizePlace(entry.name) === key)
+				.slice(0, limit)
+				.map(({ lat, lon, displayName }) => ({ lat, lon, displayName }));
+		},
+		async reverse(coords) {
+			let nearest = null;
+			let nearestKm = GAZETTEER_REVERSE_KM;
+			for (const entry of entries) {
+				const km = distanceKm(coords, entry);
+				if (km <= nearestKm) {
+					nearest = entry;
+					nearestKm = km;
+				}
+			}
+			// Reverse lookups fill `place`, so use the name that geocodes back to this entry
+			return nearest && { lat: nearest.lat, lon: nearest.lon, displayName: nearest.name };
+		}
+	};
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - One of PROVIDERS
+ * @param {Object} [options] - Provider options (e.g. { file } for the gazetteer)
+ * @returns {Object} Provider
+ * @throws {Error} For unknown provider names
+ */
+export function createProvider(name, options = {}) {
+	switch (name) {
+		case 'nominatim':
+			return createNominatimProvider(options);
+		case 'photon':
+			return createPhotonProvider(options);
+		case 'gazetteer':
+			return createGazetteerProvider(options);
+		default:
+			throw new Error(`Unknown geocoding provider "${name}" (expected one of: ${PROVIDERS.join(', ')})`);
+	}
+}
+
+/**
+ * Cache key for a place looked up with a provider
+ * @param {string} place - Place (or "@lat, lon" for reverse lookups)
+ * @param {string} provider - Provider name
+ * @returns {string} Key, e.g. "[photon] tokyo tower, japan"
+ */
+function cacheKey(place, provider) {
+	return `[${provider}] ${normalizePlace(place)}`;
+}
+
+/**
+ * On-disk geocoding cache
+ * JSON object of "[provider] normalized place" → { provider, results }, so
+ * switching providers looks places up again instead of reusing another
+ * provider's answers. Empty results are cached too, so places a provider
+ * can't find aren't retried every run. Reverse lookups share the file under
+ * "[provider] @lat, lon" keys (see reverseGeocode()).
+ * @param {string} file - Cache file path
+ * @returns {{get: (place: string, provider: string) => {provider: string, results: GeocodeResult[]}|undefined,
+ *   set: (place: string, provider: string, results: GeocodeResult[]) => void, save: () => void}} Cache
+ */
+export function createGeocodeCache(file) {
+	let entries = {};
+	try {
+		entries = JSON.parse(fs.readFileSync(file, 'utf-8'));
+	} catch (err) {
+		// No cache yet (or unreadable) - start empty
+	}
+	let changed = false;
+
+	return {
+		get(place, provider) {
+			return entries[cacheKey(place, provider)];
+		},
+		set(place, provider, results) {
+			entries[cacheKey(place, provider)] = { provider, results };
+			changed = true;
+		},
+		save() {
+			if (!changed) return;
+			// Sorted keys keep diffs small when the cache is committed
+			const sorted = Object.fromEntries(Object.keys(entries).sort().map(key => [key, entries[key]]));
+			fs.mkdirSync(path.dirname(file), { recursive: true });
+			fs.writeFileSync(file, JSON.stringify(sorted, null, 2) + '\n');
+			changed = false;
+		}
+	};
+}
+
+/**
+ * Geocode a place, using the cache when possible
+ * Local providers bypass the cache, so edits to the gazetteer apply immediately.
+ * @param {string} place - Place as written in frontmatter
+ * @param {Object} options
+ * @param {Object} options.provider - Provider (see createProvider())
+ * @param {Object} [options.cache] - Cache (see createGeocodeCache()); omit to always query
+ * @returns {Promise<{results: GeocodeResult[], cached: boolean, provider: string}>} Results, best first
+ */
+export async function geocode(place, { provider, cache: providedCache }) {
+	const cache = provider.network === false ? null : providedCache;
+	const hit = cache?.get(place, provider.name);
+	if (hit) {
+		return { results: hit.results, cached: true, provider: hit.provider };
+	}
+
+	const results = await provider.search(place, { limit: RESULT_LIMIT });
+	cache?.set(place, provider.name, results);
+	return { results, cached: false, provider: provider.name };
+}
+
+/**
+ * Find the place at some coordinates, using the cache when possible
+ * @param {{lat: number, lon: number}} coords - Coordinates
+ * @param {Object} options
+ * @param {Object} options.provider - Provider (see createProvider())
+ * @param {Object} [options.cache] - Cache (see createGeocodeCache()); omit to always query
+ * @returns {Promise<{result: GeocodeResult|null, cached: boolean, provider: string}>} Place, or null if none
+ */
+export async function reverseGeocode(coords, { provider, cache: providedCache }) {
+	const cache = provider.network === false ? null : providedCache;
+	const key = `@${roundCoordinate(coords.lat)}, ${roundCoordinate(coords.lon)}`;
+	const hit = cache?.get(key, provider.name);
+	if (hit) {
+		return { result: hit.results[0] || null, cached: true, provider: hit.provider };
+	}
+
+	const result = await provider.reverse(coords);
+	cache?.set(key, provider.name, result ? [result] : []);
+	return { result, cached: false, provider: provider.name };
+}
@@ -0,0 +1,253 @@
+/**
+ * Geocoding Tests
+ *
+ * Uses a fake provider (and fake fetch responses) so no test touches the
+ * network. Covers caching, the local gazetteer and provider result mapping.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  normalizePlace,
+  parseCsv,
+  geocode,
+  reverseGeocode,
+  createGeocodeCache,
+  createGazetteerProvider,
+  createNominatimProvider,
+  createPhotonProvider,
+  createProvider
+} from './geocoding';
+
+/**
+ * Provider that answers from a fixed table and counts its calls
+ */
+function createFakeProvider(table = {}) {
+  const provider = {
+    name: 'fake',
+    network: true,
+    delayMs: 0,
+    calls: [],
+    async search(place) {
+      provider.calls.push(place);
+      return table[place] || [];
+    },
+    async reverse(coords) {
+      provider.calls.push(coords);
+      return table[`${coords.lat},${coords.lon}`] || null;
+    }
+  };
+  return provider;
+}
+
+/**
+ * fetch stand-in returning a JSON body and recording the requested URL
+ */
+function createFakeFetch(body) {
+  const fakeFetch = async (url) => {
+    fakeFetch.urls.push(url);
+    return { ok: true, json: async () => body };
+  };
+  fakeFetch.urls = [];
+  return fakeFetch;
+}
+
+const tokyoTower = { lat: 35.6586, lon: 139.7454, displayName: 'Tokyo Tower, Minato, Tokyo, Japan' };
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'geocoding-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('normalizePlace()', () => {
+  it('ignores case, extra whitespace and comma spacing', () => {
+    expect(normalizePlace('  Tokyo Tower ,Tokyo,   Japan. ')).toBe('tokyo tower, tokyo, japan');
+    expect(normalizePlace('TOKYO TOWER, TOKYO, JAPAN')).toBe(normalizePlace('Tokyo Tower, Tokyo, Japan'));
+  });
+});
+
+describe('geocode()', () => {
+  it('queries the provider once and serves repeats from the cache', async () => {
+    const provider = createFakeProvider({ 'Tokyo Tower, Japan': [tokyoTower] });
+    const cache = createGeocodeCache(path.join(tempDir, 'cache.json'));
+
+    const first = await geocode('Tokyo Tower, Japan', { provider, cache });
+    const second = await geocode('tokyo tower,  japan', { provider, cache });
+
+    expect(first).toEqual({ results: [tokyoTower], cached: false, provider: 'fake' });
+    expect(second).toEqual({ results: [tokyoTower], cached: true, provider: 'fake' });
+    expect(provider.calls).toEqual(['Tokyo Tower, Japan']);
+  });
+
+  it('caches places with no results too', async () => {
+    const provider = createFakeProvider();
+    const cache = createGeocodeCache(path.join(tempDir, 'cache.json'));
+
+    await geocode('Atlantis', { provider, cache });
+    const again = await geocode('Atlantis', { provider, cache });
+
+    expect(again).toMatchObject({ results: [], cached: true });
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  it('persists the cache across runs', async () => {
+    const file = path.join(tempDir, 'nested/cache.json');
+    const provider = createFakeProvider({ 'Tokyo Tower': [tokyoTower] });
+
+    const firstRun = createGeocodeCache(file);
+    await geocode('Tokyo Tower', { provider, cache: firstRun });
+    firstRun.save();
+
+    const secondRun = createGeocodeCache(file);
+    expect(await geocode('Tokyo Tower', { provider, cache: secondRun })).toMatchObject({ cached: true });
+    expect(provider.calls).toHaveLength(1);
+    expect(Object.keys(JSON.parse(fs.readFileSync(file, 'utf-8')))).toEqual(['[fake] tokyo tower']);
+  });
+
+  it('looks places up again with a different provider', async () => {
+    const cache = createGeocodeCache(path.join(tempDir, 'cache.json'));
+    const first = createFakeProvider({ Oxford: [tokyoTower] });
+    const second = { ...createFakeProvider(), name: 'other' };
+
+    await geocode('Oxford', { provider: first, cache });
+    expect(await geocode('Oxford', { provider: second, cache })).toEqual({ results: [], cached: false, provider: 'other' });
+    expect(await geocode('Oxford', { provider: first, cache })).toMatchObject({ results: [tokyoTower], cached: true });
+  });
+
+  it('does not write the cache file when nothing changed', () => {
+    const file = path.join(tempDir, 'cache.json');
+    createGeocodeCache(file).save();
+    expect(fs.existsSync(file)).toBe(false);
+  });
+});
+
+describe('reverseGeocode()', () => {
+  it('caches places by coordinates alongside forward lookups', async () => {
+    const provider = createFakeProvider({ '35.6586,139.7454': tokyoTower });
+    const cache = createGeocodeCache(path.join(tempDir, 'cache.json'));
+
+    expect(await reverseGeocode({ lat: 35.6586, lon: 139.7454 }, { provider, cache }))
+      .toEqual({ result: tokyoTower, cached: false, provider: 'fake' });
+    expect(await reverseGeocode({ lat: 35.6586, lon: 139.7454 }, { provider, cache }))
+      .toMatchObject({ result: tokyoTower, cached: true });
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  it('caches coordinates with no place too', async () => {
+    const provider = createFakeProvider();
+    const cache = createGeocodeCache(path.join(tempDir, 'cache.json'));
+
+    await reverseGeocode({ lat: 0.5, lon: -30 }, { provider, cache });
+    expect(await reverseGeocode({ lat: 0.5, lon: -30 }, { provider, cache })).toMatchObject({ result: null, cached: true });
+    expect(provider.calls).toHaveLength(1);
+  });
+});
+
+describe('parseCsv()', () => {
+  it('handles quoted fields with commas, quotes and CRLF line endings', () => {
+    const csv = 'name,lat,lon\r\n"Oxford, UK",51.752,-1.2577\r\n"The ""Old"" Bridge",1,2\r\n';
+    expect(parseCsv(csv)).toEqual([
+      { name: 'Oxford, UK', lat: '51.752', lon: '-1.2577' },
+      { name: 'The "Old" Bridge', lat: '1', lon: '2' }
+    ]);
+  });
+});
+
+describe('createGazetteerProvider()', () => {
+  it('matches CSV entries by normalized name', async () => {
+    const file = path.join(tempDir, 'gazetteer.csv');
+    fs.writeFileSync(file, 'name,lat,lon,display_name\n"Oxford, UK",51.752,-1.2577,University of Oxford\n');
+    const provider = createGazetteerProvider({ file });
+
+    expect(await provider.search('oxford ,uk')).toEqual([
+      { lat: 51.752, lon: -1.2577, displayName: 'University of Oxford' }
+    ]);
+    expect(await provider.search('Oxford, Mississippi')).toEqual([]);
+  });
+
+  it('is never cached, so gazetteer edits apply on the next run', async () => {
+    const file = path.join(tempDir, 'gazetteer.csv');
+    fs.writeFileSync(file, 'name,lat,lon\nHome,1,2\n');
+    const cache = createGeocodeCache(path.join(tempDir, 'cache.json'));
+
+    await geocode('Home', { provider: createGazetteerProvider({ file }), cache });
+    expect(cache.get('Home', 'gazetteer')).toBeUndefined();
+  });
+
+  it('reads GeoJSON points', async () => {
+    const file = path.join(tempDir, 'gazetteer.geojson');
+    fs.writeFileSync(file, JSON.stringify({
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', geometry: { type: 'Point', coordinates: [139.7454, 35.6586] }, properties: { name: 'Tokyo Tower' } }]
+    }));
+
+    expect(await createGazetteerProvider({ file }).search('Tokyo Tower')).toEqual([
+      { lat: 35.6586, lon: 139.7454, displayName: 'Tokyo Tower' }
+    ]);
+  });
+
+  it('reverse geocodes to the nearest entry name within range', async () => {
+    const file = path.join(tempDir, 'gazetteer.csv');
+    fs.writeFileSync(file, 'name,lat,lon,display_name\nHome,51.5,-0.1,Our flat\nWork,51.51,-0.1,Office\n');
+    const provider = createGazetteerProvider({ file });
+
+    expect(await provider.reverse({ lat: 51.501, lon: -0.1 })).toEqual({ lat: 51.5, lon: -0.1, displayName: 'Home' });
+    expect(await provider.reverse({ lat: 52, lon: -0.1 })).toBeNull();
+  });
+
+  it('rejects entries without numeric coordinates', () => {
+    const file = path.join(tempDir, 'gazetteer.csv');
+    fs.writeFileSync(file, 'name,lat,lon\nSomewhere,north,\n');
+    expect(() => createGazetteerProvider({ file })).toThrow('entry 1 needs a name and numeric lat/lon');
+  });
+});
+
+describe('network providers', () => {
+  it('maps Nominatim results', async () => {
+    const fakeFetch = createFakeFetch([{ lat: '35.65858455', lon: '139.745440057', display_name: 'Tokyo Tower, Japan' }]);
+    const results = await createNominatimProvider({ fetch: fakeFetch }).search('Tokyo Tower', { limit: 3 });
+
+    expect(results).toEqual([{ lat: 35.658585, lon: 139.74544, displayName: 'Tokyo Tower, Japan' }]);
+    expect(fakeFetch.urls[0]).toBe('https://nominatim.openstreetmap.org/search?format=json&q=Tokyo%20Tower&limit=3');
+  });
+
+  it('maps Photon GeoJSON features', async () => {
+    const fakeFetch = createFakeFetch({
+      features: [{
+        geometry: { coordinates: [139.7454, 35.6586] },
+        properties: { name: 'Tokyo Tower', city: 'Tokyo', state: 'Tokyo', country: 'Japan' }
+      }]
+    });
+
+    expect(await createPhotonProvider({ fetch: fakeFetch }).search('Tokyo Tower')).toEqual([
+      { lat: 35.6586, lon: 139.7454, displayName: 'Tokyo Tower, Tokyo, Japan' }
+    ]);
+  });
+
+  it('reverse geocodes with Nominatim', async () => {
+    const fakeFetch = createFakeFetch({ lat: '51.752', lon: '-1.2577', display_name: 'Radcliffe Camera, Oxford, UK' });
+    const provider = createNominatimProvider({ fetch: fakeFetch });
+
+    expect(await provider.reverse({ lat: 51.752, lon: -1.2577 })).toEqual({ lat: 51.752, lon: -1.2577, displayName: 'Radcliffe Camera, Oxford, UK' });
+    expect(fakeFetch.urls[0]).toBe('https://nominatim.openstreetmap.org/reverse?format=json&lat=51.752&lon=-1.2577');
+    expect(await createNominatimProvider({ fetch: createFakeFetch({ error: 'Unable to geocode' }) }).reverse({ lat: 0, lon: -30 })).toBeNull();
+  });
+
+  it('throws on HTTP errors', async () => {
+    const failingFetch = async () => ({ ok: false, status: 429, statusText: 'Too Many Requests' });
+    await expect(createNominatimProvider({ fetch: failingFetch }).search('x')).rejects.toThrow('HTTP 429: Too Many Requests');
+  });
+});
+
+describe('createProvider()', () => {
+  it('rejects unknown providers', () => {
+    expect(() => createProvider('google')).toThrow('Unknown geocoding provider "google"');
+  });
+});
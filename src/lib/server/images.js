@@ -0,0 +1,243 @@
+import fs from 'fs';
+import path from 'path';
+import matter from 'gray-matter';
+import {
+	isRemoteUrl,
+	findLocationFolders,
+	findImagesInFolder,
+	extractImagesFromMarkdown
+} from './locations.js';
+
+/**
+ * Responsive Images
+ *
+ * `npm run images` (run automatically before `npm run build`) resizes every
+ * local location image into AVIF and WebP variants under static/_images/ and
+ * records them in static/_images/manifest.json:
+ *
+ *   static/locations/tokyo-tower/hero.jpg
+ *   → static/_images/locations/tokyo-tower/hero-320.avif, hero-320.webp, hero-640.avif, ...
+ *
+ * loadLocations() reads the manifest to turn image paths into records the
+ * components can hand straight to <picture>/<img srcset>. Images without
+ * variants (remote URLs, SVG/GIF, or before the first `npm run images`)
+ * become records with only `src`, so everything still works in dev.
+ */
+
+/** Variant widths in pixels (never upscaled beyond the original) */
+export const IMAGE_WIDTHS = [320, 640, 1024, 1600];
+
+/** Variant formats, in <picture> preference order */
+export const IMAGE_FORMATS = ['avif', 'webp'];
+
+/** Output folder for variants, relative to static/ */
+export const VARIANTS_DIR = '_images';
+
+/** Width of the inline blurred placeholder */
+const PLACEHOLDER_WIDTH = 24;
+
+/** Formats sharp can resize (SVG is already scalable, GIF may be animated) */
+const RESIZABLE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+/** Encoder settings per format */
+const ENCODER_OPTIONS = {
+	avif: { quality: 50 },
+	webp: { quality: 75 }
+};
+
+/**
+ * @typedef {Object} ImageRecord
+ * @property {string} src - Original image URL (fallback for browsers without srcset)
+ * @property {string|null} srcset - WebP srcset, e.g. "/x/hero-320.webp 320w, /x/hero-640.webp 640w"
+ * @property {Array<{type: string, srcset: string}>} sources - Per-format srcsets for <picture>, best first
+ * @property {number|null} width - Original width in pixels
+ * @property {number|null} height - Original height in pixels
+ * @property {string|null} placeholder - Tiny blurred data: URI shown while loading
+ */
+
+/**
+ * Check whether an image path can be resized
+ * @param {string} imagePath - Image path or URL
+ * @returns {boolean} True for local JPEG/PNG/WebP files
+ */
+export function isResizable(imagePath) {
+	if (!imagePath || isRemoteUrl(imagePath)) return false;
+	return RESIZABLE_EXTENSIONS.includes(path.extname(imagePath).toLowerCase());
+}
+
+/**
+ * Variant widths for an image, skipping any wider than the original
+ * @param {number} originalWidth - Original width in pixels
+ * @returns {number[]} Widths to generate (at least one)
+ */
+export function variantWidths(originalWidth) {
+	const widths = IMAGE_WIDTHS.filter(width => width < originalWidth);
+	return widths.length === IMAGE_WIDTHS.length ? widths : [...widths, Math.min(originalWidth, IMAGE_WIDTHS.at(-1))];
+}
+
+/**
+ * Path of a variant relative to static/
+ * @param {string} key - Source image path relative to static/ (e.g. "locations/tokyo-tower/hero.jpg")
+ * @param {number} width - Variant width
+ * @param {string} format - Variant format (avif/webp)
+ * @returns {string} e.g. "_images/locations/tokyo-tower/hero-640.webp"
+ */
+export function variantPath(key, width, format) {
+	const { dir, name } = path.posix.parse(key);
+	return `${VARIANTS_DIR}/${dir}/${name}-${width}.${format}`;
+}
+
+/**
+ * Read the variants manifest
+ * @param {string} staticDir - Path to static/
+ * @returns {Object} Source key → { width, height, placeholder, widths, mtime, size }; empty if not generated yet
+ */
+export function readImageManifest(staticDir) {
+	try {
+		return JSON.parse(fs.readFileSync(path.join(staticDir, VARIANTS_DIR, 'manifest.json'), 'utf-8'));
+	} catch (err) {
+		return {};
+	}
+}
+
+/**
+ * Write the variants manifest
+ * @param {string} staticDir - Path to static/
+ * @param {Object} manifest - Manifest from readImageManifest()/generateImageVariants()
+ */
+export function writeImageManifest(staticDir, manifest) {
+	const file = path.join(staticDir, VARIANTS_DIR, 'manifest.json');
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+ * Every local image referenced by the locations (hero, folder, markdown)
+ * @param {string} locationsDirectory - Path to static/locations
+ * @returns {string[]} Unique source keys relative to static/, resizable images only
+ */
+export function collectLocationImages(locationsDirectory) {
+	const keys = new Set();
+
+	for (const { fullPath, relativePath } of findLocationFolders(locationsDirectory)) {
+		const { data: frontmatter, content } = matter(fs.readFileSync(path.join(fullPath, 'index.md'), 'utf-8'));
+		const images = [
+			...(frontmatter.hero ? [frontmatter.hero] : []),
+			...findImagesInFolder(fullPath),
+			...extractImagesFromMarkdown(content).map(image => image.src)
+		];
+
+		for (const image of images) {
+			if (!isResizable(image)) continue;
+			// Markdown may use site paths (/locations/...) or paths relative to the folder
+			keys.add(image.startsWith('/') ? image.slice(1) : `locations/${relativePath}/${image}`);
+		}
+	}
+
+	return [...keys];
+}
+
+/**
+ * Generate the variants and placeholder for one image
+ * Skipped when the manifest entry matches the source file and all variants exist.
+ *
+ * @param {string} staticDir - Path to static/
+ * @param {string} key - Source image path relative to static/
+ * @param {Object} [options]
+ * @param {Object} [options.previous] - Existing manifest entry for this key
+ * @param {boolean} [options.force] - Regenerate even if up to date
+ * @returns {Promise<{entry: Object, generated: boolean}>} Manifest entry and whether any work was done
+ */
+export async function generateImageVariants(staticDir, key, { previous, force = false } = {}) {
+	const sourcePath = path.join(staticDir, key);
+	const { mtimeMs, size } = fs.statSync(sourcePath);
+
+	const upToDate = previous &&
+		previous.mtime === Math.floor(mtimeMs) &&
+		previous.size === size &&
+		previous.widths.every(width =>
+			IMAGE_FORMATS.every(format => fs.existsSync(path.join(staticDir, variantPath(key, width, format)))));
+	if (upToDate && !force) {
+		return { entry: previous, generated: false };
+	}
+
+	// Loaded lazily so load() never pulls in the native module
+	const { default: sharp } = await import('sharp');
+
+	// rotate() applies EXIF orientation; orientations 5-8 swap width and height
+	const source = sharp(sourcePath).rotate();
+	const metadata = await source.metadata();
+	const info = (metadata.orientation || 1) >= 5
+		? { width: metadata.height, height: metadata.width }
+		: { width: metadata.width, height: metadata.height };
+	const widths = variantWidths(info.width);
+
+	for (const width of widths) {
+		for (const format of IMAGE_FORMATS) {
+			const outputPath = path.join(staticDir, variantPath(key, width, format));
+			fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+			await source.clone()
+				.resize({ width, withoutEnlargement: true })
+				.toFormat(format, ENCODER_OPTIONS[format])
+				.toFile(outputPath);
+		}
+	}
+
+	const placeholder = await source.clone()
+		.resize({ width: PLACEHOLDER_WIDTH })
+		.blur(1)
+		.webp({ quality: 40 })
+		.toBuffer();
+
+	return {
+		entry: {
+			width: info.width,
+			height: info.height,
+			widths,
+			placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+			mtime: Math.floor(mtimeMs),
+			size
+		},
+		generated: true
+	};
+}
+
+/**
+ * Source key (path relative to static/) of a local image URL
+ * @param {string} src - Image URL as resolved by resolveImagePath() (includes base)
+ * @param {string} [base] - Configured base path (from $app/paths)
+ * @returns {string|null} e.g. "locations/tokyo-tower/hero.jpg", or null for remote URLs
+ */
+export function imageKey(src, base = '') {
+	return !isRemoteUrl(src) && src.startsWith(`${base}/`) ? src.slice(base.length + 1) : null;
+}
+
+/**
+ * Build the record components render for an image URL
+ * @param {string} src - Image URL as resolved by resolveImagePath() (includes base)
+ * @param {Object} [options]
+ * @param {string} [options.base] - Configured base path (from $app/paths)
+ * @param {Object} [options.manifest] - Result of readImageManifest()
+ * @returns {ImageRecord} Record (src only if there are no variants)
+ */
+export function toImageRecord(src, { base = '', manifest = {} } = {}) {
+	const key = imageKey(src, base);
+	const entry = key ? manifest[key] : null;
+
+	if (!entry) {
+		return { src, srcset: null, sources: [], width: null, height: null, placeholder: null };
+	}
+
+	const srcsetFor = format => entry.widths
+		.map(width => `${base}/${variantPath(key, width, format)} ${width}w`)
+		.join(', ');
+
+	return {
+		src,
+		srcset: srcsetFor('webp'),
+		sources: IMAGE_FORMATS.map(format => ({ type: `image/${format}`, srcset: srcsetFor(format) })),
+		width: entry.width,
+		height: entry.height,
+		placeholder: entry.placeholder
+	};
+}
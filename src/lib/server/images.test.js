@@ -0,0 +1,129 @@
+/**
+ * Responsive Image Tests
+ *
+ * Covers variant naming, image records built from the manifest, and
+ * real variant generation on a small image written to a temp directory.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import {
+  variantWidths,
+  variantPath,
+  toImageRecord,
+  collectLocationImages,
+  generateImageVariants
+} from './images';
+
+const manifest = {
+  'locations/tokyo-tower/hero.jpg': {
+    width: 800,
+    height: 600,
+    widths: [320, 640, 800],
+    placeholder: 'data:image/webp;base64,AAAA'
+  }
+};
+
+describe('variantWidths()', () => {
+  it('never upscales, ending at the original width', () => {
+    expect(variantWidths(800)).toEqual([320, 640, 800]);
+    expect(variantWidths(200)).toEqual([200]);
+  });
+
+  it('caps large originals at the largest width', () => {
+    expect(variantWidths(4000)).toEqual([320, 640, 1024, 1600]);
+    expect(variantWidths(1600)).toEqual([320, 640, 1024, 1600]);
+  });
+});
+
+describe('variantPath()', () => {
+  it('mirrors the source path under _images', () => {
+    expect(variantPath('locations/japan/tokyo/hero.jpg', 640, 'webp'))
+      .toBe('_images/locations/japan/tokyo/hero-640.webp');
+  });
+});
+
+describe('toImageRecord()', () => {
+  it('builds srcsets from the manifest, including base', () => {
+    const record = toImageRecord('/mapsicle/locations/tokyo-tower/hero.jpg', { base: '/mapsicle', manifest });
+
+    expect(record).toMatchObject({
+      src: '/mapsicle/locations/tokyo-tower/hero.jpg',
+      width: 800,
+      height: 600,
+      placeholder: 'data:image/webp;base64,AAAA'
+    });
+    expect(record.srcset).toBe(
+      '/mapsicle/_images/locations/tokyo-tower/hero-320.webp 320w, ' +
+      '/mapsicle/_images/locations/tokyo-tower/hero-640.webp 640w, ' +
+      '/mapsicle/_images/locations/tokyo-tower/hero-800.webp 800w'
+    );
+    expect(record.sources.map(source => source.type)).toEqual(['image/avif', 'image/webp']);
+  });
+
+  it('passes remote URLs through unchanged', () => {
+    expect(toImageRecord('https://example.com/hero.jpg', { manifest })).toEqual({
+      src: 'https://example.com/hero.jpg',
+      srcset: null,
+      sources: [],
+      width: null,
+      height: null,
+      placeholder: null
+    });
+  });
+
+  it('falls back to src only when variants have not been generated', () => {
+    const record = toImageRecord('/locations/tokyo-tower/other.jpg', { manifest });
+    expect(record.src).toBe('/locations/tokyo-tower/other.jpg');
+    expect(record.srcset).toBeNull();
+  });
+});
+
+describe('with files on disk', () => {
+  let staticDir;
+
+  beforeEach(() => {
+    staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'images-test-'));
+    fs.mkdirSync(path.join(staticDir, 'locations/park'), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(staticDir, { recursive: true, force: true });
+  });
+
+  it('collects hero, folder and markdown images (resizable only)', () => {
+    fs.writeFileSync(path.join(staticDir, 'locations/park/index.md'),
+      '---\nname: Park\nhero: hero.jpg\n---\n\n![Trail](trail.png)\n![Map](map.svg)\n![Remote](https://example.com/x.jpg)\n');
+    fs.writeFileSync(path.join(staticDir, 'locations/park/hero.jpg'), '');
+    fs.writeFileSync(path.join(staticDir, 'locations/park/lake.webp'), '');
+
+    expect(collectLocationImages(path.join(staticDir, 'locations')).sort()).toEqual([
+      'locations/park/hero.jpg',
+      'locations/park/lake.webp',
+      'locations/park/trail.png'
+    ]);
+  });
+
+  it('generates AVIF/WebP variants and skips them when up to date', async () => {
+    const key = 'locations/park/hero.jpg';
+    await sharp({ create: { width: 700, height: 400, channels: 3, background: '#3a7' } })
+      .jpeg()
+      .toFile(path.join(staticDir, key));
+
+    const first = await generateImageVariants(staticDir, key);
+    expect(first.generated).toBe(true);
+    expect(first.entry).toMatchObject({ width: 700, height: 400, widths: [320, 640, 700] });
+    expect(first.entry.placeholder).toMatch(/^data:image\/webp;base64,/);
+
+    const metadata = await sharp(path.join(staticDir, variantPath(key, 320, 'webp'))).metadata();
+    expect(metadata.format).toBe('webp');
+    expect(metadata.width).toBe(320);
+    expect(fs.existsSync(path.join(staticDir, variantPath(key, 700, 'avif')))).toBe(true);
+
+    const second = await generateImageVariants(staticDir, key, { previous: first.entry });
+    expect(second.generated).toBe(false);
+  });
+});
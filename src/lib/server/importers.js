@@ -0,0 +1,420 @@
+import fs from 'fs';
+import path from 'path';
+import matter from 'gray-matter';
+import { parseCoords } from './coords.js';
+
+/**
+ * Place Importers
+ *
+ * Reads places exported from other tools for `npm run import` (scripts/import.js):
+ * - GPX waypoints (<wpt>): name, desc/cmt, type → tag
+ * - KML placemarks with a Point: name, description, enclosing folder names → tags
+ * - GeoJSON Point features: name/title, description, tags
+ * - Google Takeout "Saved Places.json" (GeoJSON with a `location` property):
+ *   name, address → place, comment. Places saved without coordinates keep
+ *   their address so `npm run geocode` can fill them in.
+ *
+ * Each becomes an ImportedPlace, which is written out in the same format as
+ * `npm run new-location`.
+ */
+
+/**
+ * @typedef {Object} ImportedPlace
+ * @property {string} name - Display name
+ * @property {string} place - Place for geocoding (address, or the name)
+ * @property {{lat: number, lon: number}|null} coords - Coordinates, null if unknown
+ * @property {string} description - Markdown description (may be empty)
+ * @property {string[]} tags - Tags (lowercase, hyphenated)
+ */
+
+/**
+ * @typedef {Object} ImportResult
+ * @property {string} format - "gpx", "kml", "geojson" or "takeout"
+ * @property {ImportedPlace[]} places - Places found
+ * @property {string[]} ignored - Why entries were left out (e.g. tracks, unnamed points)
+ */
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode XML/HTML character references
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+	return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+		if (code[0] === '#') {
+			const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+			// Out-of-range references are left as written rather than throwing
+			return point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+		}
+		return XML_ENTITIES[code.toLowerCase()] ?? entity;
+	});
+}
+
+/**
+ * Parse an XML document into a light element tree
+ * Enough for GPX and KML: elements, attributes, text and CDATA. Namespace
+ * prefixes are dropped from names (`kml:Placemark` → `Placemark`).
+ * @param {string} xml - XML text
+ * @returns {{name: string, attributes: Object<string, string>, children: Array, text: string}} Root element
+ * @throws {Error} If tags are not balanced
+ */
+function parseXml(xml) {
+	const root = { name: '#document', attributes: {}, children: [], text: '' };
+	const stack = [root];
+	const token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][\s\S]*?>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+	const localName = name => name.slice(name.indexOf(':') + 1);
+
+	for (const [, cdata, closing, opening, attributeText, selfClosing, text] of xml.matchAll(token)) {
+		const current = stack[stack.length - 1];
+		if (cdata !== undefined) {
+			current.text += cdata;
+		} else if (text !== undefined) {
+			current.text += decodeEntities(text);
+		} else if (opening) {
+			const attributes = {};
+			for (const [, key, doubleQuoted, singleQuoted] of (attributeText || '').matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+				attributes[localName(key)] = decodeEntities(doubleQuoted ?? singleQuoted);
+			}
+			const element = { name: localName(opening), attributes, children: [], text: '' };
+			current.children.push(element);
+			if (!selfClosing) stack.push(element);
+		} else if (closing) {
+			if (stack.length === 1 || current.name !== localName(closing)) {
+				throw new Error(`unexpected </${closing}>`);
+			}
+			stack.pop();
+		}
+	}
+
+	if (stack.length > 1) {
+		throw new Error(`<${stack[stack.length - 1].name}> is never closed`);
+	}
+	return root;
+}
+
+/**
+ * Child elements with a given name
+ * @param {Object} element - Parent element
+ * @param {string} name - Element name (without namespace prefix)
+ * @returns {Object[]} Matching children
+ */
+function childrenNamed(element, name) {
+	return element.children.filter(child => child.name === name);
+}
+
+/**
+ * Trimmed text of the first child with a given name
+ * @param {Object} element - Parent element
+ * @param {string} name - Element name
+ * @returns {string} Text, or '' if there is no such child
+ */
+function childText(element, name) {
+	return childrenNamed(element, name)[0]?.text.trim() || '';
+}
+
+/**
+ * Turn an HTML description (as written by Google My Maps and Earth) into plain text
+ * @param {string} html - Description
+ * @returns {string} Text with line breaks kept
+ */
+function htmlToText(html) {
+	return decodeEntities(html
+		.replace(/<br\s*\/?>|<\/(p|div|li)>/gi, '\n')
+		.replace(/<[^>]+>/g, ''))
+		.replace(/[ \t]+\n/g, '\n')
+		.replace(/\n{3,}/g, '\n\n')
+		.trim();
+}
+
+/**
+ * Normalize a tag: lowercase with hyphens for spaces ("Must See" → "must-see")
+ * @param {string} tag - Tag text
+ * @returns {string} Tag
+ */
+export function normalizeTag(tag) {
+	return String(tag ?? '').trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Build an ImportedPlace, checking its coordinates
+ * @param {Object} fields - name, place, lat, lon, description, tags
+ * @param {string[]} ignored - Accumulates reasons for skipped entries
+ * @returns {ImportedPlace|null} Place, or null if it was ignored
+ */
+function toPlace({ name, place, lat, lon, description = '', tags = [] }, ignored) {
+	const label = name || place;
+	if (!label) {
+		ignored.push(`point at ${lat}, ${lon} has no name`);
+		return null;
+	}
+
+	let coords = null;
+	if (lat != null && lon != null) {
+		try {
+			coords = parseCoords([lat, lon]);
+		} catch (err) {
+			ignored.push(`"${label}": ${err.message}`);
+			return null;
+		}
+	}
+
+	return {
+		name: label,
+		place: place || label,
+		coords,
+		description: description.trim(),
+		tags: [...new Set(tags.map(normalizeTag).filter(Boolean))]
+	};
+}
+
+/**
+ * Read GPX waypoints
+ * @param {string} xml - GPX document
+ * @returns {ImportResult}
+ */
+export function parseGpx(xml) {
+	const [gpx] = childrenNamed(parseXml(xml), 'gpx');
+	if (!gpx) {
+		throw new Error('not a GPX file (no <gpx> element)');
+	}
+
+	const ignored = [];
+	const places = childrenNamed(gpx, 'wpt').map(wpt => toPlace({
+		name: childText(wpt, 'name'),
+		lat: wpt.attributes.lat === undefined ? undefined : Number(wpt.attributes.lat),
+		lon: wpt.attributes.lon === undefined ? undefined : Number(wpt.attributes.lon),
+		description: childText(wpt, 'desc') || childText(wpt, 'cmt'),
+		tags: [childText(wpt, 'type')]
+	}, ignored)).filter(Boolean);
+
+	const tracks = childrenNamed(gpx, 'trk').length + childrenNamed(gpx, 'rte').length;
+	if (tracks > 0) {
+		ignored.push(`${tracks} track(s)/route(s) - only waypoints are imported`);
+	}
+	return { format: 'gpx', places, ignored };
+}
+
+/**
+ * Read KML placemarks that have a Point
+ * Folder names become tags, so a My Maps layer called "Food" tags its places `food`.
+ * @param {string} xml - KML document
+ * @returns {ImportResult}
+ */
+export function parseKml(xml) {
+	const [kml] = childrenNamed(parseXml(xml), 'kml');
+	if (!kml) {
+		throw new Error('not a KML file (no <kml> element)');
+	}
+
+	const places = [];
+	const ignored = [];
+
+	const walk = (element, folders) => {
+		for (const child of element.children) {
+			if (child.name === 'Folder') {
+				walk(child, [...folders, childText(child, 'name')]);
+			} else if (child.name === 'Document') {
+				walk(child, folders);
+			} else if (child.name === 'Placemark') {
+				const name = childText(child, 'name');
+				const [point] = childrenNamed(child, 'Point');
+				if (!point) {
+					ignored.push(`"${name || 'unnamed placemark'}" is not a point`);
+					continue;
+				}
+				// KML order is lon,lat[,altitude]
+				const [lon, lat] = childText(point, 'coordinates').split(',').map(Number);
+				const place = toPlace({
+					name,
+					place: childText(child, 'address'),
+					lat,
+					lon,
+					description: htmlToText(childText(child, 'description')),
+					tags: folders
+				}, ignored);
+				if (place) places.push(place);
+			}
+		}
+	};
+	walk(kml, []);
+
+	return { format: 'kml', places, ignored };
+}
+
+/**
+ * Tags from a GeoJSON property: a list, or comma separated text
+ * @param {*} value - `tags` property
+ * @returns {string[]} Tags
+ */
+function tagList(value) {
+	if (Array.isArray(value)) return value.map(String);
+	if (typeof value === 'string') return value.split(',');
+	return [];
+}
+
+/**
+ * Read a Google Takeout saved place
+ * Handles both the current (`location.name`, `google_maps_url`) and older
+ * (`Title`, `Location["Geo Coordinates"]`) layouts. Places saved without a
+ * position have [0, 0] geometry.
+ * @param {Object} feature - GeoJSON feature
+ * @param {string[]} ignored - Accumulates reasons for skipped entries
+ * @returns {ImportedPlace|null} Place
+ */
+function takeoutPlace(feature, ignored) {
+	const properties = feature.properties || {};
+	const location = properties.location || properties.Location || {};
+	const [lon, lat] = feature.geometry?.coordinates || [];
+	const legacy = location['Geo Coordinates'];
+	const hasGeometry = Number.isFinite(lat) && Number.isFinite(lon) && !(lat === 0 && lon === 0);
+
+	return toPlace({
+		name: location.name || location['Business Name'] || properties.Title || location.address || location.Address,
+		place: location.address || location.Address,
+		lat: hasGeometry ? lat : legacy?.Latitude != null ? Number(legacy.Latitude) : undefined,
+		lon: hasGeometry ? lon : legacy?.Longitude != null ? Number(legacy.Longitude) : undefined,
+		description: properties.Comment || properties.comment || ''
+	}, ignored);
+}
+
+/**
+ * Read GeoJSON Point features (including Google Takeout "Saved Places")
+ * @param {string|Object} json - GeoJSON text or parsed object
+ * @returns {ImportResult}
+ */
+export function parseGeoJson(json) {
+	const data = typeof json === 'string' ? JSON.parse(json) : json;
+	const features = data?.type === 'FeatureCollection' ? data.features || []
+		: data?.type === 'Feature' ? [data]
+			: null;
+	if (!features) {
+		throw new Error('not a GeoJSON Feature or FeatureCollection');
+	}
+
+	const isTakeout = features.some(feature => {
+		const properties = feature.properties || {};
+		return 'location' in properties || 'Location' in properties || 'google_maps_url' in properties || 'Google Maps URL' in properties;
+	});
+
+	const places = [];
+	const ignored = [];
+
+	for (const feature of features) {
+		const properties = feature.properties || {};
+		let place;
+
+		if (isTakeout) {
+			place = takeoutPlace(feature, ignored);
+		} else if (feature.geometry?.type !== 'Point') {
+			ignored.push(`"${properties.name || properties.title || 'unnamed feature'}" is a ${feature.geometry?.type || 'feature without geometry'}, not a Point`);
+			continue;
+		} else {
+			const [lon, lat] = feature.geometry.coordinates;
+			place = toPlace({
+				name: properties.name || properties.title || properties.Name || properties.Title,
+				place: properties.place || properties.address,
+				lat,
+				lon,
+				description: properties.description || properties.desc || '',
+				tags: tagList(properties.tags)
+			}, ignored);
+		}
+
+		if (place) places.push(place);
+	}
+
+	return { format: isTakeout ? 'takeout' : 'geojson', places, ignored };
+}
+
+/**
+ * Read an export file, picking the parser by extension
+ * @param {string} file - Path to a .gpx, .kml, .geojson or .json file
+ * @returns {ImportResult}
+ * @throws {Error} For unsupported or malformed files
+ */
+export function readImportFile(file) {
+	const text = fs.readFileSync(file, 'utf-8');
+	const ext = path.extname(file).toLowerCase();
+
+	switch (ext) {
+		case '.gpx':
+			return parseGpx(text);
+		case '.kml':
+			return parseKml(text);
+		case '.geojson':
+		case '.json':
+			return parseGeoJson(text);
+		default:
+			throw new Error(`unsupported file type "${ext}" (expected .gpx, .kml, .geojson or .json)`);
+	}
+}
+
+/**
+ * Render an imported place as a new index.md
+ * Same fields as `npm run new-location`; without coords, geocoding fills them later.
+ * @param {ImportedPlace} place - Place
+ * @returns {string} Markdown file contents
+ */
+export function importedLocationFile(place) {
+	const frontmatter = { name: place.name, place: place.place };
+	if (place.coords) {
+		frontmatter.coords = place.coords;
+	}
+	frontmatter.tags = place.tags;
+
+	const body = `\n# ${place.name}\n\n${place.description || 'Add your description here...'}\n`;
+	return matter.stringify(body, frontmatter);
+}
+
+/**
+ * Merge an imported place into an existing index.md
+ * Existing values always win: tags are added, coords/place are filled only
+ * when missing, and the description is only used when the body is empty.
+ * @param {string} markdown - Existing file contents
+ * @param {ImportedPlace} place - Imported place
+ * @returns {{markdown: string, changes: string[]}} Updated contents and what changed (empty if nothing)
+ */
+export function mergeImportedPlace(markdown, place) {
+	const parsed = matter(markdown);
+	// gray-matter caches parses by content, so never mutate its data object
+	const frontmatter = { ...parsed.data };
+	const content = parsed.content;
+	const changes = [];
+
+	const existingTags = Array.isArray(frontmatter.tags) ? frontmatter.tags : [];
+	const newTags = place.tags.filter(tag => !existingTags.includes(tag));
+	if (newTags.length > 0) {
+		frontmatter.tags = [...existingTags, ...newTags];
+		changes.push(`tags +${newTags.join(', +')}`);
+	}
+
+	let hasCoords;
+	try {
+		hasCoords = parseCoords(frontmatter.coords) !== null;
+	} catch {
+		// Unreadable coords are for the author to fix, not to overwrite
+		hasCoords = true;
+	}
+	if (!hasCoords && place.coords) {
+		frontmatter.coords = place.coords;
+		changes.push('coords');
+	}
+
+	if (!frontmatter.place && place.place) {
+		frontmatter.place = place.place;
+		changes.push('place');
+	}
+
+	let body = content;
+	if (content.trim() === '' && place.description) {
+		body = `\n${place.description}\n`;
+		changes.push('description');
+	}
+
+	return {
+		markdown: changes.length > 0 ? matter.stringify(body, frontmatter) : markdown,
+		changes
+	};
+}
@@ -0,0 +1,237 @@
+/**
+ * Place Importer Tests
+ *
+ * Parses small GPX, KML, GeoJSON and Google Takeout documents and checks
+ * the generated and merged index.md files.
+ */
+
+import { describe, it, expect } from 'vitest';
+import matter from 'gray-matter';
+import {
+  parseGpx,
+  parseKml,
+  parseGeoJson,
+  importedLocationFile,
+  mergeImportedPlace,
+  normalizeTag
+} from './importers';
+
+describe('parseGpx()', () => {
+  it('reads waypoints and ignores tracks', () => {
+    const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="40.3428" lon="-105.6836">
+    <name>Rocky Mountain &amp; Bear Lake</name>
+    <desc><![CDATA[Alpine lake <b>trailhead</b>]]></desc>
+    <type>Trail Head</type>
+  </wpt>
+  <wpt lat='39.7' lon='-104.9'><name>Denver</name><cmt>Base camp</cmt></wpt>
+  <trk><name>Hike</name><trkseg><trkpt lat="40.3" lon="-105.6"/></trkseg></trk>
+</gpx>`;
+
+    const { format, places, ignored } = parseGpx(gpx);
+    expect(format).toBe('gpx');
+    expect(places).toEqual([
+      {
+        name: 'Rocky Mountain & Bear Lake',
+        place: 'Rocky Mountain & Bear Lake',
+        coords: { lat: 40.3428, lon: -105.6836 },
+        description: 'Alpine lake <b>trailhead</b>',
+        tags: ['trail-head']
+      },
+      { name: 'Denver', place: 'Denver', coords: { lat: 39.7, lon: -104.9 }, description: 'Base camp', tags: [] }
+    ]);
+    expect(ignored).toEqual(['1 track(s)/route(s) - only waypoints are imported']);
+  });
+
+  it('ignores waypoints with impossible coordinates', () => {
+    const { places, ignored } = parseGpx('<gpx><wpt lat="95" lon="200"><name>Nowhere</name></wpt></gpx>');
+    expect(places).toEqual([]);
+    expect(ignored[0]).toMatch(/^"Nowhere": `coords.lat` 95 is out of range/);
+  });
+
+  it('decodes character references, leaving out-of-range ones as written', () => {
+    const { places } = parseGpx('<gpx><wpt lat="1" lon="2"><name>Caf&#233; &#x2615; &#99999999; &#x110000;</name></wpt></gpx>');
+    expect(places[0].name).toBe('Café ☕ &#99999999; &#x110000;');
+  });
+
+  it('rejects other documents', () => {
+    expect(() => parseGpx('<kml></kml>')).toThrow('not a GPX file');
+    expect(() => parseGpx('<gpx><wpt></gpx>')).toThrow('unexpected </gpx>');
+  });
+});
+
+describe('parseKml()', () => {
+  it('reads point placemarks, tagging them with their folders', () => {
+    const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Japan trip</name>
+    <Folder>
+      <name>Must See</name>
+      <Placemark>
+        <name>Tokyo Tower</name>
+        <description><![CDATA[Great view<br>Go at night]]></description>
+        <Point><coordinates>139.7454,35.6586,0</coordinates></Point>
+      </Placemark>
+      <Folder>
+        <name>Food</name>
+        <Placemark>
+          <name>Tsukiji Outer Market</name>
+          <address>4 Chome-16-2 Tsukiji, Chuo City, Tokyo</address>
+          <Point><coordinates> 139.7707,35.6654 </coordinates></Point>
+        </Placemark>
+      </Folder>
+    </Folder>
+    <Placemark>
+      <name>Shinkansen</name>
+      <LineString><coordinates>139.76,35.68 135.5,34.7</coordinates></LineString>
+    </Placemark>
+  </Document>
+</kml>`;
+
+    const { places, ignored } = parseKml(kml);
+    expect(places).toEqual([
+      { name: 'Tokyo Tower', place: 'Tokyo Tower', coords: { lat: 35.6586, lon: 139.7454 }, description: 'Great view\nGo at night', tags: ['must-see'] },
+      {
+        name: 'Tsukiji Outer Market',
+        place: '4 Chome-16-2 Tsukiji, Chuo City, Tokyo',
+        coords: { lat: 35.6654, lon: 139.7707 },
+        description: '',
+        tags: ['must-see', 'food']
+      }
+    ]);
+    expect(ignored).toEqual(['"Shinkansen" is not a point']);
+  });
+});
+
+describe('parseGeoJson()', () => {
+  it('reads Point features with name, description and tags', () => {
+    const { format, places, ignored } = parseGeoJson({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [-1.2544, 51.7548] }, properties: { name: 'Oxford', description: 'Spires', tags: 'Cities, history' } },
+        { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] }, properties: { name: 'Thames Path' } }
+      ]
+    });
+
+    expect(format).toBe('geojson');
+    expect(places).toEqual([
+      { name: 'Oxford', place: 'Oxford', coords: { lat: 51.7548, lon: -1.2544 }, description: 'Spires', tags: ['cities', 'history'] }
+    ]);
+    expect(ignored).toEqual(['"Thames Path" is a LineString, not a Point']);
+  });
+
+  it('reads Google Takeout saved places, keeping addresses for geocoding', () => {
+    const takeout = JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [2.3325, 48.8539] },
+          properties: {
+            date: '2023-05-01T10:00:00Z',
+            google_maps_url: 'http://maps.google.com/?cid=123',
+            location: { name: 'Café de Flore', address: '172 Bd Saint-Germain, 75006 Paris, France', country_code: 'FR' },
+            Comment: 'Breakfast spot'
+          }
+        },
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [0, 0] },
+          properties: { google_maps_url: 'http://maps.google.com/?cid=456', location: { address: 'Shibuya Crossing, Tokyo, Japan' } }
+        },
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [0, 0] },
+          properties: {
+            Title: 'Alhambra',
+            Location: { Address: 'Granada, Spain', 'Geo Coordinates': { Latitude: '37.1761', Longitude: '-3.5881' } }
+          }
+        }
+      ]
+    });
+
+    const { format, places } = parseGeoJson(takeout);
+    expect(format).toBe('takeout');
+    expect(places).toEqual([
+      {
+        name: 'Café de Flore',
+        place: '172 Bd Saint-Germain, 75006 Paris, France',
+        coords: { lat: 48.8539, lon: 2.3325 },
+        description: 'Breakfast spot',
+        tags: []
+      },
+      { name: 'Shibuya Crossing, Tokyo, Japan', place: 'Shibuya Crossing, Tokyo, Japan', coords: null, description: '', tags: [] },
+      { name: 'Alhambra', place: 'Granada, Spain', coords: { lat: 37.1761, lon: -3.5881 }, description: '', tags: [] }
+    ]);
+  });
+
+  it('rejects JSON that is not GeoJSON', () => {
+    expect(() => parseGeoJson('{"places": []}')).toThrow('not a GeoJSON Feature or FeatureCollection');
+  });
+});
+
+describe('importedLocationFile()', () => {
+  it('writes the same fields as new-location', () => {
+    const file = importedLocationFile({
+      name: 'Tokyo Tower: Night',
+      place: 'Tokyo Tower, Japan',
+      coords: { lat: 35.6586, lon: 139.7454 },
+      description: 'Great view',
+      tags: ['landmark']
+    });
+
+    const { data, content } = matter(file);
+    expect(data).toEqual({ name: 'Tokyo Tower: Night', place: 'Tokyo Tower, Japan', coords: { lat: 35.6586, lon: 139.7454 }, tags: ['landmark'] });
+    expect(content).toBe('\n# Tokyo Tower: Night\n\nGreat view\n');
+  });
+
+  it('leaves coords out until geocoded', () => {
+    const file = importedLocationFile({ name: 'Shibuya', place: 'Shibuya, Tokyo', coords: null, description: '', tags: [] });
+    expect(matter(file).data).not.toHaveProperty('coords');
+    expect(file).toContain('Add your description here...');
+  });
+});
+
+describe('mergeImportedPlace()', () => {
+  const existing = `---
+name: Tokyo Tower
+place: Tokyo Tower, Japan
+coords:
+  lat:
+  lon:
+tags:
+  - landmark
+---
+
+# Tokyo Tower
+
+My notes.
+`;
+  const imported = { name: 'Tokyo Tower', place: 'Tokyo', coords: { lat: 35.6586, lon: 139.7454 }, description: 'Imported', tags: ['landmark', 'views'] };
+
+  it('adds new tags and missing coords, keeping everything else', () => {
+    const { markdown, changes } = mergeImportedPlace(existing, imported);
+    const { data, content } = matter(markdown);
+
+    expect(changes).toEqual(['tags +views', 'coords']);
+    expect(data).toMatchObject({ place: 'Tokyo Tower, Japan', coords: { lat: 35.6586, lon: 139.7454 }, tags: ['landmark', 'views'] });
+    expect(content).toContain('My notes.');
+    expect(content).not.toContain('Imported');
+  });
+
+  it('reports no changes when there is nothing new', () => {
+    const { markdown: merged } = mergeImportedPlace(existing, imported);
+    const again = mergeImportedPlace(merged, imported);
+
+    expect(again.changes).toEqual([]);
+    expect(again.markdown).toBe(merged);
+  });
+});
+
+describe('normalizeTag()', () => {
+  it('lowercases and hyphenates', () => {
+    expect(normalizeTag('  Must  See ')).toBe('must-see');
+  });
+});
@@ -0,0 +1,187 @@
+import fs from 'fs';
+import path from 'path';
+import matter from 'gray-matter';
+import {
+	findLocationFolders,
+	findImagesInFolder,
+	extractImagesFromMarkdown,
+	resolveImagePath,
+	readCaptions
+} from './locations.js';
+import { validateLocationFolders, formatProblem } from './validate.js';
+import { gitFolderTimes, resolveUpdated, parseFrontmatterDate } from './dates.js';
+import { readImageManifest, toImageRecord, imageKey } from './images.js';
+import { readExif, exifPhotoInfo } from './exif.js';
+import { parseCoords } from './coords.js';
+import { readTaxonomy, normalizeTags } from './taxonomy.js';
+import { readRegions } from './regions.js';
+import { regionOf } from '../regions.js';
+
+/**
+ * Load every location from markdown files in static/locations/
+ *
+ * Shared by all prerendered routes (map page, per-location pages, exports)
+ * so they all see exactly the same location objects.
+ * Supports both flat structure (locations at root) and nested organization
+ * (e.g., static/locations/europe/france/paris/)
+ *
+ * @param {Object} [options]
+ * @param {string} [options.base] - Configured base path (from $app/paths), prefixed to local image URLs
+ * @param {string} [options.locationsDirectory] - Defaults to static/locations in the project
+ * @returns {Array<Object>} Array of location objects with metadata
+ *   (`hero` is a URL; `images` are responsive image records, see images.js, plus EXIF `photo` info,
+ *   `alt` text and an optional `caption`; `tags` are normalized against static/tags.yml, see taxonomy.js;
+ *   `region` is the folder path above the location, e.g. "europe/france", see $lib/regions.js)
+ * @throws {Error} If any location, tags.yml or _region.md fails validation (see validate.js, taxonomy.js and regions.js)
+ */
+export function loadLocations({
+	base = '',
+	locationsDirectory = path.join(process.cwd(), 'static/locations')
+} = {}) {
+	const staticDir = path.dirname(locationsDirectory);
+	const foundLocations = findLocationFolders(locationsDirectory);
+
+	// Canonical tags, aliases and hierarchy (empty without static/tags.yml)
+	const { taxonomy, problems: taxonomyProblems } = readTaxonomy(staticDir);
+
+	// Fail loudly on broken content rather than rendering markers at `undefined`
+	const problems = [
+		...taxonomyProblems,
+		...readRegions(locationsDirectory).problems,
+		...validateLocationFolders(foundLocations, { staticDir })
+	];
+	if (problems.length > 0) {
+		throw new Error(
+			`Invalid location content (run \`npm run validate\` for details):\n` +
+			problems.map(formatProblem).join('\n')
+		);
+	}
+
+	// One git call for all folders (falls back to mtime outside a git checkout)
+	const folderTimes = gitFolderTimes(locationsDirectory);
+
+	// Resized variants from `npm run images` (empty until it has run)
+	const imageManifest = readImageManifest(staticDir);
+
+	/**
+	 * Image record with capture date/camera settings from EXIF (local JPEGs only)
+	 * @param {string} src - Image URL from resolveImagePath()
+	 * @param {{alt: string|null, caption: string|null}} text - Alt text and caption
+	 * @param {string} locationName - Alt text fallback
+	 * @returns {Object} ImageRecord plus `photo` (see exifPhotoInfo()), `alt` and `caption`
+	 */
+	function toLocationImage(src, text, locationName) {
+		const key = imageKey(src, base);
+		return {
+			...toImageRecord(src, { base, manifest: imageManifest }),
+			photo: key ? exifPhotoInfo(readExif(path.join(staticDir, key))) : null,
+			alt: text.alt || text.caption || locationName,
+			caption: text.caption
+		};
+	}
+
+	const locations = [];
+
+	// Parse each location folder's index.md file
+	for (const { fullPath, relativePath } of foundLocations) {
+		const markdownFilePath = path.join(fullPath, 'index.md');
+
+		const markdownContent = fs.readFileSync(markdownFilePath, 'utf-8');
+		const { data: frontmatter, content: description } = matter(markdownContent);
+
+		// Get hero image (optional, can be local file or remote URL)
+		const heroImage = frontmatter.hero ? resolveImagePath(frontmatter.hero, relativePath, base) : null;
+
+		// Captions from captions.yml and the `captions:` frontmatter map
+		const captions = readCaptions(fullPath, frontmatter.captions);
+
+		// Alt text and caption per unique image URL, in discovery order
+		// Markdown alt/title win over captions; the first non-empty value is kept
+		const imageText = new Map();
+		const addImage = (imagePath, { alt = '', title = '' } = {}) => {
+			const src = resolveImagePath(imagePath, relativePath, base);
+			const existing = imageText.get(src) || {};
+			imageText.set(src, {
+				alt: existing.alt || alt.trim() || null,
+				caption: existing.caption || title.trim() || captions[imagePath] || null
+			});
+		};
+
+		// Hero, then auto-discovered folder images, then images from markdown content
+		if (frontmatter.hero) addImage(frontmatter.hero);
+		findImagesInFolder(fullPath).forEach(img => addImage(img));
+		extractImagesFromMarkdown(description).forEach(img => addImage(img.src, img));
+
+		// `carouselOrder: chronological` sorts by capture date (undated photos last)
+		const otherImages = [...imageText]
+			.filter(([src]) => src !== heroImage)
+			.map(([src, text]) => toLocationImage(src, text, frontmatter.name));
+		if (frontmatter.carouselOrder === 'chronological') {
+			otherImages.sort((a, b) => (a.photo?.taken ?? Infinity) - (b.photo?.taken ?? Infinity) || 0);
+		}
+
+		// Hero image is first in carousel, followed by other unique images
+		const carouselImages = heroImage
+			? [toLocationImage(heroImage, imageText.get(heroImage), frontmatter.name), ...otherImages]
+			: otherImages;
+
+		// Build location object from frontmatter and file metadata
+		locations.push({
+			slug: relativePath, // e.g., "tokyo-tower" or "japan/tokyo-tower"
+			region: regionOf(relativePath), // e.g., null or "japan"
+			name: frontmatter.name,
+			place: frontmatter.place,
+			coords: parseCoords(frontmatter.coords), // { lat, lon }, whatever form frontmatter used
+			tags: normalizeTags(frontmatter.tags, taxonomy), // Aliases → canonical tags from tags.yml
+			description: description.trim(),
+			hero: heroImage,
+			images: carouselImages, // Hero first, then auto-discovered images
+			// "Freshness" of location: frontmatter `updated`, else last git commit, else mtime
+			updated: resolveUpdated({ frontmatter, relativePath, markdownFilePath, folderTimes }),
+			// When the place was visited (optional `visited:` frontmatter date)
+			visited: parseFrontmatterDate(frontmatter.visited),
+			// Marker overrides (optional; otherwise from config.markerStyles, see markers.js)
+			icon: frontmatter.icon ?? null,
+			color: frontmatter.color ?? null
+		});
+	}
+
+	return locations;
+}
+
+/** loadSiteData() results by locations directory and base path */
+const siteDataCache = new Map();
+
+/**
+ * Locations, tag taxonomy and region details for the routes
+ * A build prerenders a page per location plus the feeds and exports; they
+ * all share one load (validation, git dates and EXIF reads) instead of
+ * repeating it per route. In dev every request reloads, so content edits
+ * show up without restarting.
+ * @param {Object} [options]
+ * @param {string} [options.base] - Configured base path (from $app/paths)
+ * @param {string} [options.locationsDirectory] - Defaults to static/locations in the project
+ * @param {boolean} [options.cache] - Reuse an earlier load (defaults to true in production builds)
+ * @returns {{locations: Array<Object>, taxonomy: Object, regions: Object}} See loadLocations(),
+ *   readTaxonomy() and readRegions()
+ */
+export function loadSiteData({
+	base = '',
+	locationsDirectory = path.join(process.cwd(), 'static/locations'),
+	cache = process.env.NODE_ENV === 'production'
+} = {}) {
+	const key = `${locationsDirectory}|${base}`;
+	if (cache && siteDataCache.has(key)) {
+		return siteDataCache.get(key);
+	}
+
+	const data = {
+		locations: loadLocations({ base, locationsDirectory }),
+		taxonomy: readTaxonomy(path.dirname(locationsDirectory)).taxonomy,
+		regions: readRegions(locationsDirectory).regions
+	};
+	if (cache) {
+		siteDataCache.set(key, data);
+	}
+	return data;
+}
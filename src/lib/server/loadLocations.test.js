@@ -0,0 +1,142 @@
+/**
+ * Location Loading Tests
+ *
+ * Loads a throwaway location tree and checks how image records get their
+ * alt text and captions, and how coordinates and tags are normalized.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadLocations, loadSiteData } from './loadLocations';
+
+let locationsDir;
+
+beforeEach(() => {
+  const staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'load-test-'));
+  locationsDir = path.join(staticDir, 'locations');
+  const dir = path.join(locationsDir, 'park');
+  fs.mkdirSync(dir, { recursive: true });
+
+  fs.writeFileSync(path.join(dir, 'index.md'), `---
+name: City Park
+place: Denver, CO
+tags: [Parks, lakes, picnic]
+hero: hero.jpg
+coords:
+  lat: 39.7
+  lon: -104.9
+captions:
+  lake.jpg: Ferril Lake at dawn
+---
+
+![Boathouse](boathouse.jpg "The 1911 boathouse")
+`);
+  fs.writeFileSync(path.join(dir, 'captions.yml'), 'hero.jpg: Looking west to the mountains\nlake.jpg: Overridden by frontmatter\n');
+  ['hero.jpg', 'lake.jpg', 'boathouse.jpg', 'bench.jpg'].forEach(file => fs.writeFileSync(path.join(dir, file), ''));
+});
+
+afterEach(() => {
+  fs.rmSync(path.dirname(locationsDir), { recursive: true, force: true });
+});
+
+describe('loadLocations() images', () => {
+  it('carries alt text and captions from markdown, frontmatter and captions.yml', () => {
+    const [location] = loadLocations({ base: '/mapsicle', locationsDirectory: locationsDir });
+    const bySrc = Object.fromEntries(location.images.map(image => [image.src.split('/').pop(), image]));
+
+    expect(location.images[0].src).toBe('/mapsicle/locations/park/hero.jpg');
+    expect(bySrc['hero.jpg']).toMatchObject({ alt: 'Looking west to the mountains', caption: 'Looking west to the mountains' });
+    expect(bySrc['lake.jpg']).toMatchObject({ alt: 'Ferril Lake at dawn', caption: 'Ferril Lake at dawn' });
+    expect(bySrc['boathouse.jpg']).toMatchObject({ alt: 'Boathouse', caption: 'The 1911 boathouse' });
+  });
+
+  it('falls back to the location name for alt text', () => {
+    const [location] = loadLocations({ locationsDirectory: locationsDir });
+    const bench = location.images.find(image => image.src.endsWith('bench.jpg'));
+
+    expect(bench).toMatchObject({ alt: 'City Park', caption: null });
+  });
+});
+
+describe('loadLocations() coords', () => {
+  it('normalizes pasted coordinates into { lat, lon }', () => {
+    const indexPath = path.join(locationsDir, 'park/index.md');
+    fs.writeFileSync(indexPath, fs.readFileSync(indexPath, 'utf-8').replace('coords:\n  lat: 39.7\n  lon: -104.9', 'coords: 39.7, -104.9'));
+
+    const [location] = loadLocations({ locationsDirectory: locationsDir });
+    expect(location.coords).toEqual({ lat: 39.7, lon: -104.9 });
+  });
+
+  it('fails the build on unreadable coordinates', () => {
+    const indexPath = path.join(locationsDir, 'park/index.md');
+    fs.writeFileSync(indexPath, fs.readFileSync(indexPath, 'utf-8').replace('coords:\n  lat: 39.7\n  lon: -104.9', 'coords: by the lake'));
+
+    expect(() => loadLocations({ locationsDirectory: locationsDir })).toThrow('can\'t read `coords` "by the lake"');
+  });
+});
+
+describe('loadLocations() tags', () => {
+  it('keeps tags as written without tags.yml', () => {
+    const [location] = loadLocations({ locationsDirectory: locationsDir });
+    expect(location.tags).toEqual(['Parks', 'lakes', 'picnic']);
+  });
+
+  it('normalizes aliases from tags.yml', () => {
+    fs.writeFileSync(path.join(path.dirname(locationsDir), 'tags.yml'), 'park:\n  aliases: [parks]\nwater:\n  aliases: [lake, lakes]\n');
+
+    const [location] = loadLocations({ locationsDirectory: locationsDir });
+    expect(location.tags).toEqual(['park', 'water', 'picnic']);
+  });
+
+  it('fails the build on a broken tags.yml', () => {
+    fs.writeFileSync(path.join(path.dirname(locationsDir), 'tags.yml'), 'ramen:\n  parent: food\n');
+
+    expect(() => loadLocations({ locationsDirectory: locationsDir })).toThrow('parent `food` of `ramen` is not declared in tags.yml');
+  });
+});
+
+describe('loadLocations() regions', () => {
+  it('puts top-level locations in no region', () => {
+    const [location] = loadLocations({ locationsDirectory: locationsDir });
+    expect(location.region).toBeNull();
+  });
+
+  it('uses the folders above a nested location as its region', () => {
+    const nested = path.join(locationsDir, 'usa/colorado');
+    fs.mkdirSync(nested, { recursive: true });
+    fs.renameSync(path.join(locationsDir, 'park'), path.join(nested, 'park'));
+
+    const [location] = loadLocations({ locationsDirectory: locationsDir });
+    expect(location).toMatchObject({ slug: 'usa/colorado/park', region: 'usa/colorado' });
+  });
+
+  it('fails the build on a broken _region.md', () => {
+    const nested = path.join(locationsDir, 'usa');
+    fs.mkdirSync(nested, { recursive: true });
+    fs.renameSync(path.join(locationsDir, 'park'), path.join(nested, 'park'));
+    fs.writeFileSync(path.join(nested, '_region.md'), '---\nname: [United, States]\n---\n');
+
+    expect(() => loadLocations({ locationsDirectory: locationsDir })).toThrow('`name` must be text');
+  });
+});
+
+describe('loadSiteData()', () => {
+  it('loads locations, taxonomy and regions together', () => {
+    fs.writeFileSync(path.join(path.dirname(locationsDir), 'tags.yml'), 'parks:\n  label: Parks & Gardens\n');
+    const data = loadSiteData({ locationsDirectory: locationsDir, cache: false });
+
+    expect(data.locations.map(location => location.slug)).toEqual(['park']);
+    expect(data.taxonomy.parks).toMatchObject({ label: 'Parks & Gardens' });
+    expect(data.regions).toEqual({});
+  });
+
+  it('reuses the first load when caching, and reloads otherwise', () => {
+    const first = loadSiteData({ locationsDirectory: locationsDir, cache: true });
+    fs.rmSync(path.join(locationsDir, 'park'), { recursive: true });
+
+    expect(loadSiteData({ locationsDirectory: locationsDir, cache: true })).toBe(first);
+    expect(loadSiteData({ locationsDirectory: locationsDir, cache: false }).locations).toEqual([]);
+  });
+});
@@ -0,0 +1,182 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+// Shared with the browser's GPX/KML downloads (see $lib/urls.js)
+export { toAbsoluteUrl, locationPagePath } from '../urls.js';
+
+/** Optional sidecar with image captions, next to index.md */
+export const CAPTIONS_FILE = 'captions.yml';
+
+/**
+ * Check if a string is a remote URL
+ * @param {string} str - String to check
+ * @returns {boolean} True if it's a URL
+ */
+export function isRemoteUrl(str) {
+	if (!str) return false;
+	return str.startsWith('http://') ||
+	       str.startsWith('https://') ||
+	       str.startsWith('//');
+}
+
+/**
+ * Turn a location name into a folder name (kebab-case, ASCII)
+ * Accents are dropped ("Café de Flore" → "cafe-de-flore"); other characters
+ * outside [a-z0-9_-] are removed, so the result may be empty.
+ * @param {string} name - Location name
+ * @returns {string} Slug
+ */
+export function slugify(name) {
+	return String(name ?? '')
+		.normalize('NFKD')
+		.replace(/[\u0300-\u036f]/g, '') // Combining accents left by NFKD
+		.toLowerCase()
+		.replace(/[^\w\s-]/g, '')        // Remove special characters
+		.trim()
+		.replace(/\s+/g, '-')             // Replace spaces with hyphens
+		.replace(/-+/g, '-')              // Replace multiple hyphens with single hyphen
+		.replace(/^-|-$/g, '');
+}
+
+/**
+ * Convert image path to absolute path
+ * If it's a URL, return as-is
+ * If it's local, prepend base path + /locations/{relativePath}/
+ * @param {string} imagePath - Image filename or URL
+ * @param {string} relativePath - Location's relative path
+ * @param {string} [base] - Configured base path (from $app/paths)
+ * @returns {string} Absolute image path
+ */
+export function resolveImagePath(imagePath, relativePath, base = '') {
+	if (!imagePath) return null;
+	if (isRemoteUrl(imagePath)) return imagePath;
+	return `${base}/locations/${relativePath}/${imagePath}`;
+}
+
+/**
+ * Find all image files in a directory (excluding index.md)
+ * @param {string} dir - Directory to scan
+ * @returns {string[]} Array of image filenames
+ */
+export function findImagesInFolder(dir) {
+	const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'];
+	const images = [];
+
+	try {
+		const entries = fs.readdirSync(dir);
+		for (const entry of entries) {
+			const ext = path.extname(entry).toLowerCase();
+			if (imageExtensions.includes(ext)) {
+				images.push(entry);
+			}
+		}
+	} catch (err) {
+		// Directory doesn't exist or can't be read
+	}
+
+	return images;
+}
+
+/**
+ * Read the attributes of an HTML tag
+ * @param {string} tag - Tag source, e.g. <img src="a.jpg" alt="A">
+ * @returns {Object<string, string>} Lowercased attribute name → value
+ */
+function parseHtmlAttributes(tag) {
+	const attributes = {};
+	const attributeRegex = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+	let match;
+	while ((match = attributeRegex.exec(tag)) !== null) {
+		attributes[match[1].toLowerCase()] = match[2] ?? match[3];
+	}
+	return attributes;
+}
+
+/**
+ * Extract images from markdown content
+ * Matches both ![alt](url "title") and <img src="url" alt="..." title="..."> syntax
+ * @param {string} markdown - Markdown content
+ * @returns {Array<{src: string, alt: string, title: string, index: number}>} Images with their
+ *   alt text, title (used as caption) and offset in the markdown, in order of appearance
+ */
+export function extractImagesFromMarkdown(markdown) {
+	const images = [];
+
+	// Match ![alt](url), ![alt](<url>) and either with a "title" (urls may contain spaces)
+	const mdImageRegex = /!\[([^\]]*)\]\(\s*(?:<([^>]+)>|([^)]+?))(?:\s+(?:"([^"]*)"|'([^']*)'))?\s*\)/g;
+	let match;
+	while ((match = mdImageRegex.exec(markdown)) !== null) {
+		images.push({ src: match[2] ?? match[3], alt: match[1], title: match[4] ?? match[5] ?? '', index: match.index });
+	}
+
+	// Match <img src="url"> syntax
+	const htmlImageRegex = /<img\b[^>]*>/gi;
+	while ((match = htmlImageRegex.exec(markdown)) !== null) {
+		const { src, alt = '', title = '' } = parseHtmlAttributes(match[0]);
+		if (src) {
+			images.push({ src, alt, title, index: match.index });
+		}
+	}
+
+	return images.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Read image captions for a location folder
+ * From the sidecar captions.yml and the `captions:` frontmatter map
+ * (frontmatter wins when both caption the same image)
+ * @param {string} dir - Location folder
+ * @param {Object} [frontmatterCaptions] - `captions:` frontmatter value
+ * @returns {Object<string, string>} Image filename/path → caption
+ */
+export function readCaptions(dir, frontmatterCaptions) {
+	const sidecarPath = path.join(dir, CAPTIONS_FILE);
+	const sidecar = fs.existsSync(sidecarPath)
+		? yaml.load(fs.readFileSync(sidecarPath, 'utf-8')) || {}
+		: {};
+
+	return { ...sidecar, ...(frontmatterCaptions || {}) };
+}
+
+/**
+ * Recursively find all location folders (those containing index.md)
+ * Supports nested directory organization
+ *
+ * @param {string} dir - Directory to search
+ * @param {string} relativePath - Current relative path from locations root
+ * @returns {Array<{fullPath: string, relativePath: string}>} Found locations
+ */
+export function findLocationFolders(dir, relativePath = '') {
+	const results = [];
+
+	// Skip if directory doesn't exist
+	if (!fs.existsSync(dir)) {
+		return results;
+	}
+
+	const entries = fs.readdirSync(dir, { withFileTypes: true });
+
+	for (const entry of entries) {
+		// Skip hidden files/folders
+		if (entry.name.startsWith('.')) {
+			continue;
+		}
+
+		if (entry.isDirectory()) {
+			const fullPath = path.join(dir, entry.name);
+			const indexPath = path.join(fullPath, 'index.md');
+			const newRelativePath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+
+			if (fs.existsSync(indexPath)) {
+				// This directory contains an index.md - it's a location
+				results.push({ fullPath, relativePath: newRelativePath });
+			} else {
+				// Recurse into subdirectory to find nested locations
+				results.push(...findLocationFolders(fullPath, newRelativePath));
+			}
+		}
+	}
+
+	return results;
+}
@@ -0,0 +1,83 @@
+/**
+ * Location Helper Tests
+ *
+ * Covers markdown image extraction (alt/title), caption loading and slugs.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { extractImagesFromMarkdown, readCaptions, slugify } from './locations';
+
+describe('extractImagesFromMarkdown()', () => {
+  it('keeps alt text and titles from markdown images', () => {
+    const markdown = '![Night view](night.jpg)\n\n![Sunrise](sunrise.jpg "Sunrise from the deck")';
+
+    expect(extractImagesFromMarkdown(markdown)).toEqual([
+      { src: 'night.jpg', alt: 'Night view', title: '', index: 0 },
+      { src: 'sunrise.jpg', alt: 'Sunrise', title: 'Sunrise from the deck', index: 26 }
+    ]);
+  });
+
+  it('keeps spaces in image paths, bare or in angle brackets', () => {
+    const markdown = '![a](my photo.jpg)\n![b](<my photo.jpg> "At the top")\n![c](my photo.jpg \'Again\')\n![d](ok.jpg)';
+
+    expect(extractImagesFromMarkdown(markdown).map(({ src, title }) => [src, title])).toEqual([
+      ['my photo.jpg', ''],
+      ['my photo.jpg', 'At the top'],
+      ['my photo.jpg', 'Again'],
+      ['ok.jpg', '']
+    ]);
+  });
+
+  it('reads src, alt and title from <img> tags in any attribute order', () => {
+    const markdown = `<img alt='Gate' title="Main gate" src="/locations/park/gate.jpg">`;
+
+    expect(extractImagesFromMarkdown(markdown)).toEqual([
+      { src: '/locations/park/gate.jpg', alt: 'Gate', title: 'Main gate', index: 0 }
+    ]);
+  });
+
+  it('returns images in document order', () => {
+    const markdown = '<img src="a.jpg">\n![B](b.jpg)\n<img src="c.jpg">';
+    expect(extractImagesFromMarkdown(markdown).map(image => image.src)).toEqual(['a.jpg', 'b.jpg', 'c.jpg']);
+  });
+});
+
+describe('readCaptions()', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'captions-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('merges captions.yml with frontmatter captions (frontmatter wins)', () => {
+    fs.writeFileSync(path.join(dir, 'captions.yml'), 'hero.jpg: From the sidecar\nlake.jpg: Morning mist\n');
+
+    expect(readCaptions(dir, { 'hero.jpg': 'From frontmatter' })).toEqual({
+      'hero.jpg': 'From frontmatter',
+      'lake.jpg': 'Morning mist'
+    });
+  });
+
+  it('returns an empty map without captions', () => {
+    expect(readCaptions(dir, undefined)).toEqual({});
+  });
+});
+
+describe('slugify()', () => {
+  it('makes kebab-case ASCII folder names', () => {
+    expect(slugify('Rocky Mountain National Park')).toBe('rocky-mountain-national-park');
+    expect(slugify('Café de Flore, Paris!')).toBe('cafe-de-flore-paris');
+    expect(slugify('  St. Paul’s -- Cathedral ')).toBe('st-pauls-cathedral');
+  });
+
+  it('returns an empty slug when nothing is left', () => {
+    expect(slugify('東京タワー')).toBe('');
+  });
+});
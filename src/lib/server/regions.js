@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+import matter from 'gray-matter';
+import { parseCoordinate } from './coords.js';
+
+/**
+ * Region Files
+ *
+ * Folders under static/locations/ that aren't locations themselves group
+ * locations into regions (see $lib/regions.js). Each may contain an
+ * optional _region.md:
+ *
+ *   ---
+ *   name: Île-de-France
+ *   bounds:
+ *     south: 48.12
+ *     west: 1.45
+ *     north: 49.24
+ *     east: 3.56
+ *   ---
+ *   Paris and the villages around it.
+ *
+ * `name` replaces the folder name in the sidebar and breadcrumbs, `bounds`
+ * is the area the map shows when the region is selected (otherwise it fits
+ * the region's locations) and the markdown body is the region's description.
+ */
+
+export const REGION_FILE = '_region.md';
+
+/** Frontmatter keys allowed in _region.md */
+const REGION_KEYS = ['name', 'bounds'];
+
+/** Bounds edges and the axis each one is measured on */
+const BOUNDS_EDGES = { south: 'lat', west: 'lon', north: 'lat', east: 'lon' };
+
+/**
+ * @typedef {Object} RegionInfo
+ * @property {string|null} name - Display name (null to use the folder name)
+ * @property {string|null} description - Markdown body
+ * @property {import('../regions.js').RegionBounds|null} bounds - Area to show
+ */
+
+/**
+ * Find the line where a frontmatter key is declared
+ * @param {string} raw - File content
+ * @param {string} key - Key
+ * @param {boolean} [nested] - Match an indented key (e.g. `south` under `bounds`)
+ * @returns {number} 1-based line number (1 when not found)
+ */
+function keyLine(raw, key, nested = false) {
+	const indent = nested ? '[ \\t]+' : '';
+	const match = new RegExp(`^${indent}${key}[ \\t]*:`, 'm').exec(raw);
+	return match ? raw.slice(0, match.index).split('\n').length : 1;
+}
+
+/**
+ * Parse and check a _region.md file
+ * Problems use the same shape as validate.js so they print as file:line diagnostics.
+ * @param {string} raw - File content
+ * @param {string} [file] - Path shown in problems
+ * @returns {{region: RegionInfo, problems: Array<{file: string, line: number, message: string}>}}
+ */
+export function parseRegionFile(raw, file = REGION_FILE) {
+	const problems = [];
+	const report = (line, message) => problems.push({ file, line, message });
+	const region = { name: null, description: null, bounds: null };
+
+	let data;
+	let content;
+	try {
+		({ data, content } = matter(raw));
+	} catch (err) {
+		// js-yaml marks are 0-based and relative to the frontmatter body (after the opening ---)
+		report(err.mark ? err.mark.line + 2 : 1, `invalid frontmatter: ${err.reason || err.message}`);
+		return { region, problems };
+	}
+
+	for (const key of Object.keys(data).filter(key => !REGION_KEYS.includes(key))) {
+		report(keyLine(raw, key), `unknown setting \`${key}\` (expected ${REGION_KEYS.join(', ')})`);
+	}
+
+	if (data.name != null) {
+		if (typeof data.name !== 'string' || data.name.trim() === '') {
+			report(keyLine(raw, 'name'), '`name` must be text');
+		} else {
+			region.name = data.name.trim();
+		}
+	}
+
+	region.description = content.trim() || null;
+
+	if (data.bounds != null) {
+		const bounds = data.bounds;
+		if (typeof bounds !== 'object' || Array.isArray(bounds)) {
+			report(keyLine(raw, 'bounds'), '`bounds` must be a map with south, west, north and east');
+			return { region, problems };
+		}
+
+		const parsed = {};
+		for (const [edge, axis] of Object.entries(BOUNDS_EDGES)) {
+			if (bounds[edge] == null) {
+				report(keyLine(raw, 'bounds'), `\`bounds\` is missing \`${edge}\``);
+				continue;
+			}
+			try {
+				parsed[edge] = parseCoordinate(bounds[edge], axis);
+			} catch (err) {
+				report(keyLine(raw, edge, true), `\`bounds.${edge}\` ${err.message}`);
+			}
+		}
+
+		if (Object.keys(parsed).length === 4) {
+			if (parsed.south >= parsed.north) {
+				report(keyLine(raw, 'south', true), '`bounds.south` must be less than `bounds.north`');
+			} else if (parsed.west >= parsed.east) {
+				report(keyLine(raw, 'west', true), '`bounds.west` must be less than `bounds.east`');
+			} else {
+				region.bounds = parsed;
+			}
+		}
+	}
+
+	return { region, problems };
+}
+
+/**
+ * Read every _region.md under a locations directory
+ * Location folders (those with an index.md) and hidden folders are not searched.
+ * @param {string} [locationsDirectory] - Defaults to static/locations in the project
+ * @returns {{regions: Object<string, RegionInfo>, problems: Array<{file: string, line: number, message: string}>}}
+ *   Region path (e.g. "europe/france") → info
+ */
+export function readRegions(locationsDirectory = path.join(process.cwd(), 'static/locations')) {
+	const regions = {};
+	const problems = [];
+
+	const walk = (dir, relativePath) => {
+		for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+			if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+
+			const fullPath = path.join(dir, entry.name);
+			if (fs.existsSync(path.join(fullPath, 'index.md'))) continue;
+
+			const regionPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+			const filePath = path.join(fullPath, REGION_FILE);
+			if (fs.existsSync(filePath)) {
+				const parsed = parseRegionFile(fs.readFileSync(filePath, 'utf-8'), path.relative(process.cwd(), filePath));
+				regions[regionPath] = parsed.region;
+				problems.push(...parsed.problems);
+			}
+			walk(fullPath, regionPath);
+		}
+	};
+
+	if (fs.existsSync(locationsDirectory)) {
+		walk(locationsDirectory, '');
+	}
+	return { regions, problems };
+}
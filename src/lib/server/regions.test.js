@@ -0,0 +1,115 @@
+/**
+ * Region File Tests
+ *
+ * Parses _region.md documents and reads them from a throwaway location tree.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseRegionFile, readRegions } from './regions';
+
+const REGION_MD = `---
+name: Île-de-France
+bounds:
+  south: 48.12
+  west: 1.45
+  north: 49.24
+  east: 3.56
+---
+
+Paris and the villages around it.
+`;
+
+describe('parseRegionFile()', () => {
+  it('reads the name, bounds and description', () => {
+    expect(parseRegionFile(REGION_MD)).toEqual({
+      region: {
+        name: 'Île-de-France',
+        description: 'Paris and the villages around it.',
+        bounds: { south: 48.12, west: 1.45, north: 49.24, east: 3.56 }
+      },
+      problems: []
+    });
+  });
+
+  it('allows an empty file', () => {
+    expect(parseRegionFile('')).toEqual({ region: { name: null, description: null, bounds: null }, problems: [] });
+  });
+
+  it('accepts degrees/minutes/seconds bounds', () => {
+    const { region, problems } = parseRegionFile(REGION_MD.replace('south: 48.12', 'south: 48°07\'12"N'));
+    expect(problems).toEqual([]);
+    expect(region.bounds.south).toBe(48.12);
+  });
+
+  it('reports unknown settings and a non-text name at their lines', () => {
+    const { problems } = parseRegionFile('---\ntitle: France\nname: 42\n---\n', 'static/locations/france/_region.md');
+
+    expect(problems).toEqual([
+      { file: 'static/locations/france/_region.md', line: 2, message: 'unknown setting `title` (expected name, bounds)' },
+      { file: 'static/locations/france/_region.md', line: 3, message: '`name` must be text' }
+    ]);
+  });
+
+  it('reports missing and unreadable bounds edges', () => {
+    const { region, problems } = parseRegionFile('---\nbounds:\n  south: 41\n  west: west\n  north: 51\n---\n');
+
+    expect(region.bounds).toBeNull();
+    expect(problems.map(p => [p.line, p.message])).toEqual([
+      [4, '`bounds.west` must be a number (got "west")'],
+      [2, '`bounds` is missing `east`']
+    ]);
+  });
+
+  it('reports bounds that are not a map', () => {
+    const { problems } = parseRegionFile('---\nbounds: [41, -5, 51, 10]\n---\n');
+    expect(problems[0].message).toBe('`bounds` must be a map with south, west, north and east');
+  });
+
+  it('reports swapped edges', () => {
+    const { region, problems } = parseRegionFile(REGION_MD.replace('west: 1.45', 'west: 4'));
+    expect(region.bounds).toBeNull();
+    expect(problems).toEqual([{ file: '_region.md', line: 5, message: '`bounds.west` must be less than `bounds.east`' }]);
+  });
+
+  it('reports invalid frontmatter instead of throwing', () => {
+    const { problems } = parseRegionFile('---\nname: [unclosed\n---\n');
+    expect(problems[0].message).toMatch(/^invalid frontmatter/);
+  });
+});
+
+describe('readRegions()', () => {
+  let locationsDir;
+
+  beforeEach(() => {
+    locationsDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'regions-test-')), 'locations');
+    fs.mkdirSync(path.join(locationsDir, 'europe/france/louvre'), { recursive: true });
+    fs.writeFileSync(path.join(locationsDir, 'europe/france/louvre/index.md'), '---\nname: Louvre\n---\n');
+    fs.writeFileSync(path.join(locationsDir, 'europe/france/_region.md'), REGION_MD);
+    fs.writeFileSync(path.join(locationsDir, 'europe/_region.md'), '---\nname: Europe\n---\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(locationsDir), { recursive: true, force: true });
+  });
+
+  it('maps each region path to its _region.md', () => {
+    const { regions, problems } = readRegions(locationsDir);
+
+    expect(problems).toEqual([]);
+    expect(Object.keys(regions).sort()).toEqual(['europe', 'europe/france']);
+    expect(regions.europe).toEqual({ name: 'Europe', description: null, bounds: null });
+    expect(regions['europe/france'].name).toBe('Île-de-France');
+  });
+
+  it('ignores _region.md inside location folders', () => {
+    fs.writeFileSync(path.join(locationsDir, 'europe/france/louvre/_region.md'), '---\nname: Nope\n---\n');
+    expect(Object.keys(readRegions(locationsDir).regions)).not.toContain('europe/france/louvre');
+  });
+
+  it('returns nothing for a missing directory', () => {
+    expect(readRegions(path.join(locationsDir, 'missing'))).toEqual({ regions: {}, problems: [] });
+  });
+});
@@ -0,0 +1,287 @@
+import path from 'path';
+import zlib from 'zlib';
+import exifReader from 'exif-reader';
+
+/**
+ * Image Metadata Sanitizing
+ *
+ * Removes location and identifying metadata from published images
+ * (`npm run sanitize-images`, run automatically after `npm run build`):
+ * - EXIF (GPS position, camera/lens serial numbers, owner name, thumbnail...)
+ * - XMP (often a copy of the EXIF, plus editing history)
+ * - IPTC (creator, address) and JPEG comments
+ * - PNG text chunks
+ *
+ * Everything else is copied byte for byte - no re-encoding, so there is no
+ * quality loss and ICC color profiles survive. EXIF orientation is kept by
+ * replacing the EXIF block with a minimal one holding only that tag.
+ *
+ * Variants from `npm run images` are encoded without metadata already.
+ */
+
+/** EXIF Orientation tag */
+const ORIENTATION_TAG = 0x0112;
+
+/** APP1 payload prefixes */
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'binary');
+const XMP_HEADERS = ['http://ns.adobe.com/xap/1.0/\0', 'http://ns.adobe.com/xmp/extension/\0']
+	.map(header => Buffer.from(header, 'binary'));
+
+/** PNG chunks that hold free-form text (comments, XMP, author...) */
+const PNG_TEXT_CHUNKS = ['tEXt', 'zTXt', 'iTXt'];
+
+/**
+ * @typedef {Object} SanitizeResult
+ * @property {Buffer} buffer - Sanitized image (the input buffer if nothing was removed)
+ * @property {string[]} removed - Kinds of metadata removed, e.g. ['GPS', 'EXIF', 'XMP']
+ */
+
+/**
+ * Parse an EXIF (TIFF) block, summarizing what matters for sanitizing
+ * @param {Buffer} tiff - EXIF payload ("Exif\0\0" prefix optional)
+ * @returns {{orientation: number, hasGps: boolean}} Orientation (1 if unknown) and GPS presence
+ */
+function inspectExif(tiff) {
+	try {
+		const exif = exifReader(tiff);
+		return {
+			orientation: exif.Image?.Orientation || 1,
+			hasGps: Boolean(exif.GPSInfo && Object.keys(exif.GPSInfo).length > 0)
+		};
+	} catch (err) {
+		// Unreadable EXIF is still removed, just without keeping orientation
+		return { orientation: 1, hasGps: false };
+	}
+}
+
+/**
+ * Build a minimal little-endian TIFF block containing only Orientation
+ * @param {number} orientation - EXIF orientation (2-8)
+ * @returns {Buffer} TIFF bytes (no "Exif\0\0" prefix)
+ */
+function orientationOnlyExif(orientation) {
+	const tiff = Buffer.alloc(26);
+	tiff.write('II', 0, 'binary');
+	tiff.writeUInt16LE(0x2a, 2);
+	tiff.writeUInt32LE(8, 4); // IFD0 offset
+	tiff.writeUInt16LE(1, 8); // one entry
+	tiff.writeUInt16LE(ORIENTATION_TAG, 10);
+	tiff.writeUInt16LE(3, 12); // SHORT
+	tiff.writeUInt32LE(1, 14); // count
+	tiff.writeUInt16LE(orientation, 18);
+	tiff.writeUInt32LE(0, 22); // no next IFD
+	return tiff;
+}
+
+/**
+ * Replacement for an EXIF block
+ * @param {Buffer} tiff - Original EXIF payload
+ * @param {string[]} removed - Accumulates removed metadata kinds
+ * @returns {Buffer|null} Orientation-only TIFF, or null to drop EXIF entirely
+ */
+function replaceExif(tiff, removed) {
+	const { orientation, hasGps } = inspectExif(tiff);
+	if (hasGps) removed.push('GPS');
+	removed.push('EXIF');
+	return orientation !== 1 ? orientationOnlyExif(orientation) : null;
+}
+
+/**
+ * Sanitize a JPEG by rewriting its header segments
+ * @param {Buffer} buffer - JPEG file
+ * @returns {SanitizeResult}
+ */
+export function sanitizeJpeg(buffer) {
+	if (buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+		throw new Error('not a JPEG file');
+	}
+
+	const removed = [];
+	const parts = [buffer.subarray(0, 2)];
+	let offset = 2;
+
+	while (offset < buffer.length) {
+		if (buffer[offset] !== 0xff) {
+			throw new Error(`corrupt JPEG segment at byte ${offset}`);
+		}
+
+		const marker = buffer[offset + 1];
+
+		// Fill bytes may pad a marker
+		if (marker === 0xff) {
+			offset++;
+			continue;
+		}
+
+		// Start of scan: the rest is image data, copy verbatim
+		if (marker === 0xda) {
+			parts.push(buffer.subarray(offset));
+			break;
+		}
+
+		const length = buffer.readUInt16BE(offset + 2);
+		const segment = buffer.subarray(offset, offset + 2 + length);
+		const payload = segment.subarray(4);
+		offset += 2 + length;
+
+		if (marker === 0xe1 && payload.subarray(0, EXIF_HEADER.length).equals(EXIF_HEADER)) {
+			const tiff = replaceExif(payload.subarray(EXIF_HEADER.length), removed);
+			if (tiff) {
+				const replacement = Buffer.concat([Buffer.from([0xff, 0xe1, 0, 0]), EXIF_HEADER, tiff]);
+				replacement.writeUInt16BE(replacement.length - 2, 2);
+				parts.push(replacement);
+			}
+		} else if (marker === 0xe1 && XMP_HEADERS.some(header => payload.subarray(0, header.length).equals(header))) {
+			removed.push('XMP');
+		} else if (marker === 0xed) {
+			removed.push('IPTC');
+		} else if (marker === 0xfe) {
+			removed.push('comment');
+		} else {
+			parts.push(segment);
+		}
+	}
+
+	return removed.length > 0
+		? { buffer: Buffer.concat(parts), removed: [...new Set(removed)] }
+		: { buffer, removed };
+}
+
+/**
+ * Build a PNG chunk (length + type + data + CRC)
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Chunk bytes
+ */
+function pngChunk(type, data) {
+	const chunk = Buffer.alloc(12 + data.length);
+	chunk.writeUInt32BE(data.length, 0);
+	chunk.write(type, 4, 'binary');
+	data.copy(chunk, 8);
+	chunk.writeUInt32BE(zlib.crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+	return chunk;
+}
+
+/**
+ * Sanitize a PNG by dropping eXIf and text chunks
+ * @param {Buffer} buffer - PNG file
+ * @returns {SanitizeResult}
+ */
+export function sanitizePng(buffer) {
+	if (buffer.toString('binary', 1, 4) !== 'PNG') {
+		throw new Error('not a PNG file');
+	}
+
+	const removed = [];
+	const parts = [buffer.subarray(0, 8)];
+	let offset = 8;
+
+	while (offset + 8 <= buffer.length) {
+		const length = buffer.readUInt32BE(offset);
+		const type = buffer.toString('binary', offset + 4, offset + 8);
+		const chunk = buffer.subarray(offset, offset + 12 + length);
+		offset += 12 + length;
+
+		if (type === 'eXIf') {
+			const tiff = replaceExif(chunk.subarray(8, 8 + length), removed);
+			if (tiff) parts.push(pngChunk('eXIf', tiff));
+		} else if (PNG_TEXT_CHUNKS.includes(type)) {
+			removed.push('text');
+		} else {
+			parts.push(chunk);
+		}
+	}
+
+	return removed.length > 0
+		? { buffer: Buffer.concat(parts), removed: [...new Set(removed)] }
+		: { buffer, removed };
+}
+
+/**
+ * Sanitize a WebP by dropping EXIF/XMP chunks (and their VP8X flags)
+ * @param {Buffer} buffer - WebP file
+ * @returns {SanitizeResult}
+ */
+export function sanitizeWebp(buffer) {
+	if (buffer.toString('binary', 0, 4) !== 'RIFF' || buffer.toString('binary', 8, 12) !== 'WEBP') {
+		throw new Error('not a WebP file');
+	}
+
+	const removed = [];
+	const chunks = [];
+	let offset = 12;
+
+	while (offset + 8 <= buffer.length) {
+		const type = buffer.toString('binary', offset, offset + 4);
+		const size = buffer.readUInt32LE(offset + 4);
+		// Chunks are padded to an even length
+		const chunk = buffer.subarray(offset, offset + 8 + size + (size % 2));
+		offset += chunk.length;
+
+		if (type === 'EXIF') {
+			const tiff = replaceExif(chunk.subarray(8, 8 + size), removed);
+			if (tiff) {
+				const replacement = Buffer.alloc(8 + tiff.length);
+				replacement.write('EXIF', 0, 'binary');
+				replacement.writeUInt32LE(tiff.length, 4);
+				tiff.copy(replacement, 8);
+				chunks.push(replacement);
+			}
+		} else if (type === 'XMP ') {
+			removed.push('XMP');
+		} else {
+			chunks.push(type === 'VP8X' ? Buffer.from(chunk) : chunk);
+		}
+	}
+
+	if (removed.length === 0) {
+		return { buffer, removed };
+	}
+
+	// VP8X flags: 0x08 = has EXIF, 0x04 = has XMP
+	const vp8x = chunks.find(chunk => chunk.toString('binary', 0, 4) === 'VP8X');
+	if (vp8x) {
+		const hasExif = chunks.some(chunk => chunk.toString('binary', 0, 4) === 'EXIF');
+		vp8x[8] = (vp8x[8] & ~0x0c) | (hasExif ? 0x08 : 0);
+	}
+
+	const body = Buffer.concat(chunks);
+	const header = Buffer.alloc(12);
+	header.write('RIFF', 0, 'binary');
+	header.writeUInt32LE(4 + body.length, 4);
+	header.write('WEBP', 8, 'binary');
+
+	return { buffer: Buffer.concat([header, body]), removed: [...new Set(removed)] };
+}
+
+/** Sanitizers by file extension */
+const SANITIZERS = {
+	'.jpg': sanitizeJpeg,
+	'.jpeg': sanitizeJpeg,
+	'.png': sanitizePng,
+	'.webp': sanitizeWebp
+};
+
+/**
+ * Check whether a file type can be sanitized
+ * @param {string} filePath - Image path
+ * @returns {boolean} True for JPEG, PNG and WebP
+ */
+export function canSanitize(filePath) {
+	return path.extname(filePath).toLowerCase() in SANITIZERS;
+}
+
+/**
+ * Sanitize an image based on its extension
+ * @param {Buffer} buffer - Image file contents
+ * @param {string} filePath - Image path (for the extension)
+ * @returns {SanitizeResult}
+ * @throws {Error} If the type is unsupported or the file is malformed
+ */
+export function sanitizeImage(buffer, filePath) {
+	const sanitize = SANITIZERS[path.extname(filePath).toLowerCase()];
+	if (!sanitize) {
+		throw new Error(`unsupported image type: ${filePath}`);
+	}
+	return sanitize(buffer);
+}
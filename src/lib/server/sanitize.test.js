@@ -0,0 +1,110 @@
+/**
+ * Image Metadata Sanitizing Tests
+ *
+ * Encodes small images with GPS, camera, XMP and ICC metadata (via sharp),
+ * sanitizes them and checks what survives.
+ */
+
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import exifReader from 'exif-reader';
+import { sanitizeJpeg, sanitizePng, sanitizeWebp, sanitizeImage, canSanitize } from './sanitize';
+
+const exif = {
+  IFD0: { Make: 'Apple', Model: 'iPhone 15', Artist: 'Jane Doe' },
+  IFD2: { BodySerialNumber: 'SN123456' },
+  IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '35/1 39/1 3096/100', GPSLongitudeRef: 'E', GPSLongitude: '139/1 44/1 4344/100' }
+};
+
+const xmp = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"/></x:xmpmeta>';
+
+/**
+ * Encode a tiny image carrying EXIF (GPS + camera), XMP, an ICC profile and orientation
+ */
+function encodeWithMetadata(format, { orientation = 6 } = {}) {
+  return sharp({ create: { width: 8, height: 4, channels: 3, background: '#888' } })
+    .withMetadata({ orientation })
+    .withExifMerge(exif)
+    .withXmp(xmp)
+    .withIccProfile('p3')
+    .toFormat(format)
+    .toBuffer();
+}
+
+/**
+ * Metadata of an image, with its EXIF parsed
+ */
+async function inspect(buffer) {
+  const metadata = await sharp(buffer).metadata();
+  return { ...metadata, tags: metadata.exif ? exifReader(metadata.exif) : null };
+}
+
+describe('sanitizeJpeg()', () => {
+  it('removes GPS, camera and XMP metadata but keeps orientation and color profile', async () => {
+    const original = await encodeWithMetadata('jpeg');
+    expect((await inspect(original)).tags.GPSInfo).toBeDefined();
+
+    const { buffer, removed } = sanitizeJpeg(original);
+    expect(removed).toEqual(expect.arrayContaining(['GPS', 'EXIF', 'XMP']));
+
+    const result = await inspect(buffer);
+    expect(result.tags.Image).toEqual({ Orientation: 6 });
+    expect(result.tags.GPSInfo).toBeUndefined();
+    expect(result.tags.Photo).toBeUndefined();
+    expect(result.xmp).toBeUndefined();
+    expect(result.icc).toBeDefined();
+    expect(result.width).toBe(8);
+  });
+
+  it('drops EXIF entirely when orientation is normal', async () => {
+    const { buffer } = sanitizeJpeg(await encodeWithMetadata('jpeg', { orientation: 1 }));
+    expect((await inspect(buffer)).exif).toBeUndefined();
+  });
+
+  it('returns the input unchanged when there is nothing to remove', async () => {
+    const clean = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#000' } }).jpeg().toBuffer();
+    const result = sanitizeJpeg(clean);
+    expect(result.removed).toEqual([]);
+    expect(result.buffer).toBe(clean);
+  });
+
+  it('rejects files that are not JPEGs', () => {
+    expect(() => sanitizeJpeg(Buffer.from('not an image'))).toThrow('not a JPEG file');
+  });
+});
+
+describe('sanitizePng()', () => {
+  it('removes eXIf and text chunks, keeping orientation and the ICC profile', async () => {
+    const { buffer, removed } = sanitizePng(await encodeWithMetadata('png'));
+    expect(removed).toEqual(expect.arrayContaining(['GPS', 'EXIF', 'text']));
+
+    const result = await inspect(buffer);
+    expect(result.tags.GPSInfo).toBeUndefined();
+    expect(result.tags.Image).toEqual({ Orientation: 6 });
+    expect(result.xmp).toBeUndefined();
+    expect(result.icc).toBeDefined();
+  });
+});
+
+describe('sanitizeWebp()', () => {
+  it('removes EXIF and XMP chunks and keeps a valid file', async () => {
+    const { buffer, removed } = sanitizeWebp(await encodeWithMetadata('webp'));
+    expect(removed).toEqual(expect.arrayContaining(['GPS', 'EXIF', 'XMP']));
+
+    const result = await inspect(buffer);
+    expect(result.tags.GPSInfo).toBeUndefined();
+    expect(result.tags.Image).toEqual({ Orientation: 6 });
+    expect(result.xmp).toBeUndefined();
+    expect(result.icc).toBeDefined();
+    expect(buffer.readUInt32LE(4)).toBe(buffer.length - 8);
+  });
+});
+
+describe('sanitizeImage()', () => {
+  it('dispatches on extension', async () => {
+    const original = await encodeWithMetadata('jpeg');
+    expect(sanitizeImage(original, 'photos/HERO.JPG').removed).toContain('GPS');
+    expect(canSanitize('map.svg')).toBe(false);
+    expect(() => sanitizeImage(original, 'map.svg')).toThrow('unsupported image type');
+  });
+});
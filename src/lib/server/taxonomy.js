@@ -0,0 +1,214 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+/**
+ * Tag Taxonomy
+ *
+ * Optional static/tags.yml declaring canonical tags:
+ *
+ *   food:
+ *     label: Food & Drink
+ *     color: "#d9480f"
+ *     description: Restaurants, cafes and bars
+ *   ramen:
+ *     parent: food
+ *     aliases: [noodles, Ramen]
+ *   museum:
+ *     aliases: [museums]
+ *
+ * Location tags are normalized against it at load time (aliases and case
+ * variants become the canonical tag), and the parsed taxonomy is passed to
+ * the client for labels, colors and parent/child matching (see $lib/tags.js).
+ * Tags that aren't declared keep working exactly as written.
+ */
+
+export const TAXONOMY_FILE = 'tags.yml';
+
+/** Keys allowed under each tag */
+const TAG_KEYS = ['label', 'aliases', 'parent', 'color', 'description'];
+
+/** CSS hex colors: #rgb or #rrggbb */
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * @typedef {Object} TagInfo
+ * @property {string} label - Display name (defaults to the tag)
+ * @property {string|null} color - CSS hex color
+ * @property {string|null} description - Shown as the chip's tooltip
+ * @property {string|null} parent - Parent tag (selecting it matches this tag too)
+ * @property {string[]} aliases - Other spellings normalized to this tag
+ */
+
+/**
+ * @typedef {Object<string, TagInfo>} Taxonomy - Canonical tag → info
+ */
+
+/**
+ * Find the line where a top-level tag (or a key nested under it) is declared
+ * @param {string} raw - File content
+ * @param {string} tag - Top-level key
+ * @param {string} [key] - Nested key under the tag
+ * @returns {number} 1-based line number (1 when not found)
+ */
+function keyLine(raw, tag, key) {
+	const lines = raw.split('\n');
+	const escaped = tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+	const start = lines.findIndex(line => new RegExp(`^["']?${escaped}["']?[ \\t]*:`).test(line));
+	if (start === -1) return 1;
+	if (!key) return start + 1;
+
+	for (let i = start + 1; i < lines.length && /^([ \t]|$)/.test(lines[i]); i++) {
+		if (new RegExp(`^[ \\t]+${key}[ \\t]*:`).test(lines[i])) return i + 1;
+	}
+	return start + 1;
+}
+
+/**
+ * Parse and check tags.yml content
+ * Problems use the same shape as validate.js so they print as file:line diagnostics.
+ * Entries with problems are still included where possible, so one typo doesn't
+ * hide every label.
+ * @param {string} raw - YAML text
+ * @param {string} [file] - Path shown in problems
+ * @returns {{taxonomy: Taxonomy, problems: Array<{file: string, line: number, message: string}>}}
+ */
+export function parseTaxonomy(raw, file = TAXONOMY_FILE) {
+	const problems = [];
+	const report = (line, message) => problems.push({ file, line, message });
+	const taxonomy = {};
+
+	let data;
+	try {
+		data = yaml.load(raw);
+	} catch (err) {
+		report((err.mark?.line ?? 0) + 1, `invalid YAML: ${err.reason || err.message}`);
+		return { taxonomy, problems };
+	}
+
+	if (data == null) {
+		return { taxonomy, problems };
+	}
+	if (typeof data !== 'object' || Array.isArray(data)) {
+		report(1, 'tags.yml must map each tag to its settings (e.g. `food: { label: Food & Drink }`)');
+		return { taxonomy, problems };
+	}
+
+	for (const [tag, settings] of Object.entries(data)) {
+		if (settings != null && (typeof settings !== 'object' || Array.isArray(settings))) {
+			report(keyLine(raw, tag), `\`${tag}\` must be a map of settings (label, aliases, parent, color, description)`);
+			continue;
+		}
+
+		const entry = settings || {};
+		for (const key of Object.keys(entry).filter(key => !TAG_KEYS.includes(key))) {
+			report(keyLine(raw, tag, key), `unknown setting \`${key}\` for \`${tag}\` (expected ${TAG_KEYS.join(', ')})`);
+		}
+
+		const text = key => {
+			if (entry[key] == null) return null;
+			if (typeof entry[key] !== 'string' || entry[key].trim() === '') {
+				report(keyLine(raw, tag, key), `\`${key}\` for \`${tag}\` must be text`);
+				return null;
+			}
+			return entry[key].trim();
+		};
+
+		const color = text('color');
+		if (color && !HEX_COLOR.test(color)) {
+			report(keyLine(raw, tag, 'color'), `\`color\` for \`${tag}\` must be a hex color like "#d9480f" (got "${color}")`);
+		}
+
+		let aliases = entry.aliases == null ? [] : [].concat(entry.aliases);
+		if (aliases.some(alias => typeof alias !== 'string' || alias.trim() === '')) {
+			report(keyLine(raw, tag, 'aliases'), `\`aliases\` for \`${tag}\` must be a list of tags`);
+			aliases = aliases.filter(alias => typeof alias === 'string' && alias.trim() !== '');
+		}
+
+		taxonomy[tag] = {
+			label: text('label') || tag,
+			color: color && HEX_COLOR.test(color) ? color : null,
+			description: text('description'),
+			parent: entry.parent == null ? null : String(entry.parent),
+			aliases: aliases.map(alias => alias.trim())
+		};
+	}
+
+	// Parents must be declared and can't loop back on themselves
+	for (const [tag, info] of Object.entries(taxonomy)) {
+		if (info.parent === null) continue;
+		if (!Object.hasOwn(taxonomy, info.parent)) {
+			report(keyLine(raw, tag, 'parent'), `parent \`${info.parent}\` of \`${tag}\` is not declared in tags.yml`);
+			info.parent = null;
+		}
+	}
+	for (const [tag, info] of Object.entries(taxonomy)) {
+		const seen = new Set([tag]);
+		for (let parent = info.parent; parent !== null; parent = taxonomy[parent].parent) {
+			if (seen.has(parent)) {
+				report(keyLine(raw, tag, 'parent'), `\`${tag}\` is its own ancestor (${[...seen, parent].join(' > ')})`);
+				info.parent = null;
+				break;
+			}
+			seen.add(parent);
+		}
+	}
+
+	// Every spelling must point at exactly one tag
+	const owners = new Map(Object.keys(taxonomy).map(tag => [tag.toLowerCase(), tag]));
+	for (const [tag, info] of Object.entries(taxonomy)) {
+		for (const alias of info.aliases) {
+			const owner = owners.get(alias.toLowerCase());
+			if (owner && owner !== tag) {
+				report(keyLine(raw, tag, 'aliases'), `alias \`${alias}\` of \`${tag}\` is already used by \`${owner}\``);
+			} else {
+				owners.set(alias.toLowerCase(), tag);
+			}
+		}
+	}
+
+	return { taxonomy, problems };
+}
+
+/**
+ * Read static/tags.yml (an empty taxonomy when the file doesn't exist)
+ * @param {string} [staticDir] - Project static/ directory
+ * @returns {{taxonomy: Taxonomy, problems: Array<{file: string, line: number, message: string}>}}
+ */
+export function readTaxonomy(staticDir = path.join(process.cwd(), 'static')) {
+	const filePath = path.join(staticDir, TAXONOMY_FILE);
+	if (!fs.existsSync(filePath)) {
+		return { taxonomy: {}, problems: [] };
+	}
+	return parseTaxonomy(fs.readFileSync(filePath, 'utf-8'), path.relative(process.cwd(), filePath));
+}
+
+/** Lowercased spelling → canonical tag, built once per taxonomy */
+const spellingIndexes = new WeakMap();
+
+/**
+ * Map aliases and case variants to canonical tags
+ * Undeclared tags are kept as written; duplicates (after mapping) are dropped.
+ * @param {Array<*>} tags - Tags from frontmatter
+ * @param {Taxonomy} taxonomy - Parsed taxonomy
+ * @returns {string[]} Normalized tags in their original order
+ */
+export function normalizeTags(tags, taxonomy) {
+	let index = spellingIndexes.get(taxonomy);
+	if (!index) {
+		index = new Map();
+		for (const [tag, info] of Object.entries(taxonomy)) {
+			info.aliases.forEach(alias => index.set(alias.toLowerCase(), tag));
+		}
+		// Canonical spellings win over any clashing alias
+		Object.keys(taxonomy).forEach(tag => index.set(tag.toLowerCase(), tag));
+		spellingIndexes.set(taxonomy, index);
+	}
+
+	const normalized = (tags || [])
+		.filter(tag => tag != null && String(tag).trim() !== '')
+		.map(tag => String(tag).trim())
+		.map(tag => index.get(tag.toLowerCase()) || tag);
+
+	return [...new Set(normalized)];
+}
@@ -0,0 +1,106 @@
+/**
+ * Tag Taxonomy Tests
+ *
+ * Parses small tags.yml documents and checks problems and tag normalization.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseTaxonomy, normalizeTags } from './taxonomy';
+
+const TAGS_YML = `food:
+  label: Food & Drink
+  color: "#d9480f"
+  description: Restaurants, cafes and bars
+ramen:
+  parent: food
+  aliases: [noodles, Ramen-Shop]
+museum:
+  aliases: museums
+hiking:
+`;
+
+describe('parseTaxonomy()', () => {
+  it('reads labels, colors, descriptions, parents and aliases', () => {
+    const { taxonomy, problems } = parseTaxonomy(TAGS_YML);
+
+    expect(problems).toEqual([]);
+    expect(taxonomy.food).toEqual({
+      label: 'Food & Drink',
+      color: '#d9480f',
+      description: 'Restaurants, cafes and bars',
+      parent: null,
+      aliases: []
+    });
+    expect(taxonomy.ramen).toMatchObject({ label: 'ramen', parent: 'food', aliases: ['noodles', 'Ramen-Shop'] });
+    expect(taxonomy.museum.aliases).toEqual(['museums']);
+    expect(taxonomy.hiking).toMatchObject({ label: 'hiking', color: null, parent: null });
+  });
+
+  it('treats an empty file as an empty taxonomy', () => {
+    expect(parseTaxonomy('')).toEqual({ taxonomy: {}, problems: [] });
+  });
+
+  it('reports invalid YAML with its line', () => {
+    const { problems } = parseTaxonomy('food:\n  label: [unclosed\n', 'static/tags.yml');
+    expect(problems).toHaveLength(1);
+    expect(problems[0].file).toBe('static/tags.yml');
+    expect(problems[0].message).toMatch(/^invalid YAML/);
+  });
+
+  it('reports a list instead of a map', () => {
+    const { problems } = parseTaxonomy('- food\n- drink\n');
+    expect(problems[0].message).toMatch(/must map each tag/);
+  });
+
+  it('reports unknown settings and bad colors at their lines', () => {
+    const { taxonomy, problems } = parseTaxonomy('food:\n  colour: red\n  color: orange\n');
+
+    expect(problems).toEqual([
+      { file: 'tags.yml', line: 2, message: 'unknown setting `colour` for `food` (expected label, aliases, parent, color, description)' },
+      { file: 'tags.yml', line: 3, message: '`color` for `food` must be a hex color like "#d9480f" (got "orange")' }
+    ]);
+    expect(taxonomy.food.color).toBeNull();
+  });
+
+  it('reports undeclared parents', () => {
+    const { taxonomy, problems } = parseTaxonomy('ramen:\n  parent: food\n');
+
+    expect(problems[0]).toMatchObject({ line: 2, message: 'parent `food` of `ramen` is not declared in tags.yml' });
+    expect(taxonomy.ramen.parent).toBeNull();
+  });
+
+  it('reports parent loops', () => {
+    const { problems } = parseTaxonomy('a:\n  parent: b\nb:\n  parent: a\n');
+    expect(problems[0].message).toBe('`a` is its own ancestor (a > b > a)');
+  });
+
+  it('reports aliases claimed by another tag', () => {
+    const { problems } = parseTaxonomy('museum:\n  aliases: [gallery]\ngallery:\n  label: Galleries\nart:\n  aliases: [Museum]\n');
+
+    expect(problems.map(problem => problem.message)).toEqual([
+      'alias `gallery` of `museum` is already used by `gallery`',
+      'alias `Museum` of `art` is already used by `museum`'
+    ]);
+  });
+});
+
+describe('normalizeTags()', () => {
+  const { taxonomy } = parseTaxonomy(TAGS_YML);
+
+  it('maps aliases and case variants to canonical tags', () => {
+    expect(normalizeTags(['Museum', 'museums', 'noodles', 'ramen-shop'], taxonomy)).toEqual(['museum', 'ramen']);
+  });
+
+  it('keeps undeclared tags as written', () => {
+    expect(normalizeTags(['Street Art', 'food'], taxonomy)).toEqual(['Street Art', 'food']);
+  });
+
+  it('drops empty entries and handles missing tags', () => {
+    expect(normalizeTags(['', null, ' hiking '], taxonomy)).toEqual(['hiking']);
+    expect(normalizeTags(undefined, taxonomy)).toEqual([]);
+  });
+
+  it('works without a taxonomy', () => {
+    expect(normalizeTags(['Museum', 'museums'], {})).toEqual(['Museum', 'museums']);
+  });
+});
@@ -0,0 +1,327 @@
+import fs from 'fs';
+import path from 'path';
+import matter from 'gray-matter';
+import yaml from 'js-yaml';
+import { findLocationFolders, isRemoteUrl, extractImagesFromMarkdown, CAPTIONS_FILE } from './locations.js';
+import { parseFrontmatterDate } from './dates.js';
+import { parseCoords, parseCoordinate } from './coords.js';
+import { readTaxonomy } from './taxonomy.js';
+import { readRegions } from './regions.js';
+import { MARKER_ICONS } from '../markers.js';
+
+/**
+ * Location Content Validation
+ *
+ * Checks every index.md under static/locations/ for problems that would
+ * otherwise surface as a confusing build failure or a broken marker.
+ * Shared by `npm run validate` (scripts/validate.js) and load() in
+ * src/routes/+page.server.js.
+ *
+ * CHECKS:
+ * - Frontmatter parses as YAML
+ * - `name` and `place` are present
+ * - `coords` is present, readable (see coords.js for accepted forms) and within lat/lon range
+ * - `hero` file exists (local images only)
+ * - Markdown/HTML image references point at existing files (local only)
+ * - `tags` is a list without empty entries
+ * - `updated`/`visited` are valid dates when present
+ * - `carouselOrder` is a known value when present
+ * - `keepExif` is true/false when present
+ * - `icon` is a built-in marker icon and `color` a hex color when present
+ * - `captions` (frontmatter or captions.yml) map existing images to text
+ * - Slugs are unique (case-insensitive, so deploys to case-insensitive hosts work)
+ * - static/tags.yml, when present, is well formed (see taxonomy.js)
+ * - _region.md files in region folders are well formed (see regions.js)
+ */
+
+/** Allowed `carouselOrder` values (default: hero, then folder, then markdown images) */
+const CAROUSEL_ORDERS = ['default', 'chronological'];
+
+/**
+ * @typedef {Object} ValidationProblem
+ * @property {string} file - Path to the offending index.md (relative to cwd)
+ * @property {number} line - 1-based line number of the problem
+ * @property {string} message - Human readable description
+ */
+
+/**
+ * Find the 1-based line number of a character offset in a string
+ * @param {string} text - Full text
+ * @param {number} index - Character offset
+ * @returns {number} Line number
+ */
+function lineAt(text, index) {
+	return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * Find the line where a frontmatter key is declared
+ * Falls back to line 1 (the frontmatter fence) when the key is absent
+ * @param {string} frontmatterText - Raw file content up to the end of frontmatter
+ * @param {string} key - Frontmatter key
+ * @param {boolean} [nested] - Match an indented key (e.g. `lat` under `coords`)
+ * @returns {number} Line number
+ */
+function frontmatterKeyLine(frontmatterText, key, nested = false) {
+	const indent = nested ? '[ \\t]+' : '';
+	const match = new RegExp(`^${indent}${key}[ \\t]*:`, 'm').exec(frontmatterText);
+	return match ? lineAt(frontmatterText, match.index) : 1;
+}
+
+/**
+ * Resolve a local image reference to a file on disk
+ * - Absolute paths (/locations/...) are relative to static/
+ * - Everything else is relative to the location folder
+ * - Percent-escapes are decoded; a path that isn't valid escaping (a literal
+ *   "%" as in 100%-view.jpg) is used as written
+ * @param {string} imagePath - Image reference from frontmatter or markdown
+ * @param {string} fullPath - Location folder
+ * @param {string} staticDir - Project static/ directory
+ * @returns {string} Absolute file path
+ */
+function resolveLocalImage(imagePath, fullPath, staticDir) {
+	const rawPath = imagePath.split(/[?#]/)[0];
+	let cleanPath;
+	try {
+		cleanPath = decodeURI(rawPath);
+	} catch {
+		cleanPath = rawPath;
+	}
+	return cleanPath.startsWith('/')
+		? path.join(staticDir, cleanPath)
+		: path.join(fullPath, cleanPath);
+}
+
+/**
+ * Validate a single location folder's index.md
+ *
+ * @param {{fullPath: string, relativePath: string}} folder - Found location
+ * @param {Object} [options]
+ * @param {string} [options.staticDir] - Project static/ directory (for absolute image paths)
+ * @returns {ValidationProblem[]} Problems found (empty if valid)
+ */
+export function validateLocationFolder({ fullPath }, { staticDir = path.join(process.cwd(), 'static') } = {}) {
+	const indexPath = path.join(fullPath, 'index.md');
+	const file = path.relative(process.cwd(), indexPath);
+	const problems = [];
+	const report = (line, message) => problems.push({ file, line, message });
+
+	const raw = fs.readFileSync(indexPath, 'utf-8');
+
+	let frontmatter;
+	let content;
+	try {
+		({ data: frontmatter, content } = matter(raw));
+	} catch (err) {
+		// js-yaml marks are 0-based and relative to the frontmatter body (after the opening ---)
+		const line = err.mark ? err.mark.line + 2 : 1;
+		report(line, `invalid frontmatter: ${err.reason || err.message}`);
+		return problems;
+	}
+
+	const bodyOffset = raw.length - content.length;
+	const keyLine = (key, nested) => frontmatterKeyLine(raw.slice(0, bodyOffset), key, nested);
+
+	// Required text fields
+	for (const key of ['name', 'place']) {
+		const value = frontmatter[key];
+		if (value == null || String(value).trim() === '') {
+			report(keyLine(key), `missing required field \`${key}\``);
+		}
+	}
+
+	// Coordinates
+	const coords = frontmatter.coords;
+	const coordsLine = keyLine('coords');
+	const isMap = coords != null && typeof coords === 'object' && !Array.isArray(coords);
+	if (isMap && (coords.lat != null || coords.lon != null)) {
+		// Report each half of a { lat, lon } map on its own line
+		for (const axis of ['lat', 'lon']) {
+			try {
+				parseCoordinate(coords[axis], axis);
+			} catch (err) {
+				report(keyLine(axis, true), `\`coords.${axis}\` ${err.message}`);
+			}
+		}
+	} else {
+		try {
+			if (!parseCoords(coords)) {
+				report(coordsLine, 'missing `coords` (run `npm run geocode`)');
+			}
+		} catch (err) {
+			report(coordsLine, err.message);
+		}
+	}
+
+	// Hero image
+	if (frontmatter.hero) {
+		const hero = String(frontmatter.hero);
+		if (!isRemoteUrl(hero) && !fs.existsSync(resolveLocalImage(hero, fullPath, staticDir))) {
+			report(keyLine('hero'), `hero image \`${hero}\` not found`);
+		}
+	}
+
+	// Tags
+	if (frontmatter.tags != null) {
+		const tagsLine = keyLine('tags');
+		if (!Array.isArray(frontmatter.tags)) {
+			report(tagsLine, '`tags` must be a list');
+		} else if (frontmatter.tags.some(tag => tag == null || String(tag).trim() === '')) {
+			report(tagsLine, '`tags` contains an empty entry');
+		}
+	}
+
+	// Optional dates
+	for (const key of ['updated', 'visited']) {
+		if (frontmatter[key] != null && parseFrontmatterDate(frontmatter[key]) === null) {
+			report(keyLine(key), `\`${key}\` is not a valid date (use YYYY-MM-DD)`);
+		}
+	}
+
+	// Optional carousel ordering (see loadLocations.js)
+	if (frontmatter.carouselOrder != null && !CAROUSEL_ORDERS.includes(frontmatter.carouselOrder)) {
+		report(keyLine('carouselOrder'), `\`carouselOrder\` must be one of: ${CAROUSEL_ORDERS.join(', ')}`);
+	}
+
+	// Optional opt-out from `npm run sanitize-images`
+	if (frontmatter.keepExif != null && typeof frontmatter.keepExif !== 'boolean') {
+		report(keyLine('keepExif'), '`keepExif` must be true or false');
+	}
+
+	// Optional marker overrides (see markers.js)
+	if (frontmatter.icon != null && !MARKER_ICONS.includes(frontmatter.icon)) {
+		report(keyLine('icon'), `\`icon\` must be one of: ${MARKER_ICONS.join(', ')}`);
+	}
+	if (frontmatter.color != null && !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(String(frontmatter.color))) {
+		report(keyLine('color'), `\`color\` must be a hex color like "#6BCB77" (got "${frontmatter.color}")`);
+	}
+
+	// Images referenced from markdown (same parser load() uses)
+	for (const image of extractImagesFromMarkdown(content)) {
+		const imagePath = image.src.trim();
+		if (isRemoteUrl(imagePath)) continue;
+		if (!fs.existsSync(resolveLocalImage(imagePath, fullPath, staticDir))) {
+			report(lineAt(raw, bodyOffset + image.index), `image \`${imagePath}\` not found`);
+		}
+	}
+
+	// Captions from frontmatter
+	if (frontmatter.captions != null) {
+		const captionsLine = keyLine('captions');
+		if (!isPlainMap(frontmatter.captions)) {
+			report(captionsLine, '`captions` must be a map of image filename to caption');
+		} else {
+			checkCaptions(frontmatter.captions, fullPath, staticDir, (key, message) => report(captionsLine, message));
+		}
+	}
+
+	problems.sort((a, b) => a.line - b.line);
+
+	// Captions from the sidecar file (reported against captions.yml itself)
+	const sidecarPath = path.join(fullPath, CAPTIONS_FILE);
+	if (fs.existsSync(sidecarPath)) {
+		const sidecarFile = path.relative(process.cwd(), sidecarPath);
+		const sidecarRaw = fs.readFileSync(sidecarPath, 'utf-8');
+		const reportSidecar = (line, message) => problems.push({ file: sidecarFile, line, message });
+
+		let sidecar;
+		try {
+			sidecar = yaml.load(sidecarRaw);
+		} catch (err) {
+			reportSidecar(err.mark ? err.mark.line + 1 : 1, `invalid YAML: ${err.reason || err.message}`);
+		}
+
+		if (sidecar != null && !isPlainMap(sidecar)) {
+			reportSidecar(1, `${CAPTIONS_FILE} must be a map of image filename to caption`);
+		} else if (sidecar) {
+			checkCaptions(sidecar, fullPath, staticDir, (key, message) =>
+				reportSidecar(lineAt(sidecarRaw, Math.max(sidecarRaw.indexOf(key), 0)), message));
+		}
+	}
+
+	return problems;
+}
+
+/**
+ * Check whether a YAML value is a plain key/value map
+ * @param {*} value - Parsed YAML value
+ * @returns {boolean} True for objects (not arrays, dates or null)
+ */
+function isPlainMap(value) {
+	return value != null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Check a captions map: text values for images that exist
+ * @param {Object} captions - Image filename/path → caption
+ * @param {string} fullPath - Location folder
+ * @param {string} staticDir - Project static/ directory
+ * @param {(key: string, message: string) => void} report - Problem callback
+ */
+function checkCaptions(captions, fullPath, staticDir, report) {
+	for (const [image, caption] of Object.entries(captions)) {
+		if (typeof caption !== 'string' || caption.trim() === '') {
+			report(image, `caption for \`${image}\` must be text`);
+		} else if (!isRemoteUrl(image) && !fs.existsSync(resolveLocalImage(image, fullPath, staticDir))) {
+			report(image, `caption for \`${image}\` but no such image`);
+		}
+	}
+}
+
+/**
+ * Validate a set of location folders, including cross-location checks
+ *
+ * @param {Array<{fullPath: string, relativePath: string}>} folders - Found locations
+ * @param {Object} [options] - Passed through to validateLocationFolder()
+ * @returns {ValidationProblem[]} Problems found across all folders
+ */
+export function validateLocationFolders(folders, options) {
+	const problems = [];
+	const slugs = new Map();
+
+	for (const folder of folders) {
+		problems.push(...validateLocationFolder(folder, options));
+
+		const key = folder.relativePath.toLowerCase();
+		if (slugs.has(key)) {
+			problems.push({
+				file: path.relative(process.cwd(), path.join(folder.fullPath, 'index.md')),
+				line: 1,
+				message: `duplicate slug \`${folder.relativePath}\` (also used by \`${slugs.get(key)}\`)`
+			});
+		} else {
+			slugs.set(key, folder.relativePath);
+		}
+	}
+
+	return problems;
+}
+
+/**
+ * Validate every location under a locations directory (plus its _region.md files
+ * and the tag taxonomy next to it)
+ *
+ * @param {string} locationsDirectory - Usually static/locations
+ * @returns {{count: number, problems: ValidationProblem[]}} Locations checked and problems found
+ */
+export function validateLocations(locationsDirectory) {
+	const folders = findLocationFolders(locationsDirectory);
+	const staticDir = path.dirname(locationsDirectory);
+	return {
+		count: folders.length,
+		problems: [
+			...readTaxonomy(staticDir).problems,
+			...readRegions(locationsDirectory).problems,
+			...validateLocationFolders(folders, { staticDir })
+		]
+	};
+}
+
+/**
+ * Format a problem as a file:line diagnostic
+ * @param {ValidationProblem} problem - Problem to format
+ * @returns {string} e.g. "static/locations/x/index.md:3: missing required field `name`"
+ */
+export function formatProblem({ file, line, message }) {
+	return `${file}:${line}: ${message}`;
+}
@@ -0,0 +1,265 @@
+/**
+ * Content Validation Tests
+ *
+ * Builds throwaway location trees in a temp directory and checks that
+ * each kind of broken index.md is reported with the right line.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateLocations, validateLocationFolders, formatProblem } from './validate';
+
+let staticDir;
+let locationsDir;
+
+/**
+ * Write a location folder with an index.md and optional extra files
+ */
+function writeLocation(slug, markdown, files = []) {
+  const dir = path.join(locationsDir, slug);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'index.md'), markdown);
+  files.forEach(file => fs.writeFileSync(path.join(dir, file), ''));
+}
+
+const validLocation = `---
+name: Tokyo Tower
+place: Tokyo, Japan
+hero: hero.jpg
+coords:
+  lat: 35.6586
+  lon: 139.7454
+tags:
+  - landmark
+---
+
+# Tokyo Tower
+
+![Night view](night.jpg)
+`;
+
+beforeEach(() => {
+  staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-test-'));
+  locationsDir = path.join(staticDir, 'locations');
+  fs.mkdirSync(locationsDir);
+});
+
+afterEach(() => {
+  fs.rmSync(staticDir, { recursive: true, force: true });
+});
+
+describe('validateLocations()', () => {
+  it('reports no problems for a valid location', () => {
+    writeLocation('tokyo-tower', validLocation, ['hero.jpg', 'night.jpg']);
+
+    const { count, problems } = validateLocations(locationsDir);
+    expect(count).toBe(1);
+    expect(problems).toEqual([]);
+  });
+
+  it('reports problems in static/tags.yml', () => {
+    writeLocation('tokyo-tower', validLocation, ['hero.jpg', 'night.jpg']);
+    fs.writeFileSync(path.join(staticDir, 'tags.yml'), 'food:\n  color: orange\n');
+
+    const { problems } = validateLocations(locationsDir);
+    expect(problems).toHaveLength(1);
+    expect(problems[0].file).toMatch(/tags\.yml$/);
+    expect(problems[0].line).toBe(2);
+  });
+
+  it('reports problems in _region.md files', () => {
+    writeLocation('europe/france/louvre', validLocation, ['hero.jpg', 'night.jpg']);
+    fs.writeFileSync(path.join(locationsDir, 'europe/france/_region.md'), '---\nname: France\nbounds:\n  south: 51\n  west: -5\n  north: 41\n  east: 10\n---\n');
+
+    const { problems } = validateLocations(locationsDir);
+    expect(problems).toHaveLength(1);
+    expect(problems[0].file).toMatch(/_region\.md$/);
+    expect(problems[0].message).toBe('`bounds.south` must be less than `bounds.north`');
+  });
+
+  it('walks nested folders', () => {
+    writeLocation('japan/tokyo-tower', validLocation, ['hero.jpg', 'night.jpg']);
+    writeLocation('usa/colorado/denver', validLocation, ['hero.jpg', 'night.jpg']);
+
+    expect(validateLocations(locationsDir).count).toBe(2);
+  });
+
+  it('reports missing name and place', () => {
+    writeLocation('broken', validLocation
+      .replace('name: Tokyo Tower\n', '')
+      .replace('place: Tokyo, Japan\n', 'place: ""\n'), ['hero.jpg', 'night.jpg']);
+
+    const messages = validateLocations(locationsDir).problems.map(p => p.message);
+    expect(messages).toContain('missing required field `name`');
+    expect(messages).toContain('missing required field `place`');
+  });
+
+  it('reports missing coords (e.g. fresh new-location template)', () => {
+    writeLocation('broken', validLocation.replace('  lat: 35.6586\n  lon: 139.7454', '  lat:\n  lon:'), ['hero.jpg', 'night.jpg']);
+
+    const { problems } = validateLocations(locationsDir);
+    expect(problems).toHaveLength(1);
+    expect(problems[0].message).toMatch(/missing `coords`/);
+    expect(problems[0].line).toBe(5);
+  });
+
+  it('reports non-numeric and out of range coords on their own lines', () => {
+    writeLocation('broken', validLocation.replace('lat: 35.6586', 'lat: north').replace('lon: 139.7454', 'lon: 200'), ['hero.jpg', 'night.jpg']);
+
+    const { problems } = validateLocations(locationsDir);
+    expect(problems.map(p => [p.line, p.message])).toEqual([
+      [6, '`coords.lat` must be a number (got "north")'],
+      [7, '`coords.lon` 200 is out of range (-180 to 180)']
+    ]);
+  });
+
+  it('accepts other coordinate forms', () => {
+    writeLocation('string', validLocation.replace('coords:\n  lat: 35.6586\n  lon: 139.7454', `coords: 35°39'31"N 139°44'43"E`), ['hero.jpg', 'night.jpg']);
+    writeLocation('list', validLocation.replace('coords:\n  lat: 35.6586\n  lon: 139.7454', 'coords: [35.6586, 139.7454]'), ['hero.jpg', 'night.jpg']);
+    writeLocation('link', validLocation.replace('coords:\n  lat: 35.6586\n  lon: 139.7454', 'coords: https://www.openstreetmap.org/#map=17/35.6586/139.7454'), ['hero.jpg', 'night.jpg']);
+
+    expect(validateLocations(locationsDir).problems).toEqual([]);
+  });
+
+  it('reports unreadable coords on the coords line', () => {
+    writeLocation('broken', validLocation.replace('coords:\n  lat: 35.6586\n  lon: 139.7454', 'coords: somewhere near Tokyo'), ['hero.jpg', 'night.jpg']);
+
+    const { problems } = validateLocations(locationsDir);
+    expect(problems).toHaveLength(1);
+    expect(problems[0].line).toBe(5);
+    expect(problems[0].message).toMatch(/^can't read `coords` "somewhere near Tokyo"/);
+  });
+
+  it('reports a missing hero file', () => {
+    writeLocation('broken', validLocation, ['night.jpg']);
+
+    const { problems } = validateLocations(locationsDir);
+    expect(problems).toHaveLength(1);
+    expect(problems[0]).toMatchObject({ line: 4, message: 'hero image `hero.jpg` not found' });
+  });
+
+  it('ignores remote hero and markdown images', () => {
+    writeLocation('remote', validLocation
+      .replace('hero: hero.jpg', 'hero: https://example.com/hero.jpg')
+      .replace('](night.jpg)', '](https://example.com/night.jpg)'));
+
+    expect(validateLocations(locationsDir).problems).toEqual([]);
+  });
+
+  it('accepts image names with a literal percent sign', () => {
+    writeLocation('percent', validLocation.replace('hero: hero.jpg', 'hero: 100%-view.jpg'), ['100%-view.jpg', 'night.jpg']);
+    writeLocation('percent-missing', validLocation.replace('](night.jpg)', '](50%-off.jpg)'), ['hero.jpg']);
+
+    const { problems } = validateLocations(locationsDir);
+    expect(problems.map(p => p.message)).toEqual(['image `50%-off.jpg` not found']);
+  });
+
+  it('reports missing markdown and html images with body line numbers', () => {
+    writeLocation('broken', `${validLocation}\n<img src="/locations/broken/detail.jpg">\n`, ['hero.jpg']);
+
+    const { problems } = validateLocations(locationsDir);
+    expect(problems.map(p => [p.line, p.message])).toEqual([
+      [14, 'image `night.jpg` not found'],
+      [16, 'image `/locations/broken/detail.jpg` not found']
+    ]);
+  });
+
+  it('reports empty tags', () => {
+    writeLocation('broken', validLocation.replace('  - landmark\n', '  - landmark\n  -\n'), ['hero.jpg', 'night.jpg']);
+
+    const { problems } = validateLocations(locationsDir);
+    expect(problems).toHaveLength(1);
+    expect(problems[0]).toMatchObject({ line: 8, message: '`tags` contains an empty entry' });
+  });
+
+  it('reports invalid updated/visited dates', () => {
+    writeLocation('broken', validLocation.replace('tags:', 'visited: last summer\ntags:'), ['hero.jpg', 'night.jpg']);
+
+    const { problems } = validateLocations(locationsDir);
+    expect(problems).toHaveLength(1);
+    expect(problems[0]).toMatchObject({ line: 8, message: '`visited` is not a valid date (use YYYY-MM-DD)' });
+  });
+
+  it('reports an unknown carouselOrder', () => {
+    writeLocation('broken', validLocation.replace('tags:', 'carouselOrder: newest\ntags:'), ['hero.jpg', 'night.jpg']);
+
+    const { problems } = validateLocations(locationsDir);
+    expect(problems).toHaveLength(1);
+    expect(problems[0]).toMatchObject({ line: 8, message: '`carouselOrder` must be one of: default, chronological' });
+  });
+
+  it('reports a non-boolean keepExif', () => {
+    writeLocation('broken', validLocation.replace('tags:', 'keepExif: yes please\ntags:'), ['hero.jpg', 'night.jpg']);
+
+    const { problems } = validateLocations(locationsDir);
+    expect(problems).toHaveLength(1);
+    expect(problems[0]).toMatchObject({ line: 8, message: '`keepExif` must be true or false' });
+  });
+
+  it('accepts a built-in marker icon and hex color', () => {
+    writeLocation('tokyo-tower', validLocation.replace('tags:', 'icon: landmark\ncolor: "#FFD93D"\ntags:'), ['hero.jpg', 'night.jpg']);
+
+    expect(validateLocations(locationsDir).problems).toEqual([]);
+  });
+
+  it('reports an unknown marker icon and a non-hex color', () => {
+    writeLocation('broken', validLocation.replace('tags:', 'icon: rocket\ncolor: pinkish\ntags:'), ['hero.jpg', 'night.jpg']);
+
+    const { problems } = validateLocations(locationsDir);
+    expect(problems.map(problem => problem.line)).toEqual([8, 9]);
+    expect(problems[0].message).toMatch(/^`icon` must be one of: camera, food, /);
+    expect(problems[1].message).toBe('`color` must be a hex color like "#6BCB77" (got "pinkish")');
+  });
+
+  it('reports captions for missing images and non-text captions', () => {
+    writeLocation('broken', validLocation.replace('tags:', 'captions:\n  hero.jpg: Tower at dusk\n  gone.jpg: Missing\n  night.jpg: 42\ntags:'), ['hero.jpg', 'night.jpg']);
+
+    const messages = validateLocations(locationsDir).problems.map(p => [p.line, p.message]);
+    expect(messages).toEqual([
+      [8, 'caption for `gone.jpg` but no such image'],
+      [8, 'caption for `night.jpg` must be text']
+    ]);
+  });
+
+  it('reports problems in captions.yml against that file', () => {
+    writeLocation('broken', validLocation, ['hero.jpg', 'night.jpg']);
+    fs.writeFileSync(path.join(locationsDir, 'broken', 'captions.yml'), 'hero.jpg: Tower\ntypo.jpg: Oops\n');
+
+    const { problems } = validateLocations(locationsDir);
+    expect(problems).toHaveLength(1);
+    expect(problems[0]).toMatchObject({ line: 2, message: 'caption for `typo.jpg` but no such image' });
+    expect(problems[0].file).toMatch(/captions\.yml$/);
+  });
+
+  it('reports invalid YAML instead of throwing', () => {
+    writeLocation('broken', '---\nname: [Tokyo\n---\n\nBody\n');
+
+    const { problems } = validateLocations(locationsDir);
+    expect(problems).toHaveLength(1);
+    expect(problems[0].message).toMatch(/^invalid frontmatter/);
+  });
+});
+
+describe('validateLocationFolders()', () => {
+  it('reports slugs that collide case-insensitively', () => {
+    // Separate folders so the test also runs on case-insensitive filesystems
+    writeLocation('a', validLocation, ['hero.jpg', 'night.jpg']);
+    writeLocation('b', validLocation, ['hero.jpg', 'night.jpg']);
+
+    const problems = validateLocationFolders([
+      { fullPath: path.join(locationsDir, 'a'), relativePath: 'Tokyo-Tower' },
+      { fullPath: path.join(locationsDir, 'b'), relativePath: 'tokyo-tower' }
+    ], { staticDir });
+    expect(problems).toHaveLength(1);
+    expect(problems[0].message).toBe('duplicate slug `tokyo-tower` (also used by `Tokyo-Tower`)');
+  });
+});
+
+describe('formatProblem()', () => {
+  it('formats as file:line: message', () => {
+    expect(formatProblem({ file: 'static/locations/x/index.md', line: 3, message: 'oops' }))
+      .toBe('static/locations/x/index.md:3: oops');
+  });
+});
@@ -5,20 +5,42 @@
  * 1. HOME - Default browsing (no filters, shows locations in current map viewport)
  * 2. SEARCH - Text search active (shows all matching results regardless of viewport)
  * 3. FILTER - Tag filtering active (shows all matching results regardless of viewport)
+ *    Included tags match ALL (default) or ANY; excluded tags always rule a location out
  * 4. DISCOVER - Browse recently updated (shows all locations sorted by update date)
  * 5. VIEWING - Location detail panel open (preserves search/filter context)
  *
+ * A selected REGION (folder such as europe/france) narrows any of these to the
+ * locations inside it and shows all of them regardless of viewport. A SELECTION
+ * drawn on the map (lasso, rectangle or polygon) works the same way, and so
+ * does NEARBY ("within N km of this place"), which also sorts the list by
+ * distance from that place.
+ *
+ * AREA mode ("Limit to map area") is the opt-in exception: the list shows only
+ * matching locations inside a saved map area, even while searching or
+ * filtering. The area is the viewport when the mode was turned on, updated by
+ * "Search this area" after panning.
+ *
  * STATE TRANSITIONS:
  * - HOME → SEARCH: User types in search bar
  * - HOME → FILTER: User selects tag(s)
  * - HOME → DISCOVER: User clicks Discover button
+ * - ANY → REGION: User picks a region in the sidebar or a detail panel breadcrumb
+ * - ANY → AREA: User turns on "Limit to map area" (or clicks "Search this area")
+ * - ANY → SELECTION: User draws a lasso, rectangle or polygon on the map
+ * - ANY → NEARBY: User picks "within N km" in a location's detail panel
  * - SEARCH/FILTER → VIEWING: User selects location (search/filter preserved!)
  * - ANY → HOME: User clicks reset (X button or View All)
  *
  * URL STATE SYNCHRONIZATION:
- * - /?s=query           - Search mode
+ * - /?s=query           - Search mode (full query, including tag:/place:/updated: syntax)
+ * - /?tags=a,-b         - Filter mode (must have a, must not have b)
+ * - /?tags=a,b&match=any - Filter mode (a OR b)
  * - /?loc=slug          - Viewing mode (no search)
  * - /?s=query&loc=slug  - Viewing mode (search preserved)
+ * - /?region=europe/france - Region selected (combines with s/tags)
+ * - /?area=s,w,n,e      - Area mode (combines with s/tags)
+ * - /?poly=encoded      - Drawn selection (encoded polyline, combines with s/tags/region)
+ * - /?near=slug&within=25 - Nearby (distance in config.distanceUnits, combines with s/tags/region)
  * - /?discover          - Discover mode
  * - /                   - Home mode
  *
@@ -27,62 +49,467 @@
  * - selectLocation() from Discover list → Calls clearFilters() first (changes context)
  * - search() → CLEARS tags (text search replaces tag filter)
  * - filterByTags() → CLEARS search (tag filter replaces text search)
- * - clearFilters() → CLEARS search/tags only (preserves location/discover mode)
+ * - search()/filterByTags() → PRESERVE region (search within a region)
+ * - filterByRegion() → PRESERVES search/tags, CLEARS location and area
+ * - search()/filterByTags() → PRESERVE area ("hiking, but only what's on screen")
+ * - search()/filterByTags()/filterByRegion() → PRESERVE drawn selection and nearby filter
+ * - filterByDistance() → PRESERVES selected location (the detail panel stays open)
+ * - clearFilters() → CLEARS search/tags/region/area/selection/nearby only (preserves location/discover mode)
  * - reset() → CLEARS everything (explicit user action)
  * - discover() → CLEARS everything (explicit mode switch)
  */
 
 import { writable, derived, get } from 'svelte/store';
 import { goto } from '$app/navigation';
-import Fuse from 'fuse.js';
+import { hasTag, tagAncestors } from '../tags';
+import { createSearchIndex, fold, findAll, descriptionRanges, buildSnippet } from '../search';
+import { isInRegion, regionName, regionBounds, buildRegionTree } from '../regions';
+import { isInBounds, viewShowsArea, isInPolygon, encodePolygon, decodePolygon, nearestLocations, toKilometers } from '../geo';
+import { config } from '../config';
 
 // ============================================
 // CORE STATE STORES
 // ============================================
 
 export const allLocations = writable([]);
+export const tagTaxonomy = writable({}); // Tag → { label, color, description, parent, aliases } from static/tags.yml
 export const searchQuery = writable('');
 export const selectedTags = writable(new Set());
+export const excludedTags = writable(new Set());
+export const tagMatchMode = writable('all'); // 'all' (AND) or 'any' (OR) over selectedTags
+export const regionDetails = writable({}); // Region path → { name, description, bounds } from _region.md files
+export const selectedRegion = writable(null); // Region path, e.g. "europe/france"
+export const mapSelection = writable(null); // Polygon drawn on the map, [{ lat, lon }, ...]
+export const nearbyFilter = writable(null); // { location, radius } - within radius (config.distanceUnits) of a location
 export const selectedLocation = writable(null);
 export const mapBounds = writable(null);
+export const searchArea = writable(null); // Bounds the list is limited to in AREA mode (null when off)
 export const discoverMode = writable(false);
 export const isPreviewingLocation = writable(false); // Temporary state during hover
 
+// ============================================
+// TAG FILTER HELPERS
+// ============================================
+
+/**
+ * Check a location against the tag filter
+ * A parent tag (see static/tags.yml) also matches its child tags, both when
+ * included and when excluded.
+ * @param {Object} location - Location with optional tags
+ * @param {Set<string>} included - Tags to match
+ * @param {Set<string>} excluded - Tags the location must not have
+ * @param {'all'|'any'} match - Whether included tags are ANDed or ORed
+ * @param {Object} [taxonomy] - Tag taxonomy (for parent tags)
+ * @returns {boolean} True if the location passes
+ */
+export function matchesTagFilter(location, included, excluded, match = 'all', taxonomy = {}) {
+  const tags = location.tags || [];
+  const has = tag => hasTag(tags, tag, taxonomy);
+  if ([...excluded].some(has)) return false;
+  if (included.size === 0) return true;
+  return match === 'any' ? [...included].some(has) : [...included].every(has);
+}
+
+/**
+ * Encode a tag filter for the URL: "hiking,-crowded" (excluded tags get a "-")
+ * @param {Set<string>} included - Included tags
+ * @param {Set<string>} excluded - Excluded tags
+ * @returns {string} Value for ?tags= (empty when no filter)
+ */
+export function encodeTagFilter(included, excluded) {
+  return [
+    ...[...included].sort(),
+    ...[...excluded].sort().map(tag => `-${tag}`)
+  ].join(',');
+}
+
+/**
+ * Decode ?tags= and ?match= back into a tag filter
+ * @param {string|null} tagsParam - e.g. "hiking,-crowded"
+ * @param {string|null} matchParam - "any" for OR logic, anything else is AND
+ * @returns {{included: Set<string>, excluded: Set<string>, match: 'all'|'any'}} Tag filter
+ */
+export function decodeTagFilter(tagsParam, matchParam) {
+  const included = new Set();
+  const excluded = new Set();
+  (tagsParam || '').split(',').map(tag => tag.trim()).filter(Boolean).forEach(tag => {
+    if (tag.startsWith('-')) {
+      if (tag.length > 1) excluded.add(tag.slice(1));
+    } else {
+      included.add(tag);
+    }
+  });
+  return { included, excluded, match: matchParam === 'any' ? 'any' : 'all' };
+}
+
+/** Decimal places kept for ?area= (about 10 m) */
+const AREA_PRECISION = 4;
+
+/**
+ * Encode bounds for the URL
+ * @param {import('../geo').Bounds} bounds - Area
+ * @returns {string} Value for ?area=, "south,west,north,east"
+ */
+export function encodeBounds({ south, west, north, east }) {
+  return [south, west, north, east].map(value => Number(value.toFixed(AREA_PRECISION))).join(',');
+}
+
+/**
+ * Decode ?area= back into bounds
+ * @param {string|null} param - "south,west,north,east"
+ * @returns {import('../geo').Bounds|null} Bounds, or null when missing or malformed
+ */
+export function decodeBounds(param) {
+  const values = (param || '').split(',').map(value => (value.trim() === '' ? NaN : Number(value)));
+  if (values.length !== 4 || !values.every(Number.isFinite)) return null;
+
+  const [south, west, north, east] = values;
+  if (south < -90 || north > 90 || south >= north || west >= east) return null;
+  return { south, west, north, east };
+}
+
+/** Clear included/excluded tags and go back to AND matching */
+function clearTagStores() {
+  selectedTags.set(new Set());
+  excludedTags.set(new Set());
+  tagMatchMode.set('all');
+}
+
+/**
+ * Write the search area to ?area= (or remove it)
+ * @param {import('../geo').Bounds|null} bounds - Area, null to remove
+ */
+function updateAreaParam(bounds) {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('discover');
+  if (bounds) {
+    url.searchParams.set('area', encodeBounds(bounds));
+  } else {
+    url.searchParams.delete('area');
+  }
+  goto(url, { replaceState: true, noScroll: true, keepFocus: true });
+}
+
+// ============================================
+// SEARCH QUERY SYNTAX
+// ============================================
+
+/**
+ * Fields usable as `field:value` in the search bar (and their aliases)
+ * - name/place/description: fuzzy search restricted to that field
+ * - tag: exact tag, label, alias or parent tag (see tags.js)
+ * - updated/visited: dates such as 2024, 2024-01 or 2024-01-15, optionally
+ *   prefixed with >, >=, < or <=
+ */
+const SEARCH_FIELDS = {
+  name: 'name',
+  place: 'place',
+  description: 'description',
+  desc: 'description',
+  tag: 'tag',
+  tags: 'tag',
+  updated: 'updated',
+  visited: 'visited'
+};
+
+/**
+ * Token: optional "-", optional "field:", then a "quoted phrase" or a bare word
+ * (group 4 is the closing quote, empty when the user hasn't typed it yet)
+ */
+const SEARCH_TOKEN = /(-?)(?:([a-z]+):)?(?:"([^"]*)("?)|([^\s"]+))/gi;
+
+/** Date filter value: comparison, then YYYY, YYYY-MM or YYYY-MM-DD */
+const DATE_FILTER = /^(>=|<=|>|<)?(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/;
+
+/**
+ * @typedef {Object} ParsedSearch
+ * @property {string} text - Plain words for the all-fields fuzzy search
+ * @property {Array<{field: string, value: string}>} fields - Field-restricted fuzzy searches
+ * @property {string[]} phrases - "Quoted phrases" that must appear (any field)
+ * @property {string[]} tags - Tags that must match
+ * @property {string[]} excludedTags - Tags that must not match (-tag:x)
+ * @property {Array<{field: string|null, value: string}>} excluded - Words/phrases that must not
+ *   appear (-word, -"phrase", -place:x; field null means any field)
+ * @property {Array<{field: string, from: number, to: number, negate: boolean}>} dates - Date ranges
+ *   (ms, `to` exclusive)
+ * @property {Array<{token: string, message: string}>} errors - Problems to show under the search bar
+ *   (the offending token is ignored, the rest of the query still applies)
+ */
+
+/**
+ * Turn a date filter such as ">2024-01" into a time range
+ * @param {string} value - Filter value
+ * @returns {{from: number, to: number}|null} Range in ms (`to` exclusive), or null if unreadable
+ */
+function parseDateFilter(value) {
+  const match = DATE_FILTER.exec(value);
+  if (!match) return null;
+
+  const [, op = '', year, month, day] = match;
+  const y = Number(year);
+  const m = month ? Number(month) - 1 : 0;
+  const d = day ? Number(day) : 1;
+  const start = new Date(Date.UTC(y, m, d));
+  if (start.getUTCMonth() !== m || start.getUTCDate() !== d) return null;
+
+  // The whole year, month or day that was written
+  const end = day ? Date.UTC(y, m, d + 1) : month ? Date.UTC(y, m + 1, 1) : Date.UTC(y + 1, 0, 1);
+
+  switch (op) {
+    case '>': return { from: end, to: Infinity };
+    case '>=': return { from: start.getTime(), to: Infinity };
+    case '<': return { from: -Infinity, to: start.getTime() };
+    case '<=': return { from: -Infinity, to: end };
+    default: return { from: start.getTime(), to: end };
+  }
+}
+
+/**
+ * Parse search bar syntax
+ * e.g. `tag:food place:tokyo -museum "night view" updated:>2024-01`
+ * Anything that isn't syntax is plain text, searched fuzzily across all fields.
+ * @param {string} query - Search bar text
+ * @returns {ParsedSearch} Parsed query
+ */
+export function parseSearchQuery(query) {
+  const parsed = { text: '', fields: [], phrases: [], tags: [], excludedTags: [], excluded: [], dates: [], errors: [] };
+  const words = [];
+  const error = (token, message) => parsed.errors.push({ token, message });
+
+  for (const match of (query || '').matchAll(SEARCH_TOKEN)) {
+    const [token, minus, fieldName, phrase, closingQuote, word] = match;
+    const negate = minus === '-';
+    const isPhrase = phrase !== undefined;
+    const value = (isPhrase ? phrase : word).trim();
+
+    if (isPhrase && !closingQuote) {
+      error(token, 'Missing closing quote');
+    }
+
+    // A lone "-" or empty quotes
+    if (!value || value === '-') {
+      if (fieldName) error(token, `"${fieldName}:" needs a value`);
+      continue;
+    }
+
+    // "tag:" with nothing after it arrives as the bare word "tag:"
+    if (!fieldName && !isPhrase && /^[a-z]+:$/i.test(value) && SEARCH_FIELDS[value.slice(0, -1).toLowerCase()]) {
+      error(token, `"${value}" needs a value`);
+      continue;
+    }
+
+    if (fieldName) {
+      const field = SEARCH_FIELDS[fieldName.toLowerCase()];
+      if (!field) {
+        error(token, `Unknown filter "${fieldName}:" (try tag:, place:, name:, description:, updated: or visited:)`);
+        continue;
+      }
+
+      if (field === 'tag') {
+        (negate ? parsed.excludedTags : parsed.tags).push(value);
+      } else if (field === 'updated' || field === 'visited') {
+        const range = parseDateFilter(value);
+        if (range) {
+          parsed.dates.push({ field, ...range, negate });
+        } else {
+          error(token, `Can't read date "${value}" (use 2024, 2024-01 or 2024-01-15, optionally with >, >=, < or <=)`);
+        }
+      } else if (negate) {
+        parsed.excluded.push({ field, value });
+      } else {
+        parsed.fields.push({ field, value });
+      }
+      continue;
+    }
+
+    if (negate) {
+      parsed.excluded.push({ field: null, value });
+    } else if (isPhrase) {
+      parsed.phrases.push(value);
+    } else {
+      words.push(value);
+    }
+  }
+
+  parsed.text = words.join(' ');
+  return parsed;
+}
+
+/**
+ * Check whether a parsed query filters anything
+ * @param {ParsedSearch} parsed - Parsed query
+ * @returns {boolean} True when any search term or filter is present
+ */
+function hasSearchTerms(parsed) {
+  return !!parsed.text || ['fields', 'phrases', 'tags', 'excludedTags', 'excluded', 'dates']
+    .some(key => parsed[key].length > 0);
+}
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {Object} location - Matching location
+ * @property {Array<[number, number]>} ranges - [start, end) matches in the plain-text
+ *   description (see search.js), for the sidebar snippet
+ */
+
+/**
+ * Run a parsed query over a search index
+ * Plain text keeps Fuse's relevance order; everything else narrows the list.
+ * Matching ignores case and accents ("zurich" finds "Zürich").
+ * @param {import('../search').SearchIndex} index - From createSearchIndex()
+ * @param {ParsedSearch} parsed - From parseSearchQuery()
+ * @returns {SearchResult[]} Matching locations (all of them, without ranges, when nothing is searched)
+ */
+export function searchLocations(index, parsed) {
+  if (!hasSearchTerms(parsed)) return index.entries.map(entry => ({ location: entry.location, ranges: [] }));
+
+  const ranges = new Map(index.entries.map(entry => [entry, []]));
+  const addMatches = results => results.forEach(({ item, matches = [] }) => {
+    matches
+      .filter(match => match.key === 'description')
+      .forEach(match => ranges.get(item).push(...descriptionRanges(item, match.indices)));
+  });
+  let entries = index.entries;
+
+  // Fuzzy search across multiple fields
+  if (parsed.text) {
+    const results = index.fuse.search(fold(parsed.text));
+    addMatches(results);
+    entries = results.map(result => result.item);
+  }
+
+  // Fuzzy search within one field (place:tokyo)
+  parsed.fields.forEach(({ field, value }) => {
+    const results = index.fuse.search({ [field]: fold(value) });
+    addMatches(results);
+    const matches = new Set(results.map(result => result.item));
+    entries = entries.filter(entry => matches.has(entry));
+  });
+
+  // Everything else is exact (ignoring case and accents), so exclusions never hide near-misses
+  const fieldText = (entry, field) => field === null
+    ? [entry.folded.name, entry.folded.place, entry.folded.description, ...entry.folded.tags].join('\n')
+    : entry.folded[field];
+  const hasTagTerm = (entry, tag) => entry.folded.tags.includes(fold(tag));
+
+  return entries
+    .filter(entry =>
+      parsed.tags.every(tag => hasTagTerm(entry, tag)) &&
+      !parsed.excludedTags.some(tag => hasTagTerm(entry, tag)) &&
+      parsed.phrases.every(phrase => fieldText(entry, null).includes(fold(phrase))) &&
+      !parsed.excluded.some(({ field, value }) => fieldText(entry, field).includes(fold(value))) &&
+      parsed.dates.every(({ field, from, to, negate }) => {
+        const time = entry.location[field];
+        if (time == null) return false;
+        return (time >= from && time < to) !== negate;
+      })
+    )
+    .map(entry => {
+      parsed.phrases.forEach(phrase => {
+        const found = findAll(entry.folded.description, fold(phrase));
+        ranges.get(entry).push(...descriptionRanges(entry, found));
+      });
+      return { location: entry.location, ranges: ranges.get(entry) };
+    });
+}
+
 // ============================================
 // DERIVED STATE (AUTO-COMPUTED)
 // ============================================
 
 /**
- * filteredLocations - Locations matching search and/or tag filters
+ * parsedSearch - Search bar text parsed into terms, filters and errors
+ * (see parseSearchQuery(); SearchBar shows `errors` inline)
+ */
+export const parsedSearch = derived(searchQuery, $searchQuery => parseSearchQuery($searchQuery));
+
+/**
+ * searchIndex - Folded, markdown-stripped search index (see search.js)
+ * Rebuilt only when the locations or taxonomy change, not on every keystroke
+ */
+export const searchIndex = derived(
+  [allLocations, tagTaxonomy],
+  ([$allLocations, $tagTaxonomy]) => createSearchIndex($allLocations, $tagTaxonomy)
+);
+
+/**
+ * searchResults - Locations matching the search bar, with description match ranges
+ */
+export const searchResults = derived(
+  [searchIndex, parsedSearch],
+  ([$searchIndex, $parsedSearch]) => searchLocations($searchIndex, $parsedSearch)
+);
+
+/**
+ * searchSnippets - Slug → highlighted description snippet for the sidebar
+ * Only locations whose description matched the search have one.
+ */
+export const searchSnippets = derived([searchIndex, searchResults], ([$searchIndex, $searchResults]) => {
+  const descriptions = new Map($searchIndex.entries.map(entry => [entry.location, entry.description]));
+  const snippets = new Map();
+  $searchResults.forEach(({ location, ranges }) => {
+    const snippet = ranges.length > 0 ? buildSnippet(descriptions.get(location), ranges) : null;
+    if (snippet) snippets.set(location.slug, snippet);
+  });
+  return snippets;
+});
+
+/**
+ * nearbyDistances - Distance in km from the nearby filter's location, by slug
+ * Only locations within the radius are included (empty without a nearby filter)
+ */
+export const nearbyDistances = derived([allLocations, nearbyFilter], ([$allLocations, $nearbyFilter]) => {
+  if (!$nearbyFilter) return new Map();
+  const maxKm = toKilometers($nearbyFilter.radius, config.distanceUnits);
+  return new Map(
+    nearestLocations($nearbyFilter.location, $allLocations, { maxKm }).map(({ location, km }) => [location.slug, km])
+  );
+});
+
+/**
+ * isTagFilterActive - True when any tag is included or excluded
+ */
+export const isTagFilterActive = derived(
+  [selectedTags, excludedTags],
+  ([$selectedTags, $excludedTags]) => $selectedTags.size > 0 || $excludedTags.size > 0
+);
+
+/**
+ * filteredLocations - Locations matching search, tag, region, drawn selection and/or nearby filters
  * Applied BEFORE viewport filtering
- * Uses Fuse.js for fuzzy text search
+ * Uses the prebuilt search index for fuzzy text search (see searchResults)
+ * With a nearby filter the results are sorted by distance, nearest first
  */
 export const filteredLocations = derived(
-  [allLocations, searchQuery, selectedTags],
-  ([$allLocations, $searchQuery, $selectedTags]) => {
-    let results = $allLocations;
-
-    // Apply text search if active (fuzzy search across multiple fields)
-    if ($searchQuery.trim()) {
-      const fuse = new Fuse($allLocations, {
-        keys: [
-          { name: 'name', weight: 2 },        // Highest priority
-          { name: 'place', weight: 1.5 },
-          { name: 'tags', weight: 1 },
-          { name: 'description', weight: 0.5 } // Lowest priority
-        ],
-        threshold: 0.3
-      });
-      results = fuse.search($searchQuery).map(result => result.item);
-    }
+  [searchResults, selectedTags, excludedTags, tagMatchMode, tagTaxonomy, selectedRegion, mapSelection, nearbyFilter, nearbyDistances],
+  ([$searchResults, $selectedTags, $excludedTags, $tagMatchMode, $tagTaxonomy, $selectedRegion, $mapSelection, $nearbyFilter, $nearbyDistances]) => {
+    // Apply search if active (fuzzy text plus any tag:/place:/-word/updated: syntax)
+    let results = $searchResults.map(result => result.location);
 
-    // Apply tag filters (AND logic - must have ALL selected tags)
-    if ($selectedTags.size > 0) {
+    // Apply tag filters (ALL or ANY of the selected tags, NONE of the excluded tags)
+    if ($selectedTags.size > 0 || $excludedTags.size > 0) {
       results = results.filter(location =>
-        location.tags && Array.from($selectedTags).every(tag => location.tags.includes(tag))
+        matchesTagFilter(location, $selectedTags, $excludedTags, $tagMatchMode, $tagTaxonomy)
       );
     }
 
+    // Apply region (the region's own locations plus its subregions')
+    if ($selectedRegion) {
+      results = results.filter(location => isInRegion(location, $selectedRegion));
+    }
+
+    // Apply drawn selection (antimeridian-safe, see geo.js)
+    if ($mapSelection) {
+      results = results.filter(location => location.coords && isInPolygon(location.coords, $mapSelection));
+    }
+
+    // Apply nearby filter (within the radius, nearest first)
+    if ($nearbyFilter) {
+      results = results
+        .filter(location => $nearbyDistances.has(location.slug))
+        .sort((a, b) => $nearbyDistances.get(a.slug) - $nearbyDistances.get(b.slug));
+    }
+
     return results;
   }
 );
@@ -91,19 +518,29 @@ export const filteredLocations = derived(
  * visibleLocations - Final location list shown in sidebar
  *
  * FILTERING LOGIC:
- * 1. If SEARCH or FILTER active → Show ALL matching results (ignore map bounds)
- * 2. If DISCOVER active → Show ALL locations sorted by most recent
- * 3. Otherwise (HOME mode) → Show only locations in current map viewport
+ * 1. If AREA mode → Show matching results inside the saved search area
+ * 2. If SEARCH, FILTER, a region, a drawn selection or NEARBY active → Show ALL matching results (ignore map bounds)
+ * 3. If DISCOVER active → Show ALL locations sorted by most recent
+ * 4. Otherwise (HOME mode) → Show only locations in current map viewport
  *
  * This ensures that when user searches for "oxford", they see ALL Oxford results,
  * not just those currently visible on the map. Critical for preventing list
  * reordering when selecting a location that causes map to zoom/pan.
  */
 export const visibleLocations = derived(
-  [filteredLocations, searchQuery, selectedTags, mapBounds, discoverMode],
-  ([$filteredLocations, $searchQuery, $selectedTags, $mapBounds, $discoverMode]) => {
-    // SEARCH/FILTER MODE: Show all matching results (ignore viewport)
-    if ($searchQuery.trim() || $selectedTags.size > 0) {
+  [filteredLocations, searchQuery, isTagFilterActive, selectedRegion, mapSelection, nearbyFilter, mapBounds, searchArea, discoverMode],
+  ([$filteredLocations, $searchQuery, $isTagFilterActive, $selectedRegion, $mapSelection, $nearbyFilter, $mapBounds, $searchArea, $discoverMode]) => {
+    const isFiltering = $searchQuery.trim() || $isTagFilterActive || $selectedRegion || $mapSelection || $nearbyFilter;
+    const inBounds = bounds => $filteredLocations.filter(location => location.coords && isInBounds(location.coords, bounds));
+
+    // AREA MODE: Matching results inside the saved area (search keeps its relevance order, nearby its distance order)
+    if ($searchArea) {
+      const inArea = inBounds($searchArea);
+      return isFiltering ? inArea : inArea.sort((a, b) => (b.updated || 0) - (a.updated || 0));
+    }
+
+    // SEARCH/FILTER/REGION/SELECTION/NEARBY MODE: Show all matching results (ignore viewport)
+    if (isFiltering) {
       return $filteredLocations;
     }
 
@@ -115,19 +552,8 @@ export const visibleLocations = derived(
     // HOME MODE: Filter by map viewport bounds
     if (!$mapBounds) return $filteredLocations;
 
-    const filtered = $filteredLocations.filter(location => {
-      if (!location.coords) return false;
-      const { lat, lon } = location.coords;
-      return (
-        lat >= $mapBounds.south &&
-        lat <= $mapBounds.north &&
-        lon >= $mapBounds.west &&
-        lon <= $mapBounds.east
-      );
-    });
-
     // Sort by most recent update
-    return [...filtered].sort((a, b) => (b.updated || 0) - (a.updated || 0));
+    return inBounds($mapBounds).sort((a, b) => (b.updated || 0) - (a.updated || 0));
   }
 );
 
@@ -146,37 +572,83 @@ export const galleryLocations = derived(
 );
 
 /**
- * allTags - Unique tags from all locations
+ * allTags - Unique tags from all locations, plus their parent tags
  * Used to populate tag filter UI
  */
 export const allTags = derived(
-  [allLocations],
-  ([$allLocations]) => {
+  [allLocations, tagTaxonomy],
+  ([$allLocations, $tagTaxonomy]) => {
     const tagsSet = new Set();
     $allLocations.forEach(loc => {
       if (loc.tags) {
-        loc.tags.forEach(tag => tagsSet.add(tag));
+        loc.tags.forEach(tag => {
+          tagsSet.add(tag);
+          tagAncestors(tag, $tagTaxonomy).forEach(parent => tagsSet.add(parent));
+        });
       }
     });
     return Array.from(tagsSet).sort();
   }
 );
 
+/**
+ * regionTree - Regions (with location counts) for the sidebar tree
+ */
+export const regionTree = derived(
+  [allLocations, regionDetails],
+  ([$allLocations, $regionDetails]) => buildRegionTree($allLocations, $regionDetails)
+);
+
+/**
+ * selectedRegionBounds - Area the map shows for the selected region
+ * From the region's _region.md, else around all of its locations
+ */
+export const selectedRegionBounds = derived(
+  [selectedRegion, allLocations, regionDetails],
+  ([$selectedRegion, $allLocations, $regionDetails]) =>
+    $selectedRegion ? regionBounds($selectedRegion, $allLocations, $regionDetails) : null
+);
+
+/**
+ * isSearchAreaStale - True in AREA mode once the map no longer shows the saved
+ * area (after panning or zooming), to offer "Search this area"
+ */
+export const isSearchAreaStale = derived(
+  [searchArea, mapBounds],
+  ([$searchArea, $mapBounds]) => !!$searchArea && !!$mapBounds && !viewShowsArea($mapBounds, $searchArea)
+);
+
 /**
  * locationListTitle - Sidebar section header text
  * Changes based on current mode:
  * - "DISCOVER" → Discover mode active
- * - "RESULTS" → Search or filter active
+ * - "RESULTS" → Search or filter active ("RESULTS IN AREA" in AREA mode)
+ * - "MAP AREA" → AREA mode without search or filter
+ * - "WITHIN 25 KM" → NEARBY without search or filter
+ * - "SELECTION" → A drawn selection without search or filter
+ * - Region name → Only a region selected
  * - "CURRENT MAP" → Default browsing (viewport-based)
  */
 export const locationListTitle = derived(
-  [discoverMode, searchQuery, selectedTags],
-  ([$discoverMode, $searchQuery, $selectedTags]) => {
+  [discoverMode, searchQuery, isTagFilterActive, selectedRegion, regionDetails, searchArea, mapSelection, nearbyFilter],
+  ([$discoverMode, $searchQuery, $isTagFilterActive, $selectedRegion, $regionDetails, $searchArea, $mapSelection, $nearbyFilter]) => {
     if ($discoverMode) {
       return 'DISCOVER';
     }
-    if ($searchQuery.trim() || $selectedTags.size > 0) {
-      return 'RESULTS';
+    if ($searchQuery.trim() || $isTagFilterActive) {
+      return $searchArea ? 'RESULTS IN AREA' : 'RESULTS';
+    }
+    if ($searchArea) {
+      return 'MAP AREA';
+    }
+    if ($nearbyFilter) {
+      return `WITHIN ${$nearbyFilter.radius} ${config.distanceUnits}`.toUpperCase();
+    }
+    if ($mapSelection) {
+      return 'SELECTION';
+    }
+    if ($selectedRegion) {
+      return regionName($selectedRegion, $regionDetails).toUpperCase();
     }
     return 'CURRENT MAP';
   }
@@ -194,6 +666,9 @@ export const actions = {
    * STATE CHANGES:
    * - Clears search query
    * - Clears tag filters
+   * - Clears selected region
+   * - Leaves AREA mode
+   * - Clears drawn selection and nearby filter
    * - Clears selected location
    * - Exits discover mode
    *
@@ -202,7 +677,11 @@ export const actions = {
    */
   reset() {
     searchQuery.set('');
-    selectedTags.set(new Set());
+    clearTagStores();
+    selectedRegion.set(null);
+    searchArea.set(null);
+    mapSelection.set(null);
+    nearbyFilter.set(null);
     selectedLocation.set(null);
     discoverMode.set(false);
 
@@ -212,6 +691,12 @@ export const actions = {
     url.searchParams.delete('loc');
     url.searchParams.delete('discover');
     url.searchParams.delete('tags');
+    url.searchParams.delete('match');
+    url.searchParams.delete('region');
+    url.searchParams.delete('area');
+    url.searchParams.delete('poly');
+    url.searchParams.delete('near');
+    url.searchParams.delete('within');
     window.history.pushState({}, '', url);
 
     // Trigger map to fit all locations
@@ -220,16 +705,19 @@ export const actions = {
 
   /**
    * ACTION: clearFilters()
-   * TRANSITION: Clears search/tag filters without changing other state
+   * TRANSITION: Clears search/tag/region/area/selection/nearby filters without changing other state
    * TRIGGER: Used when switching contexts (e.g., from search to discover browsing)
    *
    * STATE CHANGES:
    * - Clears search query
    * - Clears tag filters
+   * - Clears selected region
+   * - Leaves AREA mode
+   * - Clears drawn selection and nearby filter
    * - PRESERVES selected location
    * - PRESERVES discover mode
    *
-   * URL: Updates to remove 's' parameter
+   * URL: Updates to remove 's', 'tags', 'match', 'region', 'area', 'poly', 'near' and 'within' parameters
    *
    * USE CASE: When user selects location from Discover modal, we want to clear
    * the search context (since they're no longer searching) but keep the location
@@ -237,11 +725,22 @@ export const actions = {
    */
   clearFilters() {
     searchQuery.set('');
-    selectedTags.set(new Set());
+    clearTagStores();
+    selectedRegion.set(null);
+    searchArea.set(null);
+    mapSelection.set(null);
+    nearbyFilter.set(null);
 
-    // Update URL to remove search parameter
+    // Update URL to remove search, tag, region, area, selection and nearby parameters
     const url = new URL(window.location.href);
     url.searchParams.delete('s');
+    url.searchParams.delete('tags');
+    url.searchParams.delete('match');
+    url.searchParams.delete('region');
+    url.searchParams.delete('area');
+    url.searchParams.delete('poly');
+    url.searchParams.delete('near');
+    url.searchParams.delete('within');
     goto(url, { replaceState: true, noScroll: true, keepFocus: true });
   },
 
@@ -253,6 +752,8 @@ export const actions = {
    * STATE CHANGES:
    * - Sets search query
    * - CLEARS tag filters (search replaces tag filter)
+   * - PRESERVES selected region (searches within it)
+   * - PRESERVES AREA mode (searches within the area)
    * - CLEARS selected location
    * - Exits discover mode
    *
@@ -261,13 +762,15 @@ export const actions = {
    */
   search(query) {
     searchQuery.set(query);
-    selectedTags.set(new Set()); // Clear tag filters (search replaces them)
+    clearTagStores(); // Clear tag filters (search replaces them)
     discoverMode.set(false);
 
     // Update URL
     const url = new URL(window.location.href);
     url.searchParams.delete('discover');
     url.searchParams.delete('loc');
+    url.searchParams.delete('tags');
+    url.searchParams.delete('match');
     if (query) {
       url.searchParams.set('s', query);
     } else {
@@ -277,23 +780,29 @@ export const actions = {
   },
 
   /**
-   * ACTION: filterByTags(tags)
+   * ACTION: filterByTags(tags, { excluded, match })
    * TRANSITION: ANY → FILTER (or HOME if no tags)
-   * TRIGGER: User selects/deselects tags
+   * TRIGGER: User includes/excludes tags or switches ALL/ANY
    *
    * STATE CHANGES:
-   * - Sets selected tags
+   * - Sets included tags, excluded tags and match mode ('all' or 'any')
    * - CLEARS search query (tag filter replaces search)
+   * - PRESERVES selected region (filters within it)
+   * - PRESERVES AREA mode (filters within the area)
    * - CLEARS selected location
    * - Exits discover mode
    *
-   * URL: /?tags=tag1,tag2 (or / if no tags)
+   * URL: /?tags=tag1,-tag2&match=any (or / if no tags)
+   * - Excluded tags are prefixed with "-"
+   * - match is only written for 'any' (ALL is the default)
    * LIST BEHAVIOR: Shows ALL matching results regardless of map viewport
    */
-  filterByTags(tags) {
+  filterByTags(tags, { excluded = new Set(), match = 'all' } = {}) {
     selectedTags.set(tags);
+    excludedTags.set(excluded);
+    tagMatchMode.set(match);
     discoverMode.set(false);
-    if (tags.size > 0) {
+    if (tags.size > 0 || excluded.size > 0) {
       searchQuery.set(''); // Clear search (tag filter replaces it)
     }
 
@@ -303,13 +812,166 @@ export const actions = {
     url.searchParams.delete('s');
     url.searchParams.delete('loc');
 
-    // Add tags to URL as comma-separated list
-    if (tags.size > 0) {
-      url.searchParams.set('tags', Array.from(tags).sort().join(','));
+    // Add tags to URL as comma-separated list (excluded tags prefixed with "-")
+    const tagsParam = encodeTagFilter(tags, excluded);
+    if (tagsParam) {
+      url.searchParams.set('tags', tagsParam);
     } else {
       url.searchParams.delete('tags');
     }
+    if (tagsParam && match === 'any') {
+      url.searchParams.set('match', 'any');
+    } else {
+      url.searchParams.delete('match');
+    }
+
+    goto(url, { replaceState: true, noScroll: true, keepFocus: true });
+  },
+
+  /**
+   * ACTION: filterByRegion(path)
+   * TRANSITION: ANY → REGION (or back to the previous mode if path is null)
+   * TRIGGER: User picks a region in the sidebar tree or a detail panel breadcrumb
+   *
+   * STATE CHANGES:
+   * - Sets selected region
+   * - PRESERVES search query and tag filters (they apply within the region)
+   * - CLEARS selected location
+   * - Leaves AREA mode when picking a region (the map moves to the region)
+   * - Exits discover mode
+   *
+   * URL: /?region=europe/france (or no region param if path is null)
+   * LIST BEHAVIOR: Shows ALL locations in the region regardless of map viewport
+   * SIDE EFFECTS: Map fits the region (see selectedRegionBounds)
+   */
+  filterByRegion(path) {
+    selectedRegion.set(path || null);
+    selectedLocation.set(null);
+    discoverMode.set(false);
+    if (path) {
+      searchArea.set(null);
+    }
 
+    // Update URL
+    const url = new URL(window.location.href);
+    url.searchParams.delete('discover');
+    url.searchParams.delete('loc');
+    if (path) {
+      url.searchParams.set('region', path);
+      url.searchParams.delete('area');
+    } else {
+      url.searchParams.delete('region');
+    }
+    goto(url, { replaceState: true, noScroll: true, keepFocus: true });
+  },
+
+  /**
+   * ACTION: limitToMapArea(enabled)
+   * TRANSITION: ANY → AREA (or back to the previous mode when disabled)
+   * TRIGGER: User toggles "Limit to map area" on the map
+   *
+   * STATE CHANGES:
+   * - Sets the search area to the current map viewport (null when disabled)
+   * - PRESERVES search query, tag filters, region and selected location
+   * - Exits discover mode
+   *
+   * URL: /?area=south,west,north,east (removed when disabled)
+   * LIST BEHAVIOR: Shows only matching locations inside the area, even while
+   * searching or filtering. Panning doesn't change the list until the user
+   * clicks "Search this area" (see isSearchAreaStale).
+   */
+  limitToMapArea(enabled) {
+    const bounds = enabled ? get(mapBounds) : null;
+    if (enabled && !bounds) return; // Map hasn't reported its view yet
+
+    searchArea.set(bounds);
+    discoverMode.set(false);
+    updateAreaParam(bounds);
+  },
+
+  /**
+   * ACTION: searchThisArea()
+   * TRANSITION: AREA → AREA (new area)
+   * TRIGGER: User clicks "Search this area" after panning/zooming in AREA mode
+   *
+   * STATE CHANGES:
+   * - Sets the search area to the current map viewport
+   *
+   * URL: /?area=south,west,north,east
+   */
+  searchThisArea() {
+    const bounds = get(mapBounds);
+    if (!bounds) return;
+
+    searchArea.set(bounds);
+    updateAreaParam(bounds);
+  },
+
+  /**
+   * ACTION: filterByPolygon(polygon)
+   * TRANSITION: ANY → SELECTION (or back to the previous mode if polygon is null)
+   * TRIGGER: User finishes drawing a lasso, rectangle or polygon on the map,
+   * or removes the selection chip in the sidebar
+   *
+   * STATE CHANGES:
+   * - Sets the drawn selection (fewer than 3 points clears it)
+   * - PRESERVES search query, tag filters, region and map area (they combine)
+   * - CLEARS selected location
+   * - Exits discover mode
+   *
+   * URL: /?poly=encoded (encoded polyline, see geo.js)
+   * LIST BEHAVIOR: Shows ALL matching locations inside the selection regardless
+   * of viewport, so the selection can be exported as GPX/KML
+   */
+  filterByPolygon(polygon) {
+    const selection = polygon && polygon.length >= 3 ? polygon : null;
+    mapSelection.set(selection);
+    selectedLocation.set(null);
+    discoverMode.set(false);
+
+    // Update URL
+    const url = new URL(window.location.href);
+    url.searchParams.delete('discover');
+    url.searchParams.delete('loc');
+    if (selection) {
+      url.searchParams.set('poly', encodePolygon(selection));
+    } else {
+      url.searchParams.delete('poly');
+    }
+    goto(url, { replaceState: true, noScroll: true, keepFocus: true });
+  },
+
+  /**
+   * ACTION: filterByDistance(location, radius)
+   * TRANSITION: ANY → NEARBY (or back to the previous mode if location is null)
+   * TRIGGER: User picks "within N km" in a location's detail panel, or removes
+   * the nearby chip in the sidebar
+   *
+   * STATE CHANGES:
+   * - Sets the nearby filter (radius in config.distanceUnits)
+   * - PRESERVES search query, tag filters, region, map area and drawn selection (they combine)
+   * - PRESERVES selected location (the detail panel stays open)
+   * - Exits discover mode
+   *
+   * URL: /?near=slug&within=25
+   * LIST BEHAVIOR: Shows ALL matching locations within the radius regardless of
+   * viewport, nearest first
+   */
+  filterByDistance(location, radius) {
+    const filter = location?.coords && radius > 0 ? { location, radius } : null;
+    nearbyFilter.set(filter);
+    discoverMode.set(false);
+
+    // Update URL
+    const url = new URL(window.location.href);
+    url.searchParams.delete('discover');
+    if (filter) {
+      url.searchParams.set('near', filter.location.slug);
+      url.searchParams.set('within', String(filter.radius));
+    } else {
+      url.searchParams.delete('near');
+      url.searchParams.delete('within');
+    }
     goto(url, { replaceState: true, noScroll: true, keepFocus: true });
   },
 
@@ -322,6 +984,7 @@ export const actions = {
    * - Sets selected location (opens detail panel)
    * - PRESERVES search query (prevents list reordering!)
    * - PRESERVES tag filters (prevents list reordering!)
+   * - PRESERVES selected region
    * - Exits discover mode
    *
    * URL: /?loc=slug (or /?s=query&loc=slug if searching)
@@ -354,6 +1017,7 @@ export const actions = {
    * - Selects most recently updated location
    * - CLEARS search query
    * - CLEARS tag filters
+   * - CLEARS selected region
    * - Enters discover mode
    *
    * URL: /?discover
@@ -369,7 +1033,11 @@ export const actions = {
 
     selectedLocation.set(latest);
     searchQuery.set('');
-    selectedTags.set(new Set());
+    clearTagStores();
+    selectedRegion.set(null);
+    searchArea.set(null);
+    mapSelection.set(null);
+    nearbyFilter.set(null);
     discoverMode.set(true);
 
     // Update URL
@@ -437,7 +1105,11 @@ export const actions = {
    *
    * Handles deep linking by parsing URL parameters:
    * - /?s=query → Restores search
-   * - /?tags=tag1,tag2 → Restores tag filters
+   * - /?tags=tag1,-tag2&match=any → Restores tag filters (included, excluded, match mode)
+   * - /?region=europe/france → Restores region (ignored if no location is in it)
+   * - /?area=s,w,n,e → Restores AREA mode (the map fits the area, see Map.svelte)
+   * - /?poly=encoded → Restores a drawn selection (ignored if malformed)
+   * - /?near=slug&within=25 → Restores the nearby filter (ignored for unknown locations)
    * - /?loc=slug → Selects and zooms to location
    * - /?s=query&loc=slug → Restores search AND selects location
    * - /?discover → Enters discover mode
@@ -449,11 +1121,38 @@ export const actions = {
     }
 
     // Check for tag filters
-    const tagsParam = params.get('tags');
-    if (tagsParam) {
-      const tags = new Set(tagsParam.split(',').filter(t => t.trim()));
-      if (tags.size > 0) {
-        selectedTags.set(tags);
+    const { included, excluded, match } = decodeTagFilter(params.get('tags'), params.get('match'));
+    if (included.size > 0 || excluded.size > 0) {
+      selectedTags.set(included);
+      excludedTags.set(excluded);
+      tagMatchMode.set(match);
+    }
+
+    // Check for region (a stale link to a renamed folder falls back to everything)
+    const region = params.get('region');
+    if (region && get(allLocations).some(location => isInRegion(location, region))) {
+      selectedRegion.set(region);
+    }
+
+    // Check for a saved map area
+    const area = decodeBounds(params.get('area'));
+    if (area) {
+      searchArea.set(area);
+    }
+
+    // Check for a drawn selection
+    const polygon = decodePolygon(params.get('poly'));
+    if (polygon) {
+      mapSelection.set(polygon);
+    }
+
+    // Check for a nearby filter
+    const nearSlug = params.get('near');
+    const within = Number(params.get('within'));
+    if (nearSlug && within > 0) {
+      const origin = get(allLocations).find(loc => loc.slug === nearSlug);
+      if (origin?.coords) {
+        nearbyFilter.set({ location: origin, radius: within });
       }
     }
 
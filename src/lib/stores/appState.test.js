@@ -5,15 +5,24 @@
  * They serve as regression tests to ensure changes don't break existing functionality.
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { get } from 'svelte/store';
 import { goto } from '$app/navigation';
 import {
   allLocations,
+  tagTaxonomy,
   searchQuery,
   selectedTags,
+  excludedTags,
+  tagMatchMode,
+  regionDetails,
+  selectedRegion,
   selectedLocation,
   mapBounds,
+  searchArea,
+  mapSelection,
+  nearbyFilter,
+  nearbyDistances,
   discoverMode,
   isPreviewingLocation,
   filteredLocations,
@@ -21,8 +30,21 @@ import {
   galleryLocations,
   allTags,
   locationListTitle,
+  isSearchAreaStale,
+  parsedSearch,
+  parseSearchQuery,
+  searchLocations,
+  searchSnippets,
+  regionTree,
+  selectedRegionBounds,
+  matchesTagFilter,
+  encodeTagFilter,
+  decodeTagFilter,
+  encodeBounds,
+  decodeBounds,
   actions
 } from './appState';
+import { createSearchIndex } from '../search';
 
 // Mock window events
 const mockWindowEvents = new Map();
@@ -86,6 +108,8 @@ describe('State Machine - Core State', () => {
     allLocations.set([]);
     searchQuery.set('');
     selectedTags.set(new Set());
+    excludedTags.set(new Set());
+    tagMatchMode.set('all');
     selectedLocation.set(null);
     mapBounds.set(null);
     discoverMode.set(false);
@@ -96,6 +120,8 @@ describe('State Machine - Core State', () => {
     expect(get(allLocations)).toEqual([]);
     expect(get(searchQuery)).toBe('');
     expect(get(selectedTags).size).toBe(0);
+    expect(get(excludedTags).size).toBe(0);
+    expect(get(tagMatchMode)).toBe('all');
     expect(get(selectedLocation)).toBeNull();
     expect(get(mapBounds)).toBeNull();
     expect(get(discoverMode)).toBe(false);
@@ -124,7 +150,7 @@ describe('State Machine - reset() Action', () => {
   it('clears URL parameters including tags', () => {
     // CRITICAL: Override window.location AFTER beforeEach runs
     // Set up URL with tags parameter to simulate user having filtered by tags
-    window.location = new URL('http://localhost:3000/?s=test&tags=city,landmark&loc=tokyo&discover');
+    window.location = new URL('http://localhost:3000/?s=test&tags=city,-landmark&match=any&loc=tokyo&discover');
 
     // Capture the URL passed to pushState with a custom spy
     let capturedUrl = null;
@@ -145,6 +171,16 @@ describe('State Machine - reset() Action', () => {
     expect(urlObj.searchParams.has('loc')).toBe(false);
     expect(urlObj.searchParams.has('discover')).toBe(false);
     expect(urlObj.searchParams.has('tags')).toBe(false);
+    expect(urlObj.searchParams.has('match')).toBe(false);
+  });
+
+  it('clears excluded tags and match mode', () => {
+    excludedTags.set(new Set(['park']));
+    tagMatchMode.set('any');
+    actions.reset();
+
+    expect(get(excludedTags).size).toBe(0);
+    expect(get(tagMatchMode)).toBe('all');
   });
 
   it('triggers map reset event', () => {
@@ -170,9 +206,20 @@ describe('State Machine - search() Action', () => {
   });
 
   it('clears tag filters when searching', () => {
+    excludedTags.set(new Set(['park']));
     actions.search('oxford');
 
     expect(get(selectedTags).size).toBe(0);
+    expect(get(excludedTags).size).toBe(0);
+  });
+
+  it('removes tag parameters from URL when searching', () => {
+    window.location = new URL('http://localhost:3000/?tags=city,-park&match=any');
+    actions.search('oxford');
+
+    const url = goto.mock.calls[0][0];
+    expect(url.searchParams.has('tags')).toBe(false);
+    expect(url.searchParams.has('match')).toBe(false);
   });
 
   it('exits discover mode when searching', () => {
@@ -258,6 +305,95 @@ describe('State Machine - filterByTags() Action', () => {
     const url = goto.mock.calls[0][0];
     expect(url.searchParams.has('tags')).toBe(false);
   });
+
+  it('sets excluded tags and match mode', () => {
+    actions.filterByTags(new Set(['city', 'nature']), { excluded: new Set(['park']), match: 'any' });
+
+    expect(get(selectedTags)).toEqual(new Set(['city', 'nature']));
+    expect(get(excludedTags)).toEqual(new Set(['park']));
+    expect(get(tagMatchMode)).toBe('any');
+  });
+
+  it('defaults to no excluded tags and ALL matching', () => {
+    excludedTags.set(new Set(['park']));
+    tagMatchMode.set('any');
+    actions.filterByTags(new Set(['city']));
+
+    expect(get(excludedTags).size).toBe(0);
+    expect(get(tagMatchMode)).toBe('all');
+  });
+
+  it('clears search query when only excluding tags', () => {
+    actions.filterByTags(new Set(), { excluded: new Set(['crowded']) });
+
+    expect(get(searchQuery)).toBe('');
+  });
+
+  it('adds excluded tags to URL with a "-" prefix', () => {
+    actions.filterByTags(new Set(['hiking']), { excluded: new Set(['crowded']) });
+
+    const url = goto.mock.calls[0][0];
+    expect(url.searchParams.get('tags')).toBe('hiking,-crowded');
+    expect(url.searchParams.has('match')).toBe(false);
+  });
+
+  it('adds match=any to URL in "any" mode', () => {
+    actions.filterByTags(new Set(['food', 'drink']), { match: 'any' });
+
+    const url = goto.mock.calls[0][0];
+    expect(url.searchParams.get('tags')).toBe('drink,food');
+    expect(url.searchParams.get('match')).toBe('any');
+  });
+
+  it('removes match from URL when no tags selected', () => {
+    window.location = new URL('http://localhost:3000/?tags=food,drink&match=any');
+    actions.filterByTags(new Set(), { match: 'any' });
+
+    const url = goto.mock.calls[0][0];
+    expect(url.searchParams.has('tags')).toBe(false);
+    expect(url.searchParams.has('match')).toBe(false);
+  });
+});
+
+describe('Tag filter helpers', () => {
+  const location = { tags: ['hiking', 'crowded'] };
+
+  it('matches ALL included tags by default', () => {
+    expect(matchesTagFilter(location, new Set(['hiking', 'crowded']), new Set())).toBe(true);
+    expect(matchesTagFilter(location, new Set(['hiking', 'food']), new Set())).toBe(false);
+  });
+
+  it('matches ANY included tag in "any" mode', () => {
+    expect(matchesTagFilter(location, new Set(['hiking', 'food']), new Set(), 'any')).toBe(true);
+    expect(matchesTagFilter(location, new Set(['food', 'drink']), new Set(), 'any')).toBe(false);
+  });
+
+  it('rules out locations with an excluded tag', () => {
+    expect(matchesTagFilter(location, new Set(['hiking']), new Set(['crowded']))).toBe(false);
+    expect(matchesTagFilter(location, new Set(), new Set(['food']))).toBe(true);
+  });
+
+  it('treats locations without tags as having none', () => {
+    expect(matchesTagFilter({}, new Set(), new Set(['crowded']))).toBe(true);
+    expect(matchesTagFilter({}, new Set(['hiking']), new Set(), 'any')).toBe(false);
+  });
+
+  it('round-trips through the URL encoding', () => {
+    const encoded = encodeTagFilter(new Set(['hiking', 'food']), new Set(['crowded']));
+    expect(encoded).toBe('food,hiking,-crowded');
+
+    const decoded = decodeTagFilter(encoded, 'any');
+    expect(decoded.included).toEqual(new Set(['food', 'hiking']));
+    expect(decoded.excluded).toEqual(new Set(['crowded']));
+    expect(decoded.match).toBe('any');
+  });
+
+  it('falls back to ALL for unknown match values and skips a bare "-"', () => {
+    const decoded = decodeTagFilter('hiking,-', 'sometimes');
+    expect(decoded.included).toEqual(new Set(['hiking']));
+    expect(decoded.excluded.size).toBe(0);
+    expect(decoded.match).toBe('all');
+  });
 });
 
 describe('State Machine - selectLocation() Action', () => {
@@ -431,6 +567,8 @@ describe('Derived State - filteredLocations', () => {
     allLocations.set(sampleLocations);
     searchQuery.set('');
     selectedTags.set(new Set());
+    excludedTags.set(new Set());
+    tagMatchMode.set('all');
   });
 
   it('returns all locations when no filters active', () => {
@@ -461,6 +599,30 @@ describe('Derived State - filteredLocations', () => {
     expect(results.length).toBe(1);
     expect(results[0].slug).toBe('oxford-university');
   });
+
+  it('filters by tags using OR logic in "any" mode', () => {
+    selectedTags.set(new Set(['city', 'nature']));
+    tagMatchMode.set('any');
+
+    const results = get(filteredLocations);
+    expect(results.map(loc => loc.slug)).toEqual(['tokyo-tower', 'rocky-mountain']);
+  });
+
+  it('hides locations with excluded tags', () => {
+    excludedTags.set(new Set(['historic']));
+
+    const results = get(filteredLocations);
+    expect(results.map(loc => loc.slug)).toEqual(['tokyo-tower', 'rocky-mountain']);
+  });
+
+  it('combines included and excluded tags', () => {
+    selectedTags.set(new Set(['city', 'university', 'nature']));
+    excludedTags.set(new Set(['park']));
+    tagMatchMode.set('any');
+
+    const results = get(filteredLocations);
+    expect(results.map(loc => loc.slug)).toEqual(['tokyo-tower', 'oxford-university']);
+  });
 });
 
 describe('Derived State - visibleLocations', () => {
@@ -468,6 +630,8 @@ describe('Derived State - visibleLocations', () => {
     allLocations.set(sampleLocations);
     searchQuery.set('');
     selectedTags.set(new Set());
+    excludedTags.set(new Set());
+    tagMatchMode.set('all');
     discoverMode.set(false);
     mapBounds.set({
       north: 52,
@@ -486,6 +650,13 @@ describe('Derived State - visibleLocations', () => {
     expect(results[0].slug).toBe('tokyo-tower');
   });
 
+  it('shows all results when only excluding tags (ignores map bounds)', () => {
+    excludedTags.set(new Set(['historic']));
+
+    const results = get(visibleLocations);
+    expect(results.map(loc => loc.slug)).toEqual(['tokyo-tower', 'rocky-mountain']);
+  });
+
   it('shows all results when filtering by tags (ignores map bounds)', () => {
     selectedTags.set(new Set(['nature']));
 
@@ -558,6 +729,7 @@ describe('Derived State - locationListTitle', () => {
   beforeEach(() => {
     searchQuery.set('');
     selectedTags.set(new Set());
+    excludedTags.set(new Set());
     discoverMode.set(false);
   });
 
@@ -579,6 +751,12 @@ describe('Derived State - locationListTitle', () => {
     expect(get(locationListTitle)).toBe('RESULTS');
   });
 
+  it('shows "RESULTS" when only excluding tags', () => {
+    excludedTags.set(new Set(['city']));
+
+    expect(get(locationListTitle)).toBe('RESULTS');
+  });
+
   it('shows "CURRENT MAP" in default state', () => {
     expect(get(locationListTitle)).toBe('CURRENT MAP');
   });
@@ -587,6 +765,9 @@ describe('Derived State - locationListTitle', () => {
 describe('State Machine - initializeFromURL()', () => {
   beforeEach(() => {
     allLocations.set(sampleLocations);
+    selectedTags.set(new Set());
+    excludedTags.set(new Set());
+    tagMatchMode.set('all');
   });
 
   it('restores search query from URL', () => {
@@ -649,4 +830,582 @@ describe('State Machine - initializeFromURL()', () => {
     expect(tags.has('landmark')).toBe(true);
     expect(tags.size).toBe(2);
   });
+
+  it('restores excluded tags from URL', () => {
+    const params = new URLSearchParams('tags=hiking,-crowded');
+    actions.initializeFromURL(params);
+
+    expect(get(selectedTags)).toEqual(new Set(['hiking']));
+    expect(get(excludedTags)).toEqual(new Set(['crowded']));
+    expect(get(tagMatchMode)).toBe('all');
+  });
+
+  it('restores match mode from URL', () => {
+    const params = new URLSearchParams('tags=food,drink&match=any');
+    actions.initializeFromURL(params);
+
+    expect(get(selectedTags)).toEqual(new Set(['food', 'drink']));
+    expect(get(tagMatchMode)).toBe('any');
+  });
+
+  it('restores a filter with only excluded tags', () => {
+    const params = new URLSearchParams('tags=-crowded');
+    actions.initializeFromURL(params);
+
+    expect(get(selectedTags).size).toBe(0);
+    expect(get(excludedTags)).toEqual(new Set(['crowded']));
+  });
+});
+
+describe('Tag taxonomy', () => {
+  const taxonomy = {
+    sights: { label: 'Sights', color: null, description: null, parent: null, aliases: ['sightseeing'] },
+    landmark: { label: 'Landmarks', color: null, description: null, parent: 'sights', aliases: [] },
+    historic: { label: 'Historic Places', color: null, description: null, parent: 'sights', aliases: [] }
+  };
+
+  beforeEach(() => {
+    allLocations.set(sampleLocations);
+    tagTaxonomy.set(taxonomy);
+    searchQuery.set('');
+    selectedTags.set(new Set());
+    excludedTags.set(new Set());
+    tagMatchMode.set('all');
+  });
+
+  afterEach(() => {
+    tagTaxonomy.set({});
+  });
+
+  it('matches child tags when a parent tag is selected', () => {
+    selectedTags.set(new Set(['sights']));
+
+    const results = get(filteredLocations);
+    expect(results.map(loc => loc.slug)).toEqual(['tokyo-tower', 'oxford-university']);
+  });
+
+  it('excludes child tags when a parent tag is excluded', () => {
+    excludedTags.set(new Set(['sights']));
+
+    const results = get(filteredLocations);
+    expect(results.map(loc => loc.slug)).toEqual(['rocky-mountain']);
+  });
+
+  it('adds parent tags to allTags', () => {
+    expect(get(allTags)).toContain('sights');
+  });
+
+  it('finds locations by tag label or parent alias when searching', () => {
+    searchQuery.set('Historic Places');
+    expect(get(filteredLocations)[0].slug).toBe('oxford-university');
+
+    searchQuery.set('sightseeing');
+    expect(get(filteredLocations).map(loc => loc.slug).sort()).toEqual(['oxford-university', 'tokyo-tower']);
+  });
+});
+
+describe('Regions', () => {
+  const regionalLocations = [
+    { ...sampleLocations[0], slug: 'asia/japan/tokyo-tower', region: 'asia/japan' },
+    { ...sampleLocations[1], slug: 'europe/uk/oxford-university', region: 'europe/uk' },
+    { ...sampleLocations[2], slug: 'rocky-mountain', region: null }
+  ];
+
+  beforeEach(() => {
+    allLocations.set(regionalLocations);
+    regionDetails.set({ 'europe/uk': { name: 'Britain', description: null, bounds: null } });
+    selectedRegion.set(null);
+    searchQuery.set('');
+    selectedTags.set(new Set());
+    excludedTags.set(new Set());
+    tagMatchMode.set('all');
+    selectedLocation.set(null);
+    discoverMode.set(false);
+    mapBounds.set({ north: 1, south: 0, east: 1, west: 0 });
+  });
+
+  afterEach(() => {
+    regionDetails.set({});
+    selectedRegion.set(null);
+    mapBounds.set(null);
+  });
+
+  it('filters to a region and its subregions, regardless of viewport', () => {
+    actions.filterByRegion('asia');
+
+    expect(get(selectedRegion)).toBe('asia');
+    expect(get(filteredLocations).map(loc => loc.slug)).toEqual(['asia/japan/tokyo-tower']);
+    expect(get(visibleLocations).map(loc => loc.slug)).toEqual(['asia/japan/tokyo-tower']);
+  });
+
+  it('writes the region to the URL and closes the location', () => {
+    selectedLocation.set(regionalLocations[0]);
+    discoverMode.set(true);
+    actions.filterByRegion('europe/uk');
+
+    const url = goto.mock.calls[0][0];
+    expect(url.searchParams.get('region')).toBe('europe/uk');
+    expect(url.searchParams.has('loc')).toBe(false);
+    expect(get(selectedLocation)).toBeNull();
+    expect(get(discoverMode)).toBe(false);
+  });
+
+  it('clears the region with null', () => {
+    selectedRegion.set('asia');
+    actions.filterByRegion(null);
+
+    expect(get(selectedRegion)).toBeNull();
+    expect(goto.mock.calls[0][0].searchParams.has('region')).toBe(false);
+  });
+
+  it('keeps the search and tag filter within the region', () => {
+    searchQuery.set('oxford');
+    actions.filterByRegion('asia');
+    expect(get(searchQuery)).toBe('oxford');
+    expect(get(filteredLocations)).toEqual([]);
+
+    actions.filterByTags(new Set(['city']));
+    expect(get(selectedRegion)).toBe('asia');
+  });
+
+  it('is cleared by reset(), clearFilters() and discover()', () => {
+    for (const action of ['reset', 'clearFilters', 'discover']) {
+      selectedRegion.set('asia');
+      actions[action]();
+      expect(get(selectedRegion)).toBeNull();
+    }
+  });
+
+  it('restores the region from the URL', () => {
+    actions.initializeFromURL(new URLSearchParams('region=europe/uk'));
+    expect(get(selectedRegion)).toBe('europe/uk');
+  });
+
+  it('ignores a region from the URL that has no locations', () => {
+    actions.initializeFromURL(new URLSearchParams('region=europe/france'));
+    expect(get(selectedRegion)).toBeNull();
+  });
+
+  it('titles the list with the region name', () => {
+    selectedRegion.set('europe/uk');
+    expect(get(locationListTitle)).toBe('BRITAIN');
+
+    searchQuery.set('oxford');
+    expect(get(locationListTitle)).toBe('RESULTS');
+  });
+
+  it('builds the region tree with names from _region.md', () => {
+    expect(get(regionTree).map(node => [node.name, node.count])).toEqual([['Asia', 1], ['Europe', 1]]);
+    expect(get(regionTree)[1].children[0].name).toBe('Britain');
+  });
+
+  it('fits the selected region\'s locations', () => {
+    expect(get(selectedRegionBounds)).toBeNull();
+
+    selectedRegion.set('europe');
+    expect(get(selectedRegionBounds)).toEqual({ south: 51.7548, west: -1.2544, north: 51.7548, east: -1.2544 });
+  });
+});
+
+describe('Search query syntax', () => {
+  const dated = sampleLocations.map((location, i) => ({
+    ...location,
+    updated: Date.UTC(2023 + i, 5, 15), // 2023-06-15, 2024-06-15, 2025-06-15
+    visited: i === 0 ? Date.UTC(2019, 0, 1) : null
+  }));
+  const index = createSearchIndex(dated);
+  const slugs = query => searchLocations(index, parseSearchQuery(query)).map(result => result.location.slug);
+
+  it('parses fields, phrases, exclusions and dates', () => {
+    const parsed = parseSearchQuery('tag:food place:tokyo -museum "night view" updated:>2024-01 ramen');
+
+    expect(parsed).toMatchObject({
+      text: 'ramen',
+      fields: [{ field: 'place', value: 'tokyo' }],
+      phrases: ['night view'],
+      tags: ['food'],
+      excludedTags: [],
+      excluded: [{ field: null, value: 'museum' }],
+      dates: [{ field: 'updated', from: Date.UTC(2024, 1, 1), to: Infinity, negate: false }],
+      errors: []
+    });
+  });
+
+  it('keeps plain text as a fuzzy search', () => {
+    expect(parseSearchQuery('tokyo tower').text).toBe('tokyo tower');
+    expect(slugs('tokio')).toEqual(['tokyo-tower']);
+  });
+
+  it('restricts fuzzy searches to a field', () => {
+    expect(slugs('place:colorado')).toEqual(['rocky-mountain']);
+    expect(slugs('name:colorado')).toEqual([]);
+  });
+
+  it('matches tags exactly and excludes tags', () => {
+    expect(slugs('tag:park')).toEqual(['rocky-mountain']);
+    expect(slugs('tag:par')).toEqual([]);
+    expect(slugs('-tag:park')).toEqual(['tokyo-tower', 'oxford-university']);
+  });
+
+  it('excludes words, phrases and field values', () => {
+    expect(slugs('-tower')).toEqual(['oxford-university', 'rocky-mountain']);
+    expect(slugs('-"historic university"')).toEqual(['tokyo-tower', 'rocky-mountain']);
+    expect(slugs('-place:uk')).toEqual(['tokyo-tower', 'rocky-mountain']);
+  });
+
+  it('requires quoted phrases', () => {
+    expect(slugs('"mountain park"')).toEqual(['rocky-mountain']);
+    expect(slugs('"park mountain"')).toEqual([]);
+  });
+
+  it('filters by year, month and day with comparisons', () => {
+    expect(slugs('updated:2024')).toEqual(['oxford-university']);
+    expect(slugs('updated:>2024-01')).toEqual(['oxford-university', 'rocky-mountain']);
+    expect(slugs('updated:>=2025-06-15')).toEqual(['rocky-mountain']);
+    expect(slugs('updated:<2024')).toEqual(['tokyo-tower']);
+    expect(slugs('updated:<=2024-06')).toEqual(['tokyo-tower', 'oxford-university']);
+    expect(slugs('-updated:2024')).toEqual(['tokyo-tower', 'rocky-mountain']);
+    expect(slugs('visited:2019')).toEqual(['tokyo-tower']);
+  });
+
+  it('reports errors and ignores the broken part', () => {
+    const parsed = parseSearchQuery('tga:food updated:2024-13 tag: "night view');
+
+    expect(parsed.errors.map(e => e.token)).toEqual(['tga:food', 'updated:2024-13', 'tag:', '"night view']);
+    expect(parsed.errors[0].message).toMatch(/^Unknown filter "tga:"/);
+    expect(parsed.errors[1].message).toMatch(/^Can't read date "2024-13"/);
+    expect(parsed.errors[2].message).toBe('"tag:" needs a value');
+    expect(parsed.errors[3].message).toBe('Missing closing quote');
+    expect(parsed.phrases).toEqual(['night view']);
+  });
+
+  it('treats text that only looks like syntax as plain words', () => {
+    expect(parseSearchQuery('10:30 - a-b').text).toBe('10:30 a-b');
+  });
+
+  it('drives filteredLocations and exposes errors', () => {
+    allLocations.set(dated);
+    selectedTags.set(new Set());
+    excludedTags.set(new Set());
+    searchQuery.set('tag:landmark bogus:1');
+
+    expect(get(filteredLocations).map(loc => loc.slug)).toEqual(['tokyo-tower']);
+    expect(get(parsedSearch).errors).toHaveLength(1);
+    searchQuery.set('');
+  });
+
+  it('round-trips the full query through ?s=', () => {
+    const query = 'tag:food -museum "night view" updated:>2024-01';
+    actions.search(query);
+    const url = goto.mock.calls[0][0];
+
+    searchQuery.set('');
+    actions.initializeFromURL(new URLSearchParams(url.search));
+    expect(get(searchQuery)).toBe(query);
+    searchQuery.set('');
+  });
+});
+
+describe('Search index', () => {
+  const accented = [
+    ...sampleLocations,
+    {
+      slug: 'zurich-old-town',
+      name: 'Zürich Old Town',
+      place: 'Zürich, Switzerland',
+      coords: { lat: 47.3717, lon: 8.5423 },
+      tags: ['city'],
+      description: 'Walk along the **Limmat** to the [Großmünster](https://example.com/gross), then cross to the lakeside café for a coffee.',
+      updated: 4000
+    }
+  ];
+
+  beforeEach(() => {
+    allLocations.set(accented);
+    selectedTags.set(new Set());
+    excludedTags.set(new Set());
+    selectedRegion.set(null);
+  });
+
+  afterEach(() => {
+    searchQuery.set('');
+  });
+
+  it('ignores accents and case', () => {
+    searchQuery.set('ZURICH');
+    expect(get(filteredLocations).map(loc => loc.slug)).toEqual(['zurich-old-town']);
+
+    searchQuery.set('"grossmunster"');
+    expect(get(filteredLocations).map(loc => loc.slug)).toEqual(['zurich-old-town']);
+
+    searchQuery.set('-cafe');
+    expect(get(filteredLocations).map(loc => loc.slug)).not.toContain('zurich-old-town');
+  });
+
+  it('searches descriptions as plain text, not markdown', () => {
+    searchQuery.set('"example.com"');
+    expect(get(filteredLocations)).toEqual([]);
+  });
+
+  it('snippets the matched part of the description', () => {
+    searchQuery.set('lakeside');
+    const snippet = get(searchSnippets).get('zurich-old-town');
+
+    expect(snippet.filter(segment => segment.match).map(segment => segment.text)).toEqual(['lakeside']);
+    expect(snippet.map(segment => segment.text).join('')).toContain('Großmünster, then cross to the lakeside café');
+  });
+
+  it('has no snippet when only the name matched', () => {
+    searchQuery.set('name:zurich');
+    expect(get(filteredLocations).map(loc => loc.slug)).toEqual(['zurich-old-town']);
+    expect(get(searchSnippets).size).toBe(0);
+  });
+});
+
+describe('Map area', () => {
+  const europe = { south: 35, west: -10, north: 60, east: 30 };
+  const world = { south: -60, west: -180, north: 75, east: 180 }; // Every sample location
+
+  beforeEach(() => {
+    allLocations.set(sampleLocations);
+    searchQuery.set('');
+    selectedTags.set(new Set());
+    excludedTags.set(new Set());
+    selectedRegion.set(null);
+    selectedLocation.set(null);
+    discoverMode.set(false);
+    searchArea.set(null);
+    mapBounds.set(europe);
+  });
+
+  afterEach(() => {
+    searchArea.set(null);
+    mapBounds.set(null);
+  });
+
+  it('limits results to the map area only when turned on', () => {
+    actions.filterByTags(new Set(['nature']));
+    expect(get(visibleLocations).map(loc => loc.slug)).toEqual(['rocky-mountain']);
+
+    actions.limitToMapArea(true);
+    expect(get(searchArea)).toEqual(europe);
+    expect(get(selectedTags)).toEqual(new Set(['nature']));
+    expect(get(visibleLocations)).toEqual([]);
+  });
+
+  it('intersects filters with the saved area', () => {
+    actions.limitToMapArea(true);
+    actions.filterByTags(new Set(['historic']));
+    expect(get(visibleLocations).map(loc => loc.slug)).toEqual(['oxford-university']);
+
+    actions.filterByTags(new Set(['city']));
+    expect(get(visibleLocations)).toEqual([]);
+    expect(get(locationListTitle)).toBe('RESULTS IN AREA');
+  });
+
+  it('keeps the area while panning until "Search this area"', () => {
+    actions.limitToMapArea(true);
+    expect(get(isSearchAreaStale)).toBe(false);
+
+    mapBounds.set(world);
+    expect(get(isSearchAreaStale)).toBe(true);
+    expect(get(visibleLocations).map(loc => loc.slug)).toEqual(['oxford-university']);
+
+    actions.searchThisArea();
+    expect(get(isSearchAreaStale)).toBe(false);
+    expect(get(visibleLocations)).toHaveLength(3);
+    expect(get(locationListTitle)).toBe('MAP AREA');
+  });
+
+  it('writes the area to the URL and removes it when turned off', () => {
+    actions.limitToMapArea(true);
+    expect(goto.mock.calls[0][0].searchParams.get('area')).toBe('35,-10,60,30');
+
+    actions.limitToMapArea(false);
+    expect(get(searchArea)).toBeNull();
+    expect(goto.mock.calls[1][0].searchParams.has('area')).toBe(false);
+  });
+
+  it('does nothing before the map has reported its view', () => {
+    mapBounds.set(null);
+    actions.limitToMapArea(true);
+    expect(get(searchArea)).toBeNull();
+  });
+
+  it('restores the area from the URL', () => {
+    actions.initializeFromURL(new URLSearchParams('area=35,-10,60,30&tags=historic'));
+    expect(get(searchArea)).toEqual(europe);
+    expect(get(visibleLocations).map(loc => loc.slug)).toEqual(['oxford-university']);
+  });
+
+  it('is left by reset(), clearFilters(), discover() and picking a region', () => {
+    for (const leave of [() => actions.reset(), () => actions.clearFilters(), () => actions.discover(), () => actions.filterByRegion('asia')]) {
+      searchArea.set(europe);
+      leave();
+      expect(get(searchArea)).toBeNull();
+    }
+  });
+
+  it('encodes and decodes bounds', () => {
+    expect(encodeBounds({ south: 51.123456, west: -1.5, north: 52, east: 0.00001 })).toBe('51.1235,-1.5,52,0');
+    expect(decodeBounds('51.1,-1.5,52,0')).toEqual({ south: 51.1, west: -1.5, north: 52, east: 0 });
+    expect(decodeBounds('52,-1.5,51,0')).toBeNull();
+    expect(decodeBounds('51,,52,0')).toBeNull();
+    expect(decodeBounds('1,2,3')).toBeNull();
+    expect(decodeBounds(null)).toBeNull();
+  });
+});
+
+describe('Drawn selection', () => {
+  // Around Oxford (a rough lasso over southern England)
+  const england = [
+    { lat: 50.5, lon: -3 },
+    { lat: 53, lon: -3.5 },
+    { lat: 53.5, lon: 0.5 },
+    { lat: 51, lon: 1.5 }
+  ];
+
+  beforeEach(() => {
+    allLocations.set(sampleLocations);
+    searchQuery.set('');
+    selectedTags.set(new Set());
+    excludedTags.set(new Set());
+    selectedRegion.set(null);
+    selectedLocation.set(null);
+    discoverMode.set(false);
+    searchArea.set(null);
+    mapSelection.set(null);
+    mapBounds.set(null);
+  });
+
+  afterEach(() => {
+    mapSelection.set(null);
+  });
+
+  it('lists only locations inside the drawn shape, regardless of the map view', () => {
+    actions.filterByPolygon(england);
+    expect(get(mapSelection)).toEqual(england);
+    expect(get(visibleLocations).map(loc => loc.slug)).toEqual(['oxford-university']);
+    expect(get(locationListTitle)).toBe('SELECTION');
+  });
+
+  it('combines with search and tag filters', () => {
+    actions.filterByPolygon(england);
+    actions.filterByTags(new Set(['nature']));
+    expect(get(visibleLocations)).toEqual([]);
+
+    actions.filterByTags(new Set(['historic']));
+    expect(get(visibleLocations).map(loc => loc.slug)).toEqual(['oxford-university']);
+  });
+
+  it('writes the shape to the URL and removes it when cleared', () => {
+    actions.filterByPolygon(england);
+    const encoded = goto.mock.calls[0][0].searchParams.get('poly');
+    expect(encoded).toBeTruthy();
+
+    actions.filterByPolygon(null);
+    expect(get(mapSelection)).toBeNull();
+    expect(goto.mock.calls[1][0].searchParams.has('poly')).toBe(false);
+
+    actions.initializeFromURL(new URLSearchParams({ poly: encoded }));
+    expect(get(mapSelection)).toEqual(england);
+    expect(get(visibleLocations).map(loc => loc.slug)).toEqual(['oxford-university']);
+  });
+
+  it('ignores shapes with fewer than three corners', () => {
+    actions.filterByPolygon(england.slice(0, 2));
+    expect(get(mapSelection)).toBeNull();
+
+    actions.initializeFromURL(new URLSearchParams('poly=not-a-polygon'));
+    expect(get(mapSelection)).toBeNull();
+  });
+
+  it('clears the selected location and discover mode', () => {
+    selectedLocation.set(sampleLocations[0]);
+    discoverMode.set(true);
+    actions.filterByPolygon(england);
+    expect(get(selectedLocation)).toBeNull();
+    expect(get(discoverMode)).toBe(false);
+  });
+
+  it('is cleared by reset(), clearFilters() and discover()', () => {
+    for (const leave of [() => actions.reset(), () => actions.clearFilters(), () => actions.discover()]) {
+      mapSelection.set(england);
+      leave();
+      expect(get(mapSelection)).toBeNull();
+    }
+  });
+});
+
+describe('Nearby', () => {
+  const [tokyo, oxford, rocky] = sampleLocations;
+
+  beforeEach(() => {
+    allLocations.set(sampleLocations);
+    searchQuery.set('');
+    selectedTags.set(new Set());
+    excludedTags.set(new Set());
+    selectedRegion.set(null);
+    selectedLocation.set(null);
+    discoverMode.set(false);
+    searchArea.set(null);
+    mapSelection.set(null);
+    nearbyFilter.set(null);
+    mapBounds.set(null);
+  });
+
+  afterEach(() => {
+    nearbyFilter.set(null);
+  });
+
+  it('lists locations within the radius, nearest first, keeping the detail panel open', () => {
+    selectedLocation.set(oxford);
+    actions.filterByDistance(oxford, 10000);
+
+    expect(get(visibleLocations).map(loc => loc.slug)).toEqual(['rocky-mountain', 'tokyo-tower']);
+    expect(get(selectedLocation)).toBe(oxford);
+    expect(get(locationListTitle)).toBe('WITHIN 10000 KM');
+  });
+
+  it('leaves out locations beyond the radius', () => {
+    actions.filterByDistance(oxford, 8000);
+    expect(get(visibleLocations).map(loc => loc.slug)).toEqual(['rocky-mountain']);
+    expect([...get(nearbyDistances).keys()]).toEqual(['rocky-mountain']);
+  });
+
+  it('combines with tag filters', () => {
+    actions.filterByDistance(oxford, 10000);
+    actions.filterByTags(new Set(['city']));
+    expect(get(visibleLocations).map(loc => loc.slug)).toEqual(['tokyo-tower']);
+  });
+
+  it('writes the filter to the URL and removes it when cleared', () => {
+    actions.filterByDistance(rocky, 25);
+    const params = goto.mock.calls[0][0].searchParams;
+    expect(params.get('near')).toBe('rocky-mountain');
+    expect(params.get('within')).toBe('25');
+
+    actions.filterByDistance(null);
+    expect(get(nearbyFilter)).toBeNull();
+    expect(goto.mock.calls[1][0].searchParams.has('near')).toBe(false);
+    expect(goto.mock.calls[1][0].searchParams.has('within')).toBe(false);
+  });
+
+  it('restores the filter from the URL, ignoring unknown locations and bad distances', () => {
+    actions.initializeFromURL(new URLSearchParams('near=oxford-university&within=8000'));
+    expect(get(nearbyFilter)).toEqual({ location: oxford, radius: 8000 });
+
+    nearbyFilter.set(null);
+    actions.initializeFromURL(new URLSearchParams('near=atlantis&within=50'));
+    actions.initializeFromURL(new URLSearchParams('near=oxford-university&within=far'));
+    expect(get(nearbyFilter)).toBeNull();
+  });
+
+  it('is cleared by reset(), clearFilters() and discover()', () => {
+    for (const leave of [() => actions.reset(), () => actions.clearFilters(), () => actions.discover()]) {
+      nearbyFilter.set({ location: tokyo, radius: 50 });
+      leave();
+      expect(get(nearbyFilter)).toBeNull();
+    }
+  });
 });
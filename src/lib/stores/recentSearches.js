@@ -0,0 +1,66 @@
+/**
+ * Recent Searches
+ *
+ * The last few searches the user committed (Enter, or picking a place or
+ * recent search in the search bar's suggestions), newest first. Kept in
+ * localStorage so they survive reloads; when storage is unavailable (SSR,
+ * private browsing) they only last for the session.
+ */
+
+import { writable, get } from 'svelte/store';
+
+export const RECENT_SEARCHES_KEY = 'mapsicle:recent-searches';
+
+/** How many searches to remember */
+const MAX_RECENT_SEARCHES = 5;
+
+/**
+ * Read saved searches from localStorage
+ * @returns {string[]} Saved searches (empty when missing or unreadable)
+ */
+function loadRecentSearches() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY));
+    return Array.isArray(saved) ? saved.filter(query => typeof query === 'string').slice(0, MAX_RECENT_SEARCHES) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Write searches to localStorage (ignored when storage is unavailable or full)
+ * @param {string[]} searches - Searches to save
+ */
+function saveRecentSearches(searches) {
+  try {
+    localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(searches));
+  } catch {
+    // Not saved; the in-memory list still works for this visit
+  }
+}
+
+export const recentSearches = writable(loadRecentSearches());
+
+/**
+ * Remember a search, moving it to the top if it was already there
+ * @param {string} query - Search bar text
+ */
+export function addRecentSearch(query) {
+  const trimmed = (query || '').trim();
+  if (!trimmed) return;
+
+  const searches = [
+    trimmed,
+    ...get(recentSearches).filter(existing => existing.toLowerCase() !== trimmed.toLowerCase())
+  ].slice(0, MAX_RECENT_SEARCHES);
+  recentSearches.set(searches);
+  saveRecentSearches(searches);
+}
+
+/**
+ * Forget all recent searches
+ */
+export function clearRecentSearches() {
+  recentSearches.set([]);
+  saveRecentSearches([]);
+}
@@ -0,0 +1,54 @@
+/**
+ * Recent Searches Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { get } from 'svelte/store';
+import {
+  RECENT_SEARCHES_KEY,
+  recentSearches,
+  addRecentSearch,
+  clearRecentSearches
+} from './recentSearches';
+
+describe('Recent searches', () => {
+  beforeEach(() => {
+    clearRecentSearches();
+  });
+
+  it('keeps the newest search first', () => {
+    addRecentSearch('tokyo');
+    addRecentSearch('tag:food');
+
+    expect(get(recentSearches)).toEqual(['tag:food', 'tokyo']);
+  });
+
+  it('moves a repeated search to the top instead of duplicating it', () => {
+    addRecentSearch('tokyo');
+    addRecentSearch('oxford');
+    addRecentSearch('  Tokyo ');
+
+    expect(get(recentSearches)).toEqual(['Tokyo', 'oxford']);
+  });
+
+  it('ignores empty searches', () => {
+    addRecentSearch('   ');
+    addRecentSearch(null);
+
+    expect(get(recentSearches)).toEqual([]);
+  });
+
+  it('remembers the last five', () => {
+    ['a', 'b', 'c', 'd', 'e', 'f'].forEach(addRecentSearch);
+
+    expect(get(recentSearches)).toEqual(['f', 'e', 'd', 'c', 'b']);
+  });
+
+  it('saves to localStorage', () => {
+    addRecentSearch('tokyo');
+    expect(JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY))).toEqual(['tokyo']);
+
+    clearRecentSearches();
+    expect(JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY))).toEqual([]);
+  });
+});
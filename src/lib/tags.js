@@ -0,0 +1,128 @@
+/**
+ * Tag Taxonomy Helpers
+ *
+ * Browser-safe lookups over the taxonomy parsed from static/tags.yml
+ * (see $lib/server/taxonomy.js). Every helper also works with an empty
+ * taxonomy, so sites without tags.yml see plain tags as before.
+ */
+
+/**
+ * Display name for a tag
+ * @param {string} tag - Canonical tag
+ * @param {Object} taxonomy - Tag → TagInfo
+ * @returns {string} Label (the tag itself when undeclared)
+ */
+export function tagLabel(tag, taxonomy = {}) {
+  return taxonomy[tag]?.label || tag;
+}
+
+/**
+ * Ancestors of a tag, nearest first
+ * @param {string} tag - Canonical tag
+ * @param {Object} taxonomy - Tag → TagInfo
+ * @returns {string[]} e.g. ['food'] for 'ramen'
+ */
+export function tagAncestors(tag, taxonomy = {}) {
+  const ancestors = [];
+  for (let parent = taxonomy[tag]?.parent; parent && !ancestors.includes(parent); parent = taxonomy[parent]?.parent) {
+    ancestors.push(parent);
+  }
+  return ancestors;
+}
+
+/**
+ * Color for a tag (inherited from the nearest colored ancestor)
+ * @param {string} tag - Canonical tag
+ * @param {Object} taxonomy - Tag → TagInfo
+ * @returns {string|null} CSS color, or null for plain chips
+ */
+export function tagColor(tag, taxonomy = {}) {
+  return [tag, ...tagAncestors(tag, taxonomy)].map(t => taxonomy[t]?.color).find(Boolean) || null;
+}
+
+/**
+ * Tooltip text for a tag chip
+ * @param {string} tag - Canonical tag
+ * @param {Object} taxonomy - Tag → TagInfo
+ * @returns {string|null} Description, or null when there is none
+ */
+export function tagDescription(tag, taxonomy = {}) {
+  return taxonomy[tag]?.description || null;
+}
+
+/**
+ * Check whether a location's tags satisfy a tag (directly or via a child tag)
+ * @param {string[]} locationTags - Location's tags
+ * @param {string} tag - Tag being filtered on
+ * @param {Object} taxonomy - Tag → TagInfo
+ * @returns {boolean} True on a match
+ */
+export function hasTag(locationTags, tag, taxonomy = {}) {
+  if (locationTags.includes(tag)) return true;
+  return locationTags.some(locationTag => tagAncestors(locationTag, taxonomy).includes(tag));
+}
+
+/**
+ * Words a search for this tag should find: the tag, its label, aliases
+ * and the same for its ancestors (so "food" finds ramen shops)
+ * @param {string[]} tags - Location's tags
+ * @param {Object} taxonomy - Tag → TagInfo
+ * @returns {string[]} Search terms
+ */
+export function tagSearchTerms(tags = [], taxonomy = {}) {
+  const terms = new Set();
+  tags.forEach(tag => {
+    [tag, ...tagAncestors(tag, taxonomy)].forEach(t => {
+      terms.add(t);
+      terms.add(tagLabel(t, taxonomy));
+      (taxonomy[t]?.aliases || []).forEach(alias => terms.add(alias));
+    });
+  });
+  return [...terms];
+}
+
+/**
+ * Group tags under their top-level parent for display
+ * Tags without a parent that also have no children among `tags` are
+ * collected in a final group with `root: null`. Top-level tags keep their
+ * order in `tags`; children follow their parent depth-first, sorted by label.
+ * @param {string[]} tags - Tags to group
+ * @param {Object} taxonomy - Tag → TagInfo
+ * @returns {Array<{root: string|null, tags: Array<{tag: string, depth: number}>}>} Groups
+ */
+export function groupTags(tags, taxonomy = {}) {
+  const present = new Set(tags);
+  const byLabel = (a, b) => tagLabel(a, taxonomy).localeCompare(tagLabel(b, taxonomy));
+
+  // Nearest ancestor that is also in the list (children of missing parents move up)
+  const parentOf = tag => tagAncestors(tag, taxonomy).find(ancestor => present.has(ancestor)) || null;
+  const childrenOf = parent => tags.filter(tag => parentOf(tag) === parent).sort(byLabel);
+  const roots = tags.filter(tag => parentOf(tag) === null);
+
+  const walk = (tag, depth) => [{ tag, depth }, ...childrenOf(tag).flatMap(child => walk(child, depth + 1))];
+
+  const groups = [];
+  const loose = [];
+  roots.forEach(root => {
+    if (childrenOf(root).length > 0) {
+      groups.push({ root, tags: walk(root, 0) });
+    } else {
+      loose.push({ tag: root, depth: 0 });
+    }
+  });
+
+  if (loose.length > 0) {
+    groups.push({ root: null, tags: loose });
+  }
+  return groups;
+}
+
+/**
+ * Sort tags so children follow their parents (for compact chip lists)
+ * @param {string[]} tags - Tags
+ * @param {Object} taxonomy - Tag → TagInfo
+ * @returns {string[]} Sorted tags
+ */
+export function sortTags(tags, taxonomy = {}) {
+  return groupTags(tags, taxonomy).flatMap(group => group.tags.map(({ tag }) => tag));
+}
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { tagLabel, tagAncestors, tagColor, tagDescription, hasTag, tagSearchTerms, groupTags, sortTags } from './tags';
+
+const taxonomy = {
+  food: { label: 'Food & Drink', color: '#d9480f', description: 'Places to eat', parent: null, aliases: ['eating'] },
+  ramen: { label: 'Ramen', color: null, description: null, parent: 'food', aliases: ['noodles'] },
+  tonkotsu: { label: 'Tonkotsu', color: '#111111', description: null, parent: 'ramen', aliases: [] },
+  cafe: { label: 'Cafés', color: null, description: null, parent: 'food', aliases: [] },
+  museum: { label: 'Museums', color: null, description: null, parent: null, aliases: ['museums'] }
+};
+
+describe('tagLabel() / tagDescription()', () => {
+  it('uses the taxonomy label and falls back to the tag', () => {
+    expect(tagLabel('food', taxonomy)).toBe('Food & Drink');
+    expect(tagLabel('hiking', taxonomy)).toBe('hiking');
+    expect(tagLabel('food')).toBe('food');
+  });
+
+  it('returns the description or null', () => {
+    expect(tagDescription('food', taxonomy)).toBe('Places to eat');
+    expect(tagDescription('ramen', taxonomy)).toBeNull();
+  });
+});
+
+describe('tagAncestors()', () => {
+  it('lists parents nearest first', () => {
+    expect(tagAncestors('tonkotsu', taxonomy)).toEqual(['ramen', 'food']);
+    expect(tagAncestors('food', taxonomy)).toEqual([]);
+    expect(tagAncestors('hiking', taxonomy)).toEqual([]);
+  });
+});
+
+describe('tagColor()', () => {
+  it('inherits the nearest ancestor color', () => {
+    expect(tagColor('ramen', taxonomy)).toBe('#d9480f');
+    expect(tagColor('tonkotsu', taxonomy)).toBe('#111111');
+    expect(tagColor('museum', taxonomy)).toBeNull();
+  });
+});
+
+describe('hasTag()', () => {
+  it('matches a tag directly or through a child tag', () => {
+    expect(hasTag(['tonkotsu'], 'food', taxonomy)).toBe(true);
+    expect(hasTag(['tonkotsu'], 'ramen', taxonomy)).toBe(true);
+    expect(hasTag(['ramen'], 'tonkotsu', taxonomy)).toBe(false);
+    expect(hasTag(['museum'], 'food', taxonomy)).toBe(false);
+  });
+});
+
+describe('tagSearchTerms()', () => {
+  it('includes labels, aliases and ancestors', () => {
+    expect(tagSearchTerms(['ramen'], taxonomy)).toEqual(['ramen', 'Ramen', 'noodles', 'food', 'Food & Drink', 'eating']);
+  });
+
+  it('returns plain tags without a taxonomy', () => {
+    expect(tagSearchTerms(['hiking'])).toEqual(['hiking']);
+    expect(tagSearchTerms(undefined)).toEqual([]);
+  });
+});
+
+describe('groupTags()', () => {
+  it('groups children under their top-level parent and collects loose tags last', () => {
+    expect(groupTags(['cafe', 'food', 'hiking', 'museum', 'ramen', 'tonkotsu'], taxonomy)).toEqual([
+      {
+        root: 'food',
+        tags: [
+          { tag: 'food', depth: 0 },
+          { tag: 'cafe', depth: 1 },
+          { tag: 'ramen', depth: 1 },
+          { tag: 'tonkotsu', depth: 2 }
+        ]
+      },
+      { root: null, tags: [{ tag: 'hiking', depth: 0 }, { tag: 'museum', depth: 0 }] }
+    ]);
+  });
+
+  it('moves children up when their parent is not in the list', () => {
+    expect(groupTags(['tonkotsu', 'cafe'], taxonomy)).toEqual([
+      { root: null, tags: [{ tag: 'tonkotsu', depth: 0 }, { tag: 'cafe', depth: 0 }] }
+    ]);
+  });
+
+  it('keeps plain tags in order without a taxonomy', () => {
+    expect(sortTags(['b', 'a', 'c'])).toEqual(['b', 'a', 'c']);
+  });
+});
+
+describe('sortTags()', () => {
+  it('puts children right after their parent', () => {
+    expect(sortTags(['hiking', 'ramen', 'food'], taxonomy)).toEqual(['food', 'ramen', 'hiking']);
+  });
+});
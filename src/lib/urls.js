@@ -0,0 +1,48 @@
+/**
+ * URL Utilities
+ *
+ * Shared by the server (feeds, exports, social previews) and the browser
+ * (GPX/KML downloads of the current results), so both link to the same
+ * pages and write the same absolute URLs and XML.
+ */
+
+/**
+ * Path of a location's prerendered page (routes/locations/[...slug])
+ * @param {string} slug - Location slug (e.g. "japan/tokyo-tower")
+ * @param {string} [base] - Configured base path (from $app/paths)
+ * @returns {string} Page path with trailing slash
+ */
+export function locationPagePath(slug, base = '') {
+  return `${base}/locations/${slug}/`;
+}
+
+/**
+ * Make a site path absolute for use outside the page
+ * - Protocol-relative URLs (//cdn.example.com/a.jpg) get https:, since feed
+ *   readers, social scrapers and GPS tools can't resolve them
+ * - URLs with a scheme are returned as-is
+ * - Everything else is a path on the site and gets the origin
+ * @param {string} pathOrUrl - Path including base (e.g. /mapsicle/locations/x/hero.jpg) or URL
+ * @param {string} origin - Site origin (e.g. https://example.github.io)
+ * @returns {string|null} Absolute URL (null without a path)
+ */
+export function toAbsoluteUrl(pathOrUrl, origin) {
+  if (!pathOrUrl) return null;
+  if (pathOrUrl.startsWith('//')) return `https:${pathOrUrl}`;
+  if (/^[a-z][a-z\d+.-]*:/i.test(pathOrUrl)) return pathOrUrl;
+  return `${origin}${pathOrUrl}`;
+}
+
+/**
+ * Escape text for XML element content and attribute values (URLs in feeds and KML included)
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
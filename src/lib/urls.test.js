@@ -0,0 +1,45 @@
+/**
+ * URL Utility Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { toAbsoluteUrl, locationPagePath, escapeXml } from './urls';
+
+describe('locationPagePath()', () => {
+  it('points at the prerendered page under the base path', () => {
+    expect(locationPagePath('japan/tokyo-tower', '/mapsicle')).toBe('/mapsicle/locations/japan/tokyo-tower/');
+    expect(locationPagePath('paris')).toBe('/locations/paris/');
+  });
+});
+
+describe('toAbsoluteUrl()', () => {
+  const origin = 'https://example.github.io';
+
+  it('prefixes site paths with the origin', () => {
+    expect(toAbsoluteUrl('/mapsicle/locations/x/hero.jpg', origin)).toBe('https://example.github.io/mapsicle/locations/x/hero.jpg');
+  });
+
+  it('leaves URLs with a scheme alone', () => {
+    expect(toAbsoluteUrl('https://cdn.example.com/a.jpg', origin)).toBe('https://cdn.example.com/a.jpg');
+    expect(toAbsoluteUrl('http://cdn.example.com/a.jpg', origin)).toBe('http://cdn.example.com/a.jpg');
+  });
+
+  it('gives protocol-relative URLs https', () => {
+    expect(toAbsoluteUrl('//cdn.example.com/a.jpg', origin)).toBe('https://cdn.example.com/a.jpg');
+  });
+
+  it('returns null without a path', () => {
+    expect(toAbsoluteUrl(null, origin)).toBeNull();
+    expect(toAbsoluteUrl('', origin)).toBeNull();
+  });
+});
+
+describe('escapeXml()', () => {
+  it('escapes markup characters and quotes', () => {
+    expect(escapeXml(`Fish & "Chips" <'s>`)).toBe('Fish &amp; &quot;Chips&quot; &lt;&apos;s&gt;');
+  });
+
+  it('turns missing values into empty text', () => {
+    expect(escapeXml(undefined)).toBe('');
+  });
+});
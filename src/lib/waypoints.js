@@ -0,0 +1,221 @@
+/**
+ * GPX and KML Exports
+ *
+ * Waypoint files for GPS devices (GPX, e.g. Garmin BaseCamp/Explore) and
+ * Google Earth / My Maps (KML). Used by the prerendered /locations.gpx and
+ * /locations.kml endpoints and by "Export current results" in the sidebar,
+ * so this module must stay browser-safe (no Node imports).
+ *
+ * Both take location objects as produced by loadLocations() (image paths
+ * already include the base path) and skip locations without coordinates.
+ */
+
+import { markdownToPlainText, markdownToAbsoluteHtml } from './markdown.js';
+import { toAbsoluteUrl, locationPagePath, escapeXml } from './urls.js';
+import { markerStyle } from './markers.js';
+import { tagColor } from './tags.js';
+
+/**
+ * @typedef {Object} WaypointOptions
+ * @property {string} origin - Site origin, e.g. https://example.github.io
+ * @property {string} [base] - Configured base path (from $app/paths)
+ * @property {string} [title] - Document name shown in the device/Earth
+ * @property {Object} [markerStyles] - Tag → { icon, color } (config.markerStyles), for KML folder colors
+ * @property {Object} [taxonomy] - Tag taxonomy, for KML folder colors
+ */
+
+/** Placemark colors for tags without a marker style or tags.yml color (cycled by tag name) */
+const TAG_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324', '#469990', '#808000'];
+
+/** Colors KML can express (named CSS colors can't be converted) */
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/** Color for locations without tags */
+const UNTAGGED_COLOR = '#808080';
+
+/** Plain pushpin that Google Earth tints with the style color */
+const KML_ICON = 'https://maps.google.com/mapfiles/kml/paddle/wht-blank.png';
+
+/**
+ * Wrap HTML in CDATA (splitting any "]]>" so it can't end the section early)
+ * @param {string} html - HTML
+ * @returns {string} CDATA section
+ */
+function cdata(html) {
+  return `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Absolute URLs for a location
+ * @param {Object} location - Location from loadLocations()
+ * @param {WaypointOptions} options
+ * @returns {{siteUrl: string, pageUrl: string, hero: string|null}} URLs
+ */
+function locationUrls(location, { origin, base = '' }) {
+  return {
+    siteUrl: `${origin}${base}`,
+    pageUrl: toAbsoluteUrl(locationPagePath(location.slug, base), origin),
+    hero: toAbsoluteUrl(location.hero, origin)
+  };
+}
+
+/**
+ * Locations that can be placed on a map
+ * @param {Array<Object>} locations - Locations
+ * @returns {Array<Object>} Locations with coords
+ */
+function withCoords(locations) {
+  return locations.filter(location => location.coords && Number.isFinite(location.coords.lat) && Number.isFinite(location.coords.lon));
+}
+
+/**
+ * Build a GPX 1.1 document with one waypoint per location
+ * Descriptions are plain text (GPS units don't render HTML); the first tag
+ * becomes the waypoint type.
+ * @param {Array<Object>} locations - Locations from loadLocations()
+ * @param {WaypointOptions} options
+ * @returns {string} GPX XML
+ */
+export function toGPX(locations, options) {
+  const { origin, base = '', title = 'Locations' } = options;
+  const siteUrl = `${origin}${base}`;
+
+  const waypoints = withCoords(locations).map(location => {
+    const { pageUrl } = locationUrls(location, options);
+    const lines = [
+      `  <wpt lat="${location.coords.lat}" lon="${location.coords.lon}">`,
+      location.updated ? `    <time>${new Date(location.updated).toISOString()}</time>` : null,
+      `    <name>${escapeXml(location.name)}</name>`,
+      location.place ? `    <cmt>${escapeXml(location.place)}</cmt>` : null,
+      `    <desc>${escapeXml(markdownToPlainText(location.description))}</desc>`,
+      `    <link href="${escapeXml(pageUrl)}"><text>View on the map</text></link>`,
+      '    <sym>Flag, Blue</sym>',
+      location.tags?.length ? `    <type>${escapeXml(location.tags[0])}</type>` : null,
+      '  </wpt>'
+    ];
+    return lines.filter(line => line !== null).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${escapeXml(title)}" xmlns="http://www.topografix.com/GPX/1/1">`,
+    '  <metadata>',
+    `    <name>${escapeXml(title)}</name>`,
+    `    <link href="${escapeXml(siteUrl)}/"><text>${escapeXml(title)}</text></link>`,
+    '  </metadata>',
+    ...waypoints,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Convert a CSS hex color to KML's aabbggrr
+ * @param {string} hex - e.g. "#e6194b" or "#fc0"
+ * @returns {string} e.g. "ff4b19e6"
+ */
+function kmlColor(hex) {
+  const digits = hex.length === 4 ? [...hex.slice(1)].map(digit => digit + digit).join('') : hex.slice(1);
+  const [r, g, b] = [0, 2, 4].map(i => digits.slice(i, i + 2));
+  return `ff${b}${g}${r}`.toLowerCase();
+}
+
+/**
+ * Pin color for a tag folder, matching the map where the site defines one
+ * Uses the tag's marker category color (see markers.js), then its tags.yml
+ * color, and only then a stable pick from TAG_COLORS.
+ * @param {string} tag - Tag
+ * @param {WaypointOptions} options
+ * @returns {string} CSS hex color
+ */
+function folderColor(tag, { markerStyles = {}, taxonomy = {} }) {
+  const { color, category } = markerStyle({ tags: [tag] }, markerStyles, taxonomy);
+  const siteColor = category ? color : tagColor(tag, taxonomy);
+  if (siteColor && HEX_COLOR.test(siteColor)) {
+    return siteColor;
+  }
+
+  let hash = 0;
+  for (const char of tag) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+  return TAG_COLORS[hash % TAG_COLORS.length];
+}
+
+/**
+ * Placemark description: hero image, rendered markdown and a link back
+ * @param {Object} location - Location
+ * @param {WaypointOptions} options
+ * @returns {string} HTML
+ */
+function placemarkHtml(location, options) {
+  const { siteUrl, pageUrl, hero } = locationUrls(location, options);
+  return [
+    hero ? `<p><img src="${escapeXml(hero)}" alt="${escapeXml(location.name)}" width="320"></p>` : '',
+    markdownToAbsoluteHtml(location.description, { siteUrl, pageUrl }).trim(),
+    `<p><a href="${escapeXml(pageUrl)}">View on the map</a></p>`
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Build a KML 2.2 document with a folder (and pin color) per tag
+ * A location with several tags appears in each of their folders, so any
+ * folder can be toggled on its own in Google Earth. Untagged locations go
+ * into an "Untagged" folder.
+ * @param {Array<Object>} locations - Locations from loadLocations()
+ * @param {WaypointOptions} options
+ * @returns {string} KML XML
+ */
+export function toKML(locations, options) {
+  const { title = 'Locations' } = options;
+  const mapped = withCoords(locations);
+
+  const tags = [...new Set(mapped.flatMap(location => location.tags || []))].sort((a, b) => a.localeCompare(b));
+  const folders = tags.map((tag, index) => ({
+    name: tag,
+    styleId: `tag-${index + 1}`,
+    color: folderColor(tag, options),
+    locations: mapped.filter(location => location.tags?.includes(tag))
+  }));
+  const untagged = mapped.filter(location => !location.tags?.length);
+  if (untagged.length > 0) {
+    folders.push({ name: 'Untagged', styleId: 'untagged', color: UNTAGGED_COLOR, locations: untagged });
+  }
+
+  const styles = folders.map(folder => [
+    `    <Style id="${folder.styleId}">`,
+    '      <IconStyle>',
+    `        <color>${kmlColor(folder.color)}</color>`,
+    `        <Icon><href>${KML_ICON}</href></Icon>`,
+    '      </IconStyle>',
+    '    </Style>'
+  ].join('\n'));
+
+  const folderXml = folders.map(folder => [
+    '    <Folder>',
+    `      <name>${escapeXml(folder.name)}</name>`,
+    ...folder.locations.map(location => [
+      '      <Placemark>',
+      `        <name>${escapeXml(location.name)}</name>`,
+      location.place ? `        <address>${escapeXml(location.place)}</address>` : null,
+      `        <description>${cdata(placemarkHtml(location, options))}</description>`,
+      `        <styleUrl>#${folder.styleId}</styleUrl>`,
+      // KML coordinates are longitude,latitude
+      `        <Point><coordinates>${location.coords.lon},${location.coords.lat}</coordinates></Point>`,
+      '      </Placemark>'
+    ].filter(line => line !== null).join('\n')),
+    '    </Folder>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(title)}</name>`,
+    ...styles,
+    ...folderXml,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
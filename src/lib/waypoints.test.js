@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { toGPX, toKML } from './waypoints';
+
+const options = { origin: 'https://example.com', base: '/mapsicle', title: 'Travel Map' };
+
+const paris = {
+  slug: 'paris',
+  name: 'Paris & Co',
+  place: 'Paris, France',
+  coords: { lat: 48.8566, lon: 2.3522 },
+  tags: ['food', 'city'],
+  hero: '/mapsicle/locations/paris/hero.jpg',
+  description: 'Great **food**. See [Rome](/locations/rome/).',
+  updated: '2024-05-01'
+};
+
+const kyoto = {
+  slug: 'asia/kyoto',
+  name: 'Kyoto',
+  coords: { lat: 35.0116, lon: 135.7681 },
+  tags: [],
+  description: 'Temples <code>]]></code> gardens'
+};
+
+const nowhere = { slug: 'nowhere', name: 'Nowhere', coords: null, tags: ['food'], description: '' };
+
+describe('toGPX()', () => {
+  const gpx = toGPX([paris, kyoto, nowhere], options);
+
+  it('writes a GPX 1.1 document with site metadata', () => {
+    expect(gpx).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<gpx version="1.1"/);
+    expect(gpx).toContain('<name>Travel Map</name>');
+    expect(gpx).toContain('<link href="https://example.com/mapsicle/">');
+  });
+
+  it('writes one waypoint per location with coordinates', () => {
+    expect(gpx.match(/<wpt /g)).toHaveLength(2);
+    expect(gpx).toContain('<wpt lat="48.8566" lon="2.3522">');
+    expect(gpx).not.toContain('Nowhere');
+  });
+
+  it('escapes names and uses plain-text descriptions', () => {
+    expect(gpx).toContain('<name>Paris &amp; Co</name>');
+    expect(gpx).toContain('<desc>Great food. See Rome.</desc>');
+    expect(gpx).toContain('<cmt>Paris, France</cmt>');
+  });
+
+  it('links back to the location page and uses the first tag as type', () => {
+    expect(gpx).toContain('<link href="https://example.com/mapsicle/locations/paris/"><text>View on the map</text></link>');
+    expect(gpx).toContain('<type>food</type>');
+    expect(gpx).toContain('<time>2024-05-01T00:00:00.000Z</time>');
+  });
+});
+
+describe('toKML()', () => {
+  const kml = toKML([paris, kyoto, nowhere], options);
+
+  it('writes a folder per tag plus an Untagged folder', () => {
+    const folders = [...kml.matchAll(/<Folder>\n\s+<name>([^<]+)<\/name>/g)].map(match => match[1]);
+    expect(folders).toEqual(['city', 'food', 'Untagged']);
+  });
+
+  it('puts a location with several tags in each folder', () => {
+    expect(kml.match(/<name>Paris &amp; Co<\/name>/g)).toHaveLength(2);
+    expect(kml).not.toContain('Nowhere');
+  });
+
+  it('gives each folder a colored pin style', () => {
+    expect(kml).toContain('<Style id="tag-1">');
+    expect(kml).toContain('<Style id="untagged">');
+    expect(kml).toContain('<color>ff808080</color>');
+    expect(kml).toContain('<styleUrl>#untagged</styleUrl>');
+    expect(kml).toMatch(/<color>ff[0-9a-f]{6}<\/color>/);
+  });
+
+  it('uses the map colors from markerStyles and tags.yml when there are any', () => {
+    const styled = toKML([paris, kyoto], {
+      ...options,
+      markerStyles: { food: { icon: 'food', color: '#FF6B00' } },
+      taxonomy: { city: { color: '#0c8' } }
+    });
+    const colors = Object.fromEntries([...styled.matchAll(/<Style id="([^"]+)">\n.*\n\s+<color>(\w+)<\/color>/g)].map(match => match.slice(1)));
+    // tag-1 is city (tags.yml), tag-2 food (markerStyles)
+    expect(colors).toMatchObject({ 'tag-1': 'ff88cc00', 'tag-2': 'ff006bff' });
+  });
+
+  it('writes coordinates as longitude,latitude', () => {
+    expect(kml).toContain('<coordinates>2.3522,48.8566</coordinates>');
+  });
+
+  it('describes placemarks with absolute HTML in CDATA', () => {
+    expect(kml).toContain('<img src="https://example.com/mapsicle/locations/paris/hero.jpg"');
+    expect(kml).toContain('href="https://example.com/mapsicle/locations/rome/"');
+    expect(kml).toContain('<a href="https://example.com/mapsicle/locations/asia/kyoto/">View on the map</a>');
+  });
+
+  it('gives protocol-relative hero URLs https', () => {
+    const remote = toKML([{ ...paris, hero: '//cdn.example.com/paris.jpg' }], options);
+    expect(remote).toContain('<img src="https://cdn.example.com/paris.jpg"');
+  });
+
+  it('keeps "]]>" in descriptions from closing the CDATA section', () => {
+    expect(kml).toContain('<code>]]]]><![CDATA[></code>');
+  });
+});
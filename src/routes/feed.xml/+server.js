@@ -0,0 +1,26 @@
+import { base } from '$app/paths';
+import { loadSiteData } from '$lib/server/loadLocations';
+import { toAtom } from '$lib/server/feeds';
+import { config } from '$lib/config';
+
+// Written to build/feed.xml at build time
+export const prerender = true;
+
+/**
+ * Atom feed of the most recently updated locations
+ * @type {import('./$types').RequestHandler}
+ */
+export function GET({ url }) {
+	const xml = toAtom(loadSiteData({ base }).locations, {
+		origin: url.origin,
+		base,
+		title: config.feedTitle,
+		subtitle: config.appSubtitle,
+		author: config.appTitle,
+		limit: config.feedLength
+	});
+
+	return new Response(xml, {
+		headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' }
+	});
+}
@@ -0,0 +1,16 @@
+import { base } from '$app/paths';
+import { loadSiteData } from '$lib/server/loadLocations';
+import { toCSV } from '$lib/server/exports';
+
+// Written to build/locations.csv at build time
+export const prerender = true;
+
+/**
+ * CSV of all locations (one row per location)
+ * @type {import('./$types').RequestHandler}
+ */
+export function GET({ url }) {
+	return new Response(toCSV(loadSiteData({ base }).locations, { origin: url.origin, base }), {
+		headers: { 'Content-Type': 'text/csv; charset=utf-8' }
+	});
+}
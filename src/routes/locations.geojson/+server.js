@@ -0,0 +1,18 @@
+import { base } from '$app/paths';
+import { loadSiteData } from '$lib/server/loadLocations';
+import { toGeoJSON } from '$lib/server/exports';
+
+// Written to build/locations.geojson at build time
+export const prerender = true;
+
+/**
+ * GeoJSON FeatureCollection of all locations
+ * @type {import('./$types').RequestHandler}
+ */
+export function GET({ url }) {
+	const geojson = toGeoJSON(loadSiteData({ base }).locations, { origin: url.origin, base });
+
+	return new Response(JSON.stringify(geojson, null, 2), {
+		headers: { 'Content-Type': 'application/geo+json; charset=utf-8' }
+	});
+}
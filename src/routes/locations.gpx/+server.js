@@ -0,0 +1,19 @@
+import { base } from '$app/paths';
+import { loadSiteData } from '$lib/server/loadLocations';
+import { toGPX } from '$lib/waypoints';
+import { config } from '$lib/config';
+
+// Written to build/locations.gpx at build time
+export const prerender = true;
+
+/**
+ * GPX waypoints of all locations (for GPS devices)
+ * @type {import('./$types').RequestHandler}
+ */
+export function GET({ url }) {
+	const gpx = toGPX(loadSiteData({ base }).locations, { origin: url.origin, base, title: config.appTitle });
+
+	return new Response(gpx, {
+		headers: { 'Content-Type': 'application/gpx+xml; charset=utf-8' }
+	});
+}
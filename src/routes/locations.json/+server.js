@@ -0,0 +1,15 @@
+import { json } from '@sveltejs/kit';
+import { base } from '$app/paths';
+import { loadSiteData } from '$lib/server/loadLocations';
+import { toJSON } from '$lib/server/exports';
+
+// Written to build/locations.json at build time
+export const prerender = true;
+
+/**
+ * JSON array of all locations
+ * @type {import('./$types').RequestHandler}
+ */
+export function GET({ url }) {
+	return json(toJSON(loadSiteData({ base }).locations, { origin: url.origin, base }));
+}
@@ -0,0 +1,26 @@
+import { base } from '$app/paths';
+import { loadSiteData } from '$lib/server/loadLocations';
+import { toKML } from '$lib/waypoints';
+import { config } from '$lib/config';
+
+// Written to build/locations.kml at build time
+export const prerender = true;
+
+/**
+ * KML placemarks of all locations, in a folder per tag (for Google Earth)
+ * @type {import('./$types').RequestHandler}
+ */
+export function GET({ url }) {
+	const { locations, taxonomy } = loadSiteData({ base });
+	const kml = toKML(locations, {
+		origin: url.origin,
+		base,
+		title: config.appTitle,
+		markerStyles: config.markerStyles,
+		taxonomy
+	});
+
+	return new Response(kml, {
+		headers: { 'Content-Type': 'application/vnd.google-earth.kml+xml; charset=utf-8' }
+	});
+}
@@ -0,0 +1,52 @@
+import { error } from '@sveltejs/kit';
+import { base } from '$app/paths';
+import { loadSiteData } from '$lib/server/loadLocations';
+import { toAbsoluteUrl, locationPagePath } from '$lib/server/locations';
+import { markdownToPlainText, truncateText } from '$lib/markdown';
+import { config } from '$lib/config';
+
+// Prerender one page per location so shared links get their own title/preview
+export const prerender = true;
+
+// Write /locations/{slug}/index.html next to the location's images in static/
+export const trailingSlash = 'always';
+
+/**
+ * Tell the prerenderer which slugs exist
+ * Nothing links to these pages from the map, so they can't be crawled
+ * @type {import('./$types').EntryGenerator}
+ */
+export function entries() {
+	return loadSiteData({ base }).locations.map(location => ({ slug: location.slug }));
+}
+
+/**
+ * Server-side data loader for a single location page
+ *
+ * Returns just the selected location and its SEO metadata. The page fetches
+ * the rest of the map's data from /site-data.json once it is in the browser.
+ *
+ * @type {import('./$types').PageServerLoad}
+ */
+export async function load({ params, url }) {
+	// Rest params keep the trailing slash added by trailingSlash = 'always'
+	const slug = params.slug.replace(/\/$/, '');
+	const location = loadSiteData({ base }).locations.find(loc => loc.slug === slug);
+
+	if (!location) {
+		error(404, `Location "${slug}" not found`);
+	}
+
+	const summary = markdownToPlainText(location.description, { headings: false });
+
+	return {
+		location,
+		meta: {
+			title: `${location.name} | ${config.pageTitle}`,
+			description: truncateText(summary || `${location.name} - ${location.place}`, 160),
+			// Social previews need absolute URLs (origin comes from kit.prerender.origin)
+			canonical: toAbsoluteUrl(locationPagePath(location.slug, base), url.origin),
+			image: toAbsoluteUrl(location.hero, url.origin)
+		}
+	};
+}
@@ -0,0 +1,25 @@
+import { base } from '$app/paths';
+import { loadSiteData } from '$lib/server/loadLocations';
+import { toRSS } from '$lib/server/feeds';
+import { config } from '$lib/config';
+
+// Written to build/rss.xml at build time
+export const prerender = true;
+
+/**
+ * RSS feed of the most recently updated locations
+ * @type {import('./$types').RequestHandler}
+ */
+export function GET({ url }) {
+	const xml = toRSS(loadSiteData({ base }).locations, {
+		origin: url.origin,
+		base,
+		title: config.feedTitle,
+		subtitle: config.appSubtitle,
+		limit: config.feedLength
+	});
+
+	return new Response(xml, {
+		headers: { 'Content-Type': 'application/rss+xml; charset=utf-8' }
+	});
+}
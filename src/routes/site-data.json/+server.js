@@ -0,0 +1,16 @@
+import { json } from '@sveltejs/kit';
+import { base } from '$app/paths';
+import { loadSiteData } from '$lib/server/loadLocations';
+
+// Written to build/site-data.json at build time
+export const prerender = true;
+
+/**
+ * Locations, tag taxonomy and region details for the map
+ * Fetched by the per-location pages, so each prerendered page carries only
+ * its own location instead of a copy of the whole site.
+ * @type {import('./$types').RequestHandler}
+ */
+export function GET() {
+	return json(loadSiteData({ base }));
+}
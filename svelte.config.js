@@ -15,6 +15,10 @@ const config = {
 		}),
 		paths: {
 			base: process.env.NODE_ENV === 'production' ? '/mapsicle' : ''
+		},
+		prerender: {
+			// Public origin of the deployed site, used for canonical and social preview URLs
+			origin: process.env.SITE_ORIGIN || 'https://dvhthomas.github.io'
 		}
 	}
 };